@@ -0,0 +1,195 @@
+/**
+ * @file adapters.js
+ * Request adapters, used to read values from requests of differing shapes when resolving
+ * parameters. Each adapter defines how query values, body values, route params, cookies and
+ * headers are read, along with the blended `param` lookup used by `?`-style definitions.
+ * Adapters may also define how session values and signed cookies are read.
+ */
+
+const querystring = require('querystring');
+
+// Names of the functions which every adapter must provide.
+const adapterFields = ['param', 'query', 'body', 'route', 'cookie', 'header'];
+
+// Names of the functions which adapters may optionally provide.
+const optionalAdapterFields = ['session', 'signedCookie'];
+
+// Helper used to safely read a field from some (possibly missing) collection.
+const readField = (collection, name) => (collection && (typeof collection === 'object')) ? collection[name] : undefined;
+
+// Helper used to safely read a dotted path (such as 'user.id') from some (possibly missing) collection.
+const readPath = (collection, path) => path.split('.').reduce(readField, collection);
+
+// Helper used to decode a raw cookie value, leaving malformed (client-supplied) encodings as-is.
+const decodeCookie = (value) => {
+    try {
+        return decodeURIComponent(value);
+    } catch (e) {
+        return value;
+    }
+};
+
+// Helper implementing Sails' `req.param()` precedence (route params, then body, then query), for
+// adapters with no native blended lookup.
+const blendedParam = (adapter, req, name) => {
+    const sources = [adapter.route, adapter.body, adapter.query];
+    for (let i = 0; i < sources.length; i++) {
+        const value = sources[i](req, name);
+        if (typeof value !== 'undefined') {
+            return value;
+        }
+    }
+    return undefined;
+};
+
+/**
+ * Adapter for Express and Sails requests. Also suitable for Fastify requests, which expose the
+ * same `query`, `body`, `params`, `cookies` and `headers` fields.
+ */
+const express = {
+    param(req, name) {
+        return (typeof req.param === 'function') ? req.param(name) : blendedParam(express, req, name);
+    },
+    query(req, name) {
+        return readField(req.query, name);
+    },
+    body(req, name) {
+        return readField(req.body, name);
+    },
+    route(req, name) {
+        return readField(req.params, name);
+    },
+    cookie(req, name) {
+        return readField(req.cookies, name);
+    },
+    header(req, name) {
+        return readField(req.headers, name.toLowerCase());
+    },
+    session(req, name) {
+        return readPath(req.session, name);
+    },
+    signedCookie(req, name) {
+        return readField(req.signedCookies, name);
+    },
+};
+
+/**
+ * Adapter for Koa contexts. Route params are read from `ctx.params` (as set by koa-router),
+ * and body values from `ctx.request.body` (as set by most body parsers). Signed cookies are
+ * verified against the app's keys by Koa itself.
+ */
+const koa = {
+    param(ctx, name) {
+        return blendedParam(koa, ctx, name);
+    },
+    query(ctx, name) {
+        return readField(ctx.query, name);
+    },
+    body(ctx, name) {
+        return readField(ctx.request && ctx.request.body, name);
+    },
+    route(ctx, name) {
+        return readField(ctx.params, name);
+    },
+    cookie(ctx, name) {
+        return (ctx.cookies && (typeof ctx.cookies.get === 'function')) ? ctx.cookies.get(name) : undefined;
+    },
+    header(ctx, name) {
+        return readField(ctx.headers, name.toLowerCase());
+    },
+    session(ctx, name) {
+        return readPath(ctx.session, name);
+    },
+    signedCookie(ctx, name) {
+        return (ctx.cookies && (typeof ctx.cookies.get === 'function')) ? ctx.cookies.get(name, { signed: true }) : undefined;
+    },
+};
+
+/**
+ * Adapter for plain Node `http.IncomingMessage` requests. Query values and cookies are parsed
+ * from the URL and `Cookie` header, while body values, route params, session values and signed
+ * cookies are read from the `body`, `params`, `session` and `signedCookies` fields, should some
+ * earlier handler have populated them.
+ */
+const node = {
+    param(req, name) {
+        return blendedParam(node, req, name);
+    },
+    query(req, name) {
+        const url = (typeof req.url === 'string') ? req.url : '';
+        const queryIndex = url.indexOf('?');
+        if (queryIndex < 0) {
+            return undefined;
+        }
+        return readField(querystring.parse(url.substr(queryIndex + 1)), name);
+    },
+    body(req, name) {
+        return readField(req.body, name);
+    },
+    route(req, name) {
+        return readField(req.params, name);
+    },
+    cookie(req, name) {
+        const header = readField(req.headers, 'cookie');
+        if (typeof header !== 'string') {
+            return undefined;
+        }
+        const pair = header.split(';')
+            .map(p => p.trim())
+            .find(p => p.substr(0, p.indexOf('=')) === name);
+        return pair ? decodeCookie(pair.substr(pair.indexOf('=') + 1)) : undefined;
+    },
+    header(req, name) {
+        return readField(req.headers, name.toLowerCase());
+    },
+    session(req, name) {
+        return readPath(req.session, name);
+    },
+    signedCookie(req, name) {
+        return readField(req.signedCookies, name);
+    },
+};
+
+const builtins = { express, sails: express, fastify: express, koa, node };
+
+/**
+ * Resolves the given adapter name or object into a usable adapter, ensuring that it provides
+ * every necessary function.
+ *
+ * @param {string|Object} adapter - Name of a built-in adapter (one of 'express', 'sails',
+ * 'fastify', 'koa' or 'node'), or a custom adapter object.
+ *
+ * @returns {Object} The resolved adapter object.
+ *
+ * @throws An error if no built-in adapter exists with the given name, or if the given adapter
+ * object is missing some function (or gives some optional field which isn't a function).
+ */
+function resolve(adapter) {
+    if (typeof adapter === 'string') {
+        if (!Object.prototype.hasOwnProperty.call(builtins, adapter)) {
+            throw new Error(`Attempted to use unknown request adapter "${adapter}". Built-in adapters are: ${Object.keys(builtins)}`);
+        }
+        return builtins[adapter];
+    }
+    if (!adapter || (typeof adapter !== 'object')) {
+        throw new Error(`Expected request adapter to be an adapter name or object, but instead found: (${typeof adapter}) ${adapter}`);
+    }
+    adapterFields.forEach(field => {
+        if (typeof adapter[field] !== 'function') {
+            throw new Error(`The given request adapter is missing the "${field}" function. Adapters must provide each of: ${adapterFields.join(', ')}`);
+        }
+    });
+    optionalAdapterFields.forEach(field => {
+        if ((typeof adapter[field] !== 'undefined') && (typeof adapter[field] !== 'function')) {
+            throw new Error(`Expected the "${field}" field of the given request adapter to be a function, but instead found: (${typeof adapter[field]}) ${adapter[field]}`);
+        }
+    });
+    return adapter;
+}
+
+module.exports = {
+    express,
+    koa,
+    node,
+    resolve,
+};
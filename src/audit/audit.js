@@ -0,0 +1,136 @@
+/**
+ * @file audit.js
+ * Audit sink, writing permission events (see events.js) as JSON Lines to a stream or file, so
+ * that every decision may be kept on record.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const trace = require('../trace/trace');
+
+/**
+ * Returns the serializable form of the given error.
+ *
+ * @param {Error} err - The error to be serialized.
+ */
+function serializeError(err) {
+    const out = { name: err.name, message: err.message };
+    if (err.code !== undefined) {
+        out.code = err.code;
+    }
+    return out;
+}
+
+/**
+ * Builds the function used to redact params before they're written, from the `redact` option
+ * of the sink.
+ *
+ * @param {Function|string[]} [redact] - Either a hook, called as `redact(name, value, info)`
+ * and returning the value which should be written in its place, or a list of param names
+ * which should always be redacted.
+ */
+function redactor(redact) {
+    if (Array.isArray(redact)) {
+        return (name, value) => (redact.includes(name) ? trace.REDACTED : value);
+    }
+    if ((typeof redact !== 'undefined') && (typeof redact !== 'function')) {
+        throw new Error(`Expected the audit sink's redact option to be a function or a list of param names, but instead found: (${typeof redact}) ${redact}`);
+    }
+    return redact;
+}
+
+/**
+ * Returns a copy of the given validation record, with its params redacted.
+ *
+ * @param {Object} record - A validation record, as held by 'validation' and 'decision' events.
+ * @param {Function} [redact] - The redaction function, as built by `redactor(...)`.
+ */
+function redactRecord(record, redact) {
+    if (!redact || !record.params) {
+        return record;
+    }
+    const info = { namespace: record.namespace, scheme: record.scheme };
+    const params = {};
+    Object.keys(record.params).forEach(name => {
+        params[name] = redact(name, record.params[name], info);
+    });
+    return Object.assign({}, record, { params });
+}
+
+/**
+ * Creates a sink writing each event given to it as a single line of JSON, of the form
+ * `{ "type": "decision", ...event }`. Errors are written as `{ name, message, code }`.
+ *
+ * @param {Object|string} destination - A writable stream, or the path of a file which lines
+ * should be appended to.
+ * @param {Object} [options] - Optional settings.
+ * @param {Function|string[]} [options.redact] - Redaction applied to every param written (on
+ * top of any redaction made through `_redact` lists), either as a hook called with
+ * `(name, value, { namespace, scheme })`, or as a list of param names to be redacted.
+ *
+ * @returns {Object} The sink, holding `write(type, event)`, and `close()`, which returns a
+ * promise resolving once everything has been written. Streams passed in are left open. Where
+ * the sink opened the file itself, a failure to open or write it is reported as a process
+ * warning, after which nothing more is written, and `close()` rejects with the error.
+ *
+ * @throws An error if the destination or options are invalid.
+ */
+function createSink(destination, options) {
+    options = (options && (typeof options === 'object')) ? options : {};
+    const redact = redactor(options.redact);
+
+    let stream = destination;
+    const ownsStream = (typeof destination === 'string');
+    if (ownsStream) {
+        stream = fs.createWriteStream(path.resolve(destination), { flags: 'a' });
+    }
+    if (!stream || (typeof stream.write !== 'function')) {
+        throw new Error(`Expected the audit sink destination to be a writable stream or a file path, but instead found: (${typeof destination}) ${destination}`);
+    }
+
+    // The error which broke the file opened by the sink, if any. Left unhandled, it would crash the process.
+    let failure;
+    if (ownsStream) {
+        stream.on('error', err => {
+            if (!failure) {
+                failure = err;
+                process.emitWarning(`The Stockade audit sink failed to write to "${destination}": ${err && err.stack}`);
+            }
+        });
+    }
+
+    return {
+        write(type, event) {
+            if (failure) {
+                return;
+            }
+            const record = Object.assign({ type }, event.params ? redactRecord(event, redact) : event);
+            if (Array.isArray(record.validations)) {
+                record.validations = record.validations.map(v => redactRecord(v, redact));
+            }
+            let line;
+            try {
+                line = JSON.stringify(record, (key, value) => ((value instanceof Error) ? serializeError(value) : value));
+            } catch (err) {
+                line = JSON.stringify({ type, timestamp: event.timestamp, validator: event.validator, unserializable: err.message });
+            }
+            stream.write(`${line}\n`);
+        },
+        close() {
+            if (!ownsStream) {
+                return Promise.resolve();
+            }
+            if (failure) {
+                return Promise.reject(failure);
+            }
+            return new Promise((resolve, reject) => {
+                stream.once('error', reject);
+                stream.end(resolve);
+            });
+        },
+    };
+}
+
+module.exports = {
+    createSink,
+};
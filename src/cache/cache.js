@@ -0,0 +1,225 @@
+/**
+ * @file cache.js
+ * Decision cache helpers: a default in-memory LRU store with TTL support, along with the
+ * stable hashing used to key cached validation results on their resolved params.
+ */
+
+const crypto = require('crypto');
+
+// Names of the functions which every cache store must provide.
+const storeFields = ['get', 'set', 'delete', 'keys'];
+
+/**
+ * In-memory least-recently-used store, used as the default decision cache store. Entries
+ * expire once their TTL has passed, and the least recently used entries are evicted once the
+ * store grows past its maximum size.
+ *
+ * Custom stores (f.ex. backed by Redis) should provide the same functions, which may return
+ * promises if need-be.
+ */
+class MemoryStore {
+
+    /**
+     * @param {Object} [options] - Optional store settings.
+     * @param {number} [options.maxEntries] - Maximum number of entries held at once. Defaults
+     * to 1000.
+     */
+    constructor(options) {
+        options = (options && (typeof options === 'object')) ? options : {};
+        this.maxEntries = (Number.isInteger(options.maxEntries) && (options.maxEntries > 0)) ? options.maxEntries : 1000;
+        this.entries = new Map();
+    }
+
+    /**
+     * Returns the value stored under the given key, or undefined if there's none (or it has
+     * expired).
+     *
+     * @param {string} key - Key of the value to retrieve.
+     */
+    get(key) {
+        const entry = this.entries.get(key);
+        if (!entry) {
+            return undefined;
+        }
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return undefined;
+        }
+        // re-insert, so that the entry becomes the most recently used
+        this.entries.delete(key);
+        this.entries.set(key, entry);
+        return entry.value;
+    }
+
+    /**
+     * Stores the given value under the given key, for `ttl` milliseconds.
+     *
+     * @param {string} key - Key to store the value under.
+     * @param {*} value - The value to be stored.
+     * @param {number} ttl - Milliseconds the value should be kept for.
+     */
+    set(key, value, ttl) {
+        this.entries.delete(key);
+        this.entries.set(key, { value, expiresAt: Date.now() + ttl });
+        // evict the least recently used entries (those first in insertion order) once we're over size
+        while (this.entries.size > this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+    }
+
+    /**
+     * Removes the value stored under the given key, if any.
+     *
+     * @param {string} key - Key of the value to remove.
+     */
+    delete(key) {
+        this.entries.delete(key);
+    }
+
+    /**
+     * Returns the keys of every unexpired entry in the store.
+     */
+    keys() {
+        const now = Date.now();
+        return Array.from(this.entries.keys()).filter(key => this.entries.get(key).expiresAt > now);
+    }
+
+}
+
+/**
+ * Serializes the given value into a string which is stable regardless of object key order,
+ * for use in hashing.
+ *
+ * @param {*} value - The value to be serialized.
+ *
+ * @throws An error if the value contains a circular reference, or a function.
+ */
+function stableStringify(value, seen = []) {
+    if ((value === null) || (typeof value !== 'object')) {
+        if (typeof value === 'function') {
+            throw new Error('Unable to serialize a function value.');
+        }
+        // undefined has no JSON form, so give it one of its own
+        return (typeof value === 'undefined') ? 'undefined' : JSON.stringify(value);
+    }
+    if (seen.indexOf(value) >= 0) {
+        throw new Error('Unable to serialize a circular reference.');
+    }
+    const nextSeen = seen.concat([value]);
+    if (Array.isArray(value)) {
+        return `[${value.map(v => stableStringify(v, nextSeen)).join(',')}]`;
+    }
+    if (value instanceof Date) {
+        return `Date(${value.toISOString()})`;
+    }
+    return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${stableStringify(value[k], nextSeen)}`).join(',')}}`;
+}
+
+/**
+ * Returns a stable hash of the given value, such that values which are structurally equal
+ * (ignoring object key order) hash the same.
+ *
+ * @param {*} value - The value to be hashed.
+ *
+ * @throws An error if the value can't be serialized (see `stableStringify`).
+ */
+function stableHash(value) {
+    return crypto.createHash('sha1').update(stableStringify(value)).digest('hex');
+}
+
+/**
+ * Ensures that the given object provides every function needed of a cache store.
+ *
+ * @param {Object} store - The store to be checked.
+ *
+ * @returns {Object} The given store.
+ *
+ * @throws An error if the store is missing some function.
+ */
+function checkStore(store) {
+    if (!store || (typeof store !== 'object')) {
+        throw new Error(`Expected cache store to be an object, but instead found: (${typeof store}) ${store}`);
+    }
+    storeFields.forEach(field => {
+        if (typeof store[field] !== 'function') {
+            throw new Error(`The given cache store is missing the "${field}" function. Stores must provide each of: ${storeFields.join(', ')}`);
+        }
+    });
+    return store;
+}
+
+/**
+ * Builds the key under which the result of some validation is cached, from the validation's
+ * namespace, scheme and method, along with a stable hash of its resolved params.
+ *
+ * @param {string} namespace - Namespace of the validation's scheme.
+ * @param {string} scheme - Name of the validation's scheme.
+ * @param {string} method - Name of the validation method.
+ * @param {Object} params - The resolved params the validation was run with.
+ *
+ * @returns {string|undefined} The key, or undefined if the params can't be hashed (in which
+ * case the result shouldn't be cached).
+ */
+function decisionKey(namespace, scheme, method, params) {
+    try {
+        return `${namespace}:${scheme}:${method}:${stableHash(params)}`;
+    } catch (e) {
+        return undefined;
+    }
+}
+
+/**
+ * Removes every cached decision matching the given filter from the store.
+ *
+ * @param {Object} store - The store to remove decisions from.
+ * @param {Object} filter - Describes which decisions should be removed.
+ * @param {string} filter.namespace - Namespace of the scheme whose decisions should be removed.
+ * @param {string} filter.scheme - Name of the scheme whose decisions should be removed.
+ * @param {string} [filter.method] - Name of the validation method whose decisions should be
+ * removed. If not given, decisions for every method of the scheme are removed.
+ * @param {Function|Object} [filter.params] - Either a function called with the params of each
+ * decision, returning whether it should be removed, or an object whose fields must all equal
+ * the corresponding params of a decision for it to be removed.
+ *
+ * @returns {Promise<number>} The number of decisions removed.
+ */
+async function invalidate(store, filter) {
+    const prefix = `${filter.namespace}:${filter.scheme}:${(typeof filter.method === 'string') ? `${filter.method}:` : ''}`;
+    const matchesParams = (params) => {
+        if (typeof filter.params === 'function') {
+            return filter.params(params) === true;
+        }
+        if (filter.params && (typeof filter.params === 'object')) {
+            return Object.keys(filter.params).every(k => {
+                try {
+                    return stableHash(filter.params[k]) === stableHash(params[k]);
+                } catch (e) {
+                    return false;
+                }
+            });
+        }
+        return true;
+    };
+
+    let removed = 0;
+    const keys = await store.keys();
+    for (let i = 0; i < keys.length; i++) {
+        if (!keys[i].startsWith(prefix)) {
+            continue;
+        }
+        const entry = await store.get(keys[i]);
+        if (entry && matchesParams(entry.params)) {
+            await store.delete(keys[i]);
+            removed++;
+        }
+    }
+    return removed;
+}
+
+module.exports = {
+    MemoryStore,
+    stableHash,
+    checkStore,
+    decisionKey,
+    invalidate,
+};
@@ -0,0 +1,126 @@
+/**
+ * @file coverage.js
+ * Reports how much of the provider registry is put to use by the validators built so far: the
+ * validation methods which no validator targets, the declared params which no validator
+ * overrides, and the overrides naming params which the provider doesn't declare. Optionally,
+ * the number of times each validation method actually ran is reported too.
+ */
+
+const registry = require('../registry/registry');
+
+/**
+ * Lists the simple validators held within the given validators, descending into compound
+ * validators. Each validator is only listed once, however many times it is nested.
+ *
+ * @param {Object[]} validators - List of validators, or combinations of validators.
+ */
+function collect(validators) {
+    const found = [];
+    const seen = new Set();
+    const visit = (current) => {
+        if (!current || (typeof current !== 'object') || seen.has(current)) {
+            return;
+        }
+        seen.add(current);
+        if (typeof current.compile === 'function') {
+            found.push(current);
+            return;
+        }
+        (Array.isArray(current.target) ? current.target : []).forEach(visit);
+    };
+    validators.forEach(visit);
+    return found;
+}
+
+/**
+ * Totals the runs of each validation method held by the given metrics snapshot.
+ *
+ * @param {Object} snapshot - A snapshot, as returned from `Permissions.metrics()`.
+ *
+ * @returns {Map} Run counts, keyed by namespace, scheme and method name.
+ */
+function countRuns(snapshot) {
+    const runs = new Map();
+    snapshot.validations.forEach(entry => {
+        runs.set(`${entry.namespace}\u0000${entry.scheme}\u0000${entry.method}`, entry.passed + entry.failed + entry.threw);
+    });
+    return runs;
+}
+
+/**
+ * Builds the coverage report of the given validators against the provider registry.
+ * Validators targeting schemes which can't be found are left out, as these are reported by
+ * `Permissions.verify()` instead.
+ *
+ * @param {Object[]} validators - List of validators, or combinations of validators.
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ * @param {Object} [snapshot] - A metrics snapshot, as returned from `Permissions.metrics()`.
+ * Where given, the number of times each validation method ran is reported as well.
+ *
+ * @returns {Object} A report holding the number of validators checked (`checked`), and an entry
+ * for each registered scheme (`schemes`), holding its `namespace` and `scheme` names, its
+ * validation `methods`, the methods which no validator targets (`untargeted`), its declared
+ * `params`, the params which no validator overrides (`neverOverridden`), and the overridden
+ * params which it doesn't declare (`undeclaredOverrides`). Where a snapshot is given, entries
+ * also hold the number of `runs` of each method, and the methods which never ran (`unexecuted`).
+ */
+function report(validators, namespaces, snapshot) {
+    const found = collect(validators);
+
+    // how each registered scheme is used, keyed by its registry entry
+    const usage = new Map();
+    const usageOf = (entry) => {
+        if (!usage.has(entry)) {
+            usage.set(entry, { targeted: new Set(), overridden: new Set() });
+        }
+        return usage.get(entry);
+    };
+    found.forEach(validator => {
+        const compiled = validator.compile();
+        const entry = registry.lookup(namespaces, compiled.namespace, compiled.scheme);
+        if (!entry) {
+            return;
+        }
+        const used = usageOf(entry);
+        const targets = (compiled.target === '*') ? entry.validations : (Array.isArray(compiled.target) ? compiled.target : []);
+        targets.forEach(method => used.targeted.add(method));
+        Object.keys(compiled.params || {}).forEach(param => used.overridden.add(param));
+    });
+
+    const runs = snapshot ? countRuns(snapshot) : undefined;
+    const schemes = [];
+    Object.keys(namespaces).forEach(namespace => {
+        Object.keys(namespaces[namespace]).forEach(name => {
+            const entry = namespaces[namespace][name];
+            const used = usageOf(entry);
+            const declared = (entry.provider._params && (typeof entry.provider._params === 'object')) ? Object.keys(entry.provider._params) : [];
+            const scheme = {
+                namespace,
+                scheme: name,
+                methods: entry.validations.slice(),
+                untargeted: entry.validations.filter(method => !used.targeted.has(method)),
+                params: declared,
+                neverOverridden: declared.filter(param => !used.overridden.has(param)),
+                undeclaredOverrides: Array.from(used.overridden).filter(param => !declared.includes(param)),
+            };
+            if (runs) {
+                scheme.runs = {};
+                entry.validations.forEach(method => {
+                    scheme.runs[method] = runs.get(`${namespace}\u0000${name}\u0000${method}`) || 0;
+                });
+                scheme.unexecuted = entry.validations.filter(method => scheme.runs[method] === 0);
+            }
+            schemes.push(scheme);
+        });
+    });
+
+    return {
+        checked: found.length,
+        schemes,
+    };
+}
+
+module.exports = {
+    collect,
+    report,
+};
@@ -0,0 +1,189 @@
+/**
+ * @file events.js
+ * Emits events describing permission decisions, so that every decision may be recorded (such
+ * as by the audit sink), without changing how validation itself behaves.
+ *
+ * Three events are emitted:
+ * - 'validation', once for each validation method run, holding its outcome.
+ * - 'decision', once for each match, holding the overall outcome and its validations.
+ * - 'error', once for each validation method which threw, and once for each match which threw.
+ *
+ * Events are built from the decision trace of each match, so params are always redacted as
+ * they are in traces (through `_redact` lists and the `redact` hook).
+ */
+
+const trace = require('../trace/trace');
+
+// Names of the events which handlers may be added for.
+const EVENT_TYPES = ['decision', 'validation', 'error'];
+
+/**
+ * Creates an emitter holding the handlers of each event type. Unlike Node's own emitter, no
+ * event is ever thrown for lack of a handler, and handlers throwing never affect a decision:
+ * such errors are reported as process warnings instead.
+ */
+function createEmitter() {
+    const handlers = {};
+    EVENT_TYPES.forEach(type => {
+        handlers[type] = [];
+    });
+
+    const checkType = (type) => {
+        if (!EVENT_TYPES.includes(type)) {
+            throw new Error(`Attempted to use unknown event type "${type}". Expected one of: ${EVENT_TYPES.join(', ')}`);
+        }
+    };
+
+    const emitter = {
+        on(type, handler) {
+            checkType(type);
+            if (typeof handler !== 'function') {
+                throw new Error(`Expected the handler for "${type}" events to be a function, but instead found: (${typeof handler}) ${handler}`);
+            }
+            handlers[type].push(handler);
+            return () => emitter.off(type, handler);
+        },
+        off(type, handler) {
+            checkType(type);
+            const index = handlers[type].indexOf(handler);
+            if (index >= 0) {
+                handlers[type].splice(index, 1);
+            }
+        },
+        listening() {
+            return EVENT_TYPES.some(type => handlers[type].length > 0);
+        },
+        emit(type, event) {
+            handlers[type].slice().forEach(handler => {
+                try {
+                    handler(event);
+                } catch (err) {
+                    process.emitWarning(`A Stockade "${type}" event handler threw an error: ${err && err.stack}`);
+                }
+            });
+        },
+    };
+    return emitter;
+}
+
+/**
+ * Returns a short description of the given validator, such as
+ * `anyOf(creator.allOf(canManageCreator), moderation.allOf(isAdministrator))`. Unlike
+ * permission expressions, every validator may be described this way.
+ *
+ * @param {Object} validator - A validator, or combination of validators.
+ */
+function describe(validator) {
+    if (!validator || (typeof validator !== 'object')) {
+        return String(validator);
+    }
+    if (typeof validator.compile === 'function') {
+        const compiled = validator.compile();
+        const prefix = `${(compiled.namespace === 'global') ? '' : `${compiled.namespace}:`}${compiled.scheme}`;
+        const targets = (compiled.target === '*') ? [] : (compiled.target || []);
+        const args = (compiled.method === 'atLeast') ? [compiled.count].concat(targets) : targets;
+        return `${prefix}.${compiled.method}(${args.join(', ')})`;
+    }
+    if (validator.method === 'NOP') {
+        return 'none()';
+    }
+    const children = (Array.isArray(validator.target) ? validator.target : []).map(describe);
+    const args = (validator.method === 'atLeast') ? [validator.count].concat(children) : children;
+    return `${validator.method}(${args.join(', ')})`;
+}
+
+/**
+ * Lists the validation records held within the given decision trace, one for each targeted
+ * validation (including those skipped within a validator).
+ *
+ * @param {Object} node - A node of the decision trace.
+ * @param {Object} base - Fields shared by every record: the `timestamp` at which the match
+ * began, and the description of the whole `validator`.
+ */
+function validationRecords(node, base) {
+    if (!node) {
+        return [];
+    }
+    if (node.type === 'compound') {
+        return [].concat(...node.children.map(child => validationRecords(child, base)));
+    }
+    if (node.type !== 'validator') {
+        return [];
+    }
+    return node.targets.map(target => {
+        const record = Object.assign({}, base, {
+            name: target.name,
+            namespace: node.namespace,
+            scheme: node.scheme,
+            method: target.name.slice(target.name.lastIndexOf(':') + 1),
+            match: node.method,
+            params: node.params,
+            status: target.status,
+            durationMs: target.durationMs,
+        });
+        ['explanation', 'error', 'elements'].forEach(key => {
+            if (target[key] !== undefined) {
+                record[key] = target[key];
+            }
+        });
+        return record;
+    });
+}
+
+/**
+ * Validates a request through the given match function while emitting events for the
+ * decision. A trace is always built for the match, though it's only kept on the result where
+ * one was asked for.
+ *
+ * @param {Object} emitter - The emitter, as returned from `createEmitter()`.
+ * @param {Object} validator - The validator being matched.
+ * @param {Object} [options] - Options passed along to the match.
+ * @param {Function} match - Called with the options to be used, returning the match result.
+ *
+ * @returns {Promise<Object>} The result of the match.
+ */
+async function observe(emitter, validator, options, match) {
+    options = (options && (typeof options === 'object')) ? options : {};
+    const timestamp = new Date().toISOString();
+    const startedAt = trace.now();
+    const description = describe(validator);
+
+    let result;
+    try {
+        result = await match(Object.assign({}, options, { trace: true }));
+    } catch (error) {
+        emitter.emit('error', { timestamp, validator: description, error, durationMs: trace.now() - startedAt });
+        throw error;
+    }
+
+    const validations = validationRecords(result.trace, { timestamp, validator: description });
+    validations.forEach(record => {
+        emitter.emit('validation', record);
+        if (record.status === 'threw') {
+            emitter.emit('error', record);
+        }
+    });
+    emitter.emit('decision', {
+        timestamp,
+        validator: description,
+        hasPassed: result.hasPassed,
+        passedValidations: result.passedValidations,
+        failedValidations: result.failedValidations,
+        skippedValidations: result.skippedValidations,
+        thrownErrors: result.thrownErrors,
+        validations,
+        durationMs: trace.now() - startedAt,
+    });
+
+    if (options.trace !== true) {
+        delete result.trace;
+    }
+    return result;
+}
+
+module.exports = {
+    EVENT_TYPES,
+    createEmitter,
+    describe,
+    observe,
+};
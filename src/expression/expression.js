@@ -0,0 +1,428 @@
+/**
+ * @file expression.js
+ * Parses text expressions like `user:isLoggedIn & (creator:canManage | moderation:isAdmin)`
+ * into validators, and stringifies validators back into such expressions.
+ *
+ * Grammar (loosest binding first):
+ *
+ *     expression := and ('|' and)*
+ *     and        := unary ('&' unary)*
+ *     unary      := '!' unary | '(' expression ')' | 'none' | term
+ *     term       := [namespace ':'] scheme [overrides] ':' (method | '*')
+ *     overrides  := '[' name '=' value (',' name '=' value)* ']'
+ *
+ * Override values are either parameter definitions (starting with one of the source prefixes,
+ * such as '?', '$', 'header:' or 'req.'), or literal values (numbers, double-quoted strings,
+ * `true`, `false` or `null`), which are used as `{ value }` definitions.
+ */
+
+const paramDefs = require('../params/params');
+
+// Characters allowed within namespace, scheme, method and parameter names.
+const NAME_CHAR = /[A-Za-z0-9_$.-]/;
+
+// Operator binding strength, used to decide where parentheses are needed when stringifying.
+const PRECEDENCE = {
+    or: 1,
+    and: 2,
+    unary: 3,
+};
+
+/**
+ * Creates an error describing a problem found at the given column of an expression.
+ *
+ * @param {string} message - Description of the problem.
+ * @param {string} source - The expression being parsed.
+ * @param {number} index - Zero-based index of the problem within the expression.
+ */
+function parseError(message, source, index) {
+    const err = new Error(`${message} at column ${index + 1} of permission expression: ${source}`);
+    err.name = 'ParseError';
+    err.code = 'parseError';
+    err.column = index + 1;
+    return err;
+}
+
+/**
+ * Recursive-descent parser producing a small syntax tree from an expression string.
+ */
+class Parser {
+
+    constructor(source) {
+        this.source = source;
+        this.pos = 0;
+    }
+
+    skipSpace() {
+        while ((this.pos < this.source.length) && /\s/.test(this.source[this.pos])) {
+            this.pos++;
+        }
+    }
+
+    peek() {
+        this.skipSpace();
+        return this.source[this.pos];
+    }
+
+    expect(char) {
+        if (this.peek() !== char) {
+            throw this.unexpected(`Expected "${char}"`);
+        }
+        this.pos++;
+    }
+
+    unexpected(expectation) {
+        const found = (this.pos < this.source.length) ? `"${this.source[this.pos]}"` : 'end of input';
+        return parseError(`${expectation}, but found ${found}`, this.source, this.pos);
+    }
+
+    name(what) {
+        this.skipSpace();
+        const start = this.pos;
+        while ((this.pos < this.source.length) && NAME_CHAR.test(this.source[this.pos])) {
+            this.pos++;
+        }
+        if (this.pos === start) {
+            throw this.unexpected(`Expected ${what}`);
+        }
+        return this.source.slice(start, this.pos);
+    }
+
+    parse() {
+        if (this.peek() === undefined) {
+            throw this.unexpected('Expected a validator');
+        }
+        const node = this.expression();
+        if (this.peek() !== undefined) {
+            throw this.unexpected('Expected "&", "|" or end of input');
+        }
+        return node;
+    }
+
+    expression() {
+        const children = [this.and()];
+        while (this.peek() === '|') {
+            this.pos++;
+            children.push(this.and());
+        }
+        return (children.length === 1) ? children[0] : { type: 'or', children };
+    }
+
+    and() {
+        const children = [this.unary()];
+        while (this.peek() === '&') {
+            this.pos++;
+            children.push(this.unary());
+        }
+        return (children.length === 1) ? children[0] : { type: 'and', children };
+    }
+
+    unary() {
+        const char = this.peek();
+        if (char === '!') {
+            this.pos++;
+            return { type: 'not', child: this.unary() };
+        }
+        if (char === '(') {
+            this.pos++;
+            const node = this.expression();
+            this.expect(')');
+            return node;
+        }
+        return this.term();
+    }
+
+    term() {
+        this.skipSpace();
+        const start = this.pos;
+        const names = [this.name('a scheme name, "!" or "("')];
+        let params = null;
+
+        // Read up to three colon-separated segments, where overrides may follow the scheme name.
+        for (;;) {
+            if ((this.peek() === '[') && !params) {
+                params = this.overrides();
+                if (this.peek() !== ':') {
+                    throw this.unexpected('Expected ":" followed by a validation name');
+                }
+            }
+            if (this.peek() !== ':') {
+                break;
+            }
+            this.pos++;
+            if (this.peek() === '*') {
+                this.pos++;
+                names.push('*');
+                break;
+            }
+            names.push(this.name('a validation name or "*"'));
+            if (params) {
+                break;
+            }
+        }
+
+        // A lone name is only valid as the no-op validator.
+        if ((names.length === 1) && (names[0] === 'none') && !params) {
+            return { type: 'none' };
+        }
+        if (names.length < 2) {
+            throw this.unexpected('Expected ":" followed by a validation name');
+        }
+        if (names.length > 3) {
+            throw parseError(`Expected a validator of the form "scheme:method" or "namespace:scheme:method", but found "${this.source.slice(start, this.pos).trim()}"`, this.source, start);
+        }
+        const method = names.pop();
+        const scheme = names.pop();
+        const namespace = names.length ? names.pop() : 'global';
+        if (scheme === '*') {
+            throw parseError('Expected a scheme name, but found "*"', this.source, start);
+        }
+        return { type: 'term', namespace, scheme, params: params || {}, method };
+    }
+
+    overrides() {
+        const params = {};
+        this.expect('[');
+        for (;;) {
+            this.skipSpace();
+            const start = this.pos;
+            const key = this.name('a parameter name');
+            if (Object.prototype.hasOwnProperty.call(params, key)) {
+                throw parseError(`Found a duplicate override for parameter "${key}"`, this.source, start);
+            }
+            this.expect('=');
+            params[key] = this.overrideValue();
+            if (this.peek() !== ',') {
+                break;
+            }
+            this.pos++;
+        }
+        this.expect(']');
+        return params;
+    }
+
+    overrideValue() {
+        const char = this.peek();
+        const start = this.pos;
+
+        // Double-quoted strings follow JSON rules.
+        if (char === '"') {
+            let end = this.pos + 1;
+            while ((end < this.source.length) && (this.source[end] !== '"')) {
+                end += (this.source[end] === '\\') ? 2 : 1;
+            }
+            if (end >= this.source.length) {
+                throw parseError('Found an unterminated string', this.source, start);
+            }
+            this.pos = end + 1;
+            try {
+                return { value: JSON.parse(this.source.slice(start, this.pos)) };
+            } catch (err) {
+                throw parseError('Found an invalid string', this.source, start);
+            }
+        }
+
+        // Otherwise, read everything up to the next separator.
+        while ((this.pos < this.source.length) && !/[\s,\]]/.test(this.source[this.pos])) {
+            this.pos++;
+        }
+        const raw = this.source.slice(start, this.pos);
+        const source = paramDefs.parseSource(raw);
+        if (source) {
+            if (source.name.length === 0) {
+                throw parseError(`Found an incomplete parameter definition "${raw}"`, this.source, start);
+            }
+            return raw;
+        }
+        if (['true', 'false', 'null'].includes(raw) || /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(raw)) {
+            return { value: JSON.parse(raw) };
+        }
+        this.pos = start;
+        throw this.unexpected(`Expected a parameter definition (starting with one of ${paramDefs.SOURCE_PREFIXES.map(p => `'${p}'`).join(', ')}) or a literal value`);
+    }
+
+}
+
+/**
+ * Builds the validator described by a single term node.
+ *
+ * @param {Object} api - The Permissions object used to create validators.
+ * @param {Object} term - Term node, as produced by the parser.
+ * @param {string[]} methods - Validation names to be targeted, '*' targeting all of them.
+ * @param {string} matcher - Name of the finalizing method for named targets: 'allOf' or 'anyOf'.
+ */
+function buildValidator(api, term, methods, matcher) {
+    let validator = api.for(term.scheme, term.namespace);
+    for (const key in term.params) {
+        validator = validator[key](term.params[key]);
+    }
+    return (methods[0] === '*') ? validator.all() : validator[matcher](...methods);
+}
+
+/**
+ * Builds a validator from the given syntax tree node. Terms sharing the same scheme and
+ * overrides within an '&' (or '|') chain are merged into a single `allOf(...)` (or `anyOf(...)`)
+ * validator.
+ *
+ * @param {Object} api - The Permissions object used to create validators.
+ * @param {Object} node - Syntax tree node, as produced by the parser.
+ */
+function build(api, node) {
+    if (node.type === 'none') {
+        return api.none();
+    }
+    if (node.type === 'term') {
+        return buildValidator(api, node, [node.method], 'allOf');
+    }
+    if (node.type === 'not') {
+        return api.not(build(api, node.child));
+    }
+
+    const matcher = (node.type === 'and') ? 'allOf' : 'anyOf';
+    const groups = [];
+    const groupsByKey = {};
+    node.children.forEach(child => {
+        if ((child.type !== 'term') || (child.method === '*')) {
+            groups.push(child);
+            return;
+        }
+        const key = JSON.stringify([child.namespace, child.scheme, Object.keys(child.params).sort().map(k => [k, child.params[k]])]);
+        if (!groupsByKey[key]) {
+            groupsByKey[key] = { type: 'group', term: child, methods: [] };
+            groups.push(groupsByKey[key]);
+        }
+        if (!groupsByKey[key].methods.includes(child.method)) {
+            groupsByKey[key].methods.push(child.method);
+        }
+    });
+
+    const validators = groups.map(group => ((group.type === 'group')
+        ? buildValidator(api, group.term, group.methods, (group.methods.length > 1) ? matcher : 'allOf')
+        : build(api, group)));
+    return (validators.length === 1) ? validators[0] : api[matcher](...validators);
+}
+
+/**
+ * Parses the given expression into a validator.
+ *
+ * @param {string} source - The expression to be parsed.
+ * @param {Object} api - The Permissions object used to create validators.
+ *
+ * @throws An error with a `column` field if the expression is malformed.
+ */
+function parse(source, api) {
+    if (typeof source !== 'string') {
+        throw new Error(`Expected a permission expression of type string, but instead found: (${typeof source}) ${source}`);
+    }
+    return build(api, new Parser(source).parse());
+}
+
+/**
+ * Returns the expression text for the given parameter override definition.
+ *
+ * @param {string} key - Name of the overridden parameter.
+ * @param {string|Object} definition - The override definition.
+ */
+function stringifyOverride(key, definition) {
+    if (typeof definition === 'string') {
+        if (/[\s,\]]/.test(definition)) {
+            throw new Error(`Unable to stringify the override for parameter "${key}": the definition "${definition}" contains whitespace, ',' or ']'.`);
+        }
+        return `${key}=${definition}`;
+    }
+    const value = definition.value;
+    if ((value !== null) && !['string', 'number', 'boolean'].includes(typeof value)) {
+        throw new Error(`Unable to stringify the override for parameter "${key}": only string, number, boolean and null values may be expressed, but found: (${typeof value}) ${value}`);
+    }
+    if ((typeof value === 'number') && !isFinite(value)) {
+        throw new Error(`Unable to stringify the override for parameter "${key}": found non-finite number ${value}`);
+    }
+    return `${key}=${JSON.stringify(value)}`;
+}
+
+/**
+ * Returns the text and binding strength of the given validator.
+ *
+ * @param {Object} validator - A validator, or combination of validators.
+ *
+ * @returns {{ text: string, precedence: number }}
+ */
+function describe(validator) {
+    if (!validator || (typeof validator !== 'object')) {
+        throw new Error(`Expected a validator to be stringified, but instead found: (${typeof validator}) ${validator}`);
+    }
+
+    // Simple validators expand into one term per targeted validation.
+    if (typeof validator.compile === 'function') {
+        const compiled = validator.compile();
+        if (compiled.forEach) {
+            throw new Error(`Unable to stringify validator for scheme "${compiled.scheme}": validations fanned out over parameter "${compiled.forEach.param}" cannot be expressed as a permission expression.`);
+        }
+        const overrides = Object.keys(compiled.params).map(key => stringifyOverride(key, compiled.params[key]));
+        const prefix = ((compiled.namespace !== 'global') ? `${compiled.namespace}:` : '')
+            + compiled.scheme
+            + (overrides.length ? `[${overrides.join(', ')}]` : '');
+        const terms = (compiled.target === '*') ? ['*'] : compiled.target;
+        switch (compiled.method) {
+            case 'all':
+            case 'allOf':
+                return join(terms.map(method => ({ text: `${prefix}:${method}`, precedence: PRECEDENCE.unary })), ' & ', PRECEDENCE.and);
+            case 'anyOf':
+                return join(terms.map(method => ({ text: `${prefix}:${method}`, precedence: PRECEDENCE.unary })), ' | ', PRECEDENCE.or);
+            case 'noneOf':
+                return join(terms.map(method => ({ text: `!${prefix}:${method}`, precedence: PRECEDENCE.unary })), ' & ', PRECEDENCE.and);
+            default:
+                throw new Error(`Unable to stringify validator for scheme "${compiled.scheme}": the "${compiled.method}" method cannot be expressed as a permission expression.`);
+        }
+    }
+
+    switch (validator.method) {
+        case 'NOP':
+            return { text: 'none', precedence: PRECEDENCE.unary };
+        case 'not':
+            return { text: `!${wrap(describe(validator.target[0]), PRECEDENCE.unary)}`, precedence: PRECEDENCE.unary };
+        case 'allOf':
+            return join(validator.target.map(describe), ' & ', PRECEDENCE.and);
+        case 'anyOf':
+            return join(validator.target.map(describe), ' | ', PRECEDENCE.or);
+        case 'noneOf':
+            return { text: `!(${join(validator.target.map(describe), ' | ', PRECEDENCE.or).text})`, precedence: PRECEDENCE.unary };
+        default:
+            throw new Error(`Unable to stringify compound validator: the "${validator.method}" method cannot be expressed as a permission expression.`);
+    }
+}
+
+/**
+ * Joins the given descriptions with an operator of the given binding strength.
+ */
+function join(parts, operator, precedence) {
+    if (parts.length === 1) {
+        return parts[0];
+    }
+    return { text: parts.map(part => wrap(part, precedence)).join(operator), precedence };
+}
+
+/**
+ * Returns the text of the given description, parenthesized if it binds looser than required.
+ */
+function wrap(part, precedence) {
+    return (part.precedence < precedence) ? `(${part.text})` : part.text;
+}
+
+/**
+ * Returns an expression which parses back into an equivalent validator. Execution options
+ * (parallel execution, short-circuiting and timeouts) are not part of the expression.
+ *
+ * @param {Object} validator - A validator, or combination of validators.
+ *
+ * @throws An error if the validator uses a method with no expression equivalent, such as
+ * `any()` or `atLeast(...)`.
+ */
+function stringify(validator) {
+    return describe(validator).text;
+}
+
+module.exports = {
+    parse,
+    stringify,
+};
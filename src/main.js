@@ -1,15 +1,23 @@
 /**
  * @file main.js
  * Exposes what is pretty much a static class containing permission helpers used to manage
- * state and match against requests.
+ * state and match against requests. This default instance works against the global stockade
+ * object, while independent instances may be created with `createInstance(...)`.
  */
 
-// Stockade object defaults, move this to auxiliary.
-const defaults = {
-    namespaces: {
-        global: {},
-    },
-};
+/**
+ * Creates a Stockade state object holding the defaults (move this to auxiliary).
+ */
+function createState() {
+    return {
+        namespaces: {
+            global: {},
+        },
+        settings: {
+            adapter: 'express',
+        },
+    };
+}
 
 // Pull out our global stockade object, or create a new one if not yet defined.
 //
@@ -22,222 +30,907 @@ const stockade = (global._stockade instanceof Object)
     ? global._stockade
     : Object.defineProperty(global, '_stockade', {
         writable: false,
-        value: defaults,
+        value: createState(),
     })._stockade;
 
-// Pull the namespaces out of our global object.
-const namespaces = stockade.namespaces;
-
+const adapters = require('./adapters/adapters');
+const cache = require('./cache/cache');
 const createValidator = require('./validator/validator').create;
-const greenTea = require('./matcher/matcher')(namespaces);
-
-module.exports = {
-
-    /**
-     * Returns a validator for building permission matches against the given scheme name.
-     *
-     * @param {string} permissionSchemeName - Name of a registered permission scheme which the
-     * created validator should be set for. Examples might be 'user', 'creator', 'moderation',
-     * etc...
-     * @param {string} [schemeNamespace] - Namespace which should be searched for the named
-     * scheme. If not specified, then the global floatperms namespace is searched.
-     */
-    for(permissionSchemeName, schemeNamespace) {
-        // default schemeNamespace to global if not specified
-        if ((typeof schemeNamespace !== 'string') || (schemeNamespace.length === 0)) {
-            schemeNamespace = 'global';
+const expression = require('./expression/expression');
+const serialize = require('./serialize/serialize');
+const manifest = require('./manifest/manifest');
+const verify = require('./verify/verify');
+const coverage = require('./coverage/coverage');
+const registry = require('./registry/registry');
+const paramDefs = require('./params/params');
+const events = require('./events/events');
+const audit = require('./audit/audit');
+const metrics = require('./metrics/metrics');
+const createMatcher = require('./matcher/matcher');
+const createMiddleware = require('./middleware/middleware').create;
+
+// The state object of the instance which built each validator, used to keep validators bound to their instance.
+const owners = new WeakMap();
+
+/**
+ * Removes and returns a trailing compound options object from the given list of validators, if
+ * there is one. Options objects are told apart from validators by having neither a `compile`
+ * function nor a `method` field.
+ *
+ * @param {Object[]} validatorList - List of arguments passed to a compound validator builder.
+ * This list is modified in place.
+ */
+function popCompoundOptions(validatorList) {
+    const last = validatorList[validatorList.length - 1];
+    if (last && (typeof last === 'object') && (typeof last.compile !== 'function') && !('method' in last)) {
+        return validatorList.pop();
+    }
+    return {};
+}
+
+/**
+ * Applies any supported compound options onto the given compound validator, returning it.
+ *
+ * @param {Object} compound - The compound validator which options should be applied to.
+ * @param {Object} options - Options object, as returned from `popCompoundOptions(...)`.
+ */
+function applyCompoundOptions(compound, options) {
+    if (options.shortCircuit === true) {
+        compound.shortCircuit = true;
+    }
+    if (typeof options.parallel !== 'undefined') {
+        if (options.parallel === false) {
+            compound.parallel = false;
+        } else if (Number.isInteger(options.parallel) && (options.parallel > 0)) {
+            compound.concurrency = options.parallel;
+        } else if (options.parallel !== true) {
+            throw new Error(`Expected the \`parallel\` option of a compound validator to be a boolean or a positive integer, but instead found: (${typeof options.parallel}) ${options.parallel}`);
         }
+    }
+    return compound;
+}
 
-        const validator = createValidator(permissionSchemeName, schemeNamespace);
-
-        // Run some special handling only if using sails.
-        if (typeof global.sails === 'object') {
-            // Generate an error for the invalid case early, in this scope, so we'll have a helpful stack trace.
-            const notFoundError = new Error(`Attempted to build validator for scheme "${permissionSchemeName}" in namespace "${schemeNamespace}", but no such scheme has been registered!`);
-            // Once sails has fully lifted, we can take that as a sign that all hooks have initialized.
-            // This means that all permissions schemes should be registered, and we can perform validation.
-            global.sails.on('lifted', () => {
-                const namespace = namespaces[schemeNamespace] || {};
-                const scheme = namespace[permissionSchemeName];
-                // Throw an error if our named scheme couldn't be found.
-                if (!scheme) {
-                    throw notFoundError;
-                }
-                // Otherwise, let's do some morce checking! We'll throw an error if some validation method doesn't exist on a scheme.
-                const ecTargets = validator.compile().target;
-                ecTargets.forEach(name => {
-                    if (!scheme.validations.includes(name) && (name !== '*')) {
-                        // Still a notFoundError, just change the message :3 (we want the nice, usable stack-trace)
-                        notFoundError.message = `Attempted to match against method "${name}" with scheme "${permissionSchemeName}" (in namespace "${schemeNamespace}"), but no such validation method exists!`;
-                        throw notFoundError;
+/**
+ * Builds a Stockade instance around the given state object, holding its own provider registry,
+ * settings, matcher and validator factory.
+ *
+ * @param {Object} stockade - State of the instance: the `namespaces` registry and `settings`.
+ * Any missing fields are filled in.
+ */
+function createStockade(stockade) {
+    // Settings may be missing where the global object was created by an older Stockade version.
+    const namespaces = stockade.namespaces;
+    const settings = stockade.settings || (stockade.settings = {});
+
+    // Make sure we've a decision cache store, defaulting to the in-memory LRU store.
+    if (!settings.cacheStore) {
+        settings.cacheStore = new cache.MemoryStore();
+    }
+
+    // Every validator built while tracking, checked by `Permissions.verify()`, along with errors captured
+    // at the point each was built (used to give helpful stack traces when verification fails).
+    const builtValidators = stockade.validators || (stockade.validators = []);
+    const callSites = stockade.callSites || (stockade.callSites = new WeakMap());
+
+    // Outcome counters and latency histograms, recorded by the matcher as requests are validated.
+    const collector = stockade.metrics || (stockade.metrics = metrics.createCollector());
+
+    // Validators built by other instances may not be matched against this one. Validators of unknown
+    // origin are let through, as these may have been built by another copy of this module (see issue #2).
+    const greenTea = createMatcher(namespaces, settings, validator => {
+        const owner = owners.get(validator);
+        return !owner || (owner === stockade);
+    }, collector);
+
+    // Handlers of the 'decision', 'validation' and 'error' events emitted as requests are validated.
+    const emitter = stockade.emitter || (stockade.emitter = events.createEmitter());
+
+    // The sails instance which we've last set up verification on lift for, if any, and the last one lifted.
+    let verifiedSails = null;
+    let liftedSails = null;
+
+    // Validators are only tracked where enabled with `setValidatorTracking(true)`, or while some sails
+    // instance has yet to lift (so that they may be verified then), as they'd otherwise be held onto forever.
+    const isTracking = () => (settings.trackValidators === true)
+        || ((typeof global.sails === 'object') && (global.sails !== null) && (global.sails !== liftedSails));
+
+    const api = {
+
+        /**
+         * Returns a validator for building permission matches against the given scheme name.
+         *
+         * @param {string} permissionSchemeName - Name of a registered permission scheme which the
+         * created validator should be set for. Examples might be 'user', 'creator', 'moderation',
+         * etc...
+         * @param {string} [schemeNamespace] - Namespace which should be searched for the named
+         * scheme. If not specified, then the global floatperms namespace is searched.
+         */
+        for(permissionSchemeName, schemeNamespace) {
+            // default schemeNamespace to global if not specified
+            if ((typeof schemeNamespace !== 'string') || (schemeNamespace.length === 0)) {
+                schemeNamespace = 'global';
+            }
+
+            const validator = createValidator(permissionSchemeName, schemeNamespace);
+
+            // Capture the call site for a helpful stack trace should verification fail (held only for as long as the
+            // validator is), and keep track of the validator for verification where tracking.
+            owners.set(validator, stockade);
+            const callSite = new Error(`Validator for scheme "${permissionSchemeName}" in namespace "${schemeNamespace}" built here.`);
+            Error.captureStackTrace(callSite, api.for);
+            callSites.set(validator, callSite);
+            if (isTracking()) {
+                builtValidators.push(validator);
+            }
+
+            // If using sails, verify all validators once it has fully lifted, which we can take as a sign that all
+            // hooks have initialized (meaning that all permissions schemes should be registered). Unless tracking
+            // has been enabled, validators built from then on (such as per request) are no longer tracked.
+            if ((typeof global.sails === 'object') && (global.sails !== null) && (verifiedSails !== global.sails)) {
+                const sails = verifiedSails = global.sails;
+                sails.on('lifted', () => {
+                    liftedSails = sails;
+                    const report = verify.report(builtValidators, namespaces, callSites);
+                    if (settings.trackValidators !== true) {
+                        builtValidators.length = 0;
                     }
+                    verify.assert(report, true);
                 });
-            });
-        }
+            }
 
-        // return our created validator
-        return validator;
-    },
-
-    /**
-     * Wraps the given list of validators into a new, combined validator meant to check if
-     * any of the passed validators are considered valid.
-     *
-     * @param {...Object} validatorList - A list of the validator objects which should be
-     * combined into a single new validator.
-     */
-    anyOf(...validatorList) {
-        // If we haven't been passed at least two validators, then there's no point in making a compound validator.
-        if (validatorList.length < 2) {
-            throw new Error(`Expected at least two validators to be passed when creating a compound validator with \`.anyOf(...)\`, but found ${validatorList.length} validator${validatorList.length !== 1 ? 's' : ''} passed instead.`);
-        }
+            // return our created validator
+            return validator;
+        },
 
-        return {
-            method: 'anyOf',
-            target: validatorList
-        };
-    },
-
-    /**
-     * Wraps the given list of validators into a new, combined validator meant to check if
-     * all of the passed validators are considered valid.
-     *
-     * @param {...Object} validatorList - A list of the validator objects which should be
-     * combined into a single new validator.
-     */
-    allOf(...validatorList) {
-        // If we haven't been passed at least two validators, then there's no point in making a compound validator.
-        if (validatorList.length < 2) {
-            throw new Error(`Expected at least two validators to be passed when creating a compound validator with \`.allOf(...)\`, but found ${validatorList.length} validator${validatorList.length !== 1 ? 's' : ''} passed instead.`);
-        }
+        /**
+         * Wraps the given list of validators into a new, combined validator meant to check if
+         * any of the passed validators are considered valid.
+         *
+         * An options object may be passed after the validators, supporting:
+         * - `shortCircuit`: stop waiting on the remaining validators once the outcome is decided.
+         * - `parallel`: `false` to run the validators one after another, or the most which may
+         *   run at once. By default, every validator is started at once.
+         *
+         * @param {...Object} validatorList - A list of the validator objects which should be
+         * combined into a single new validator, optionally followed by an options object.
+         */
+        anyOf(...validatorList) {
+            const options = popCompoundOptions(validatorList);
 
-        return {
-            method: 'allOf',
-            target: validatorList,
-        };
-    },
-
-    /**
-     * Returns a no-op validator which can be used to satisfy a scenario where permission
-     * definitions are mandatory, but a certain route needs no protection.
-     */
-    none() {
-        return {
-            method: 'NOP'
-        };
-    },
-
-    /**
-     * Registers the given provider with the permissions store, under the given name and,
-     * if specified, under the given namespace.
-     *
-     * @param {Object} provider - An object describing the provider to be registered, should
-     * contain any permission matchers, special variables, and parameter details.
-     * @param {string} name - Name which the provider should be registered under.
-     * @param {string} [namespace] - Namespace which the provider should be registered in.
-     * If no namespace is provided, then the provider is registered within the global space.
-     *
-     * @throws An error if the user attempts to register a provider with the same name as an
-     * already registered provider, within the same namespace.
-     * @throws An error if the passed providerObject is not a proper object (i.e. non-null).
-     */
-    register(provider, name, namespace) {
-
-        // NOTE:
-        // All provider methods should start with one of ['is', 'can', 'has'], in order to keep
-        // things clear and sensible. At the moment this isn't enforced... Should it be?
-        //
-        // Examples of clear validation names:
-        // isLoggedIn, isAdministrator, canDeleteUser, canDeleteComment, etc...
-        //
-        // Examples of potentially ambiguous validation names:
-        // loggedIn, administrator, deleteUser, deleteComment, etc..
-        //
-
-        // throw if our provider isn't a proper object
-        if (!provider || (typeof provider !== 'object')) {
-            throw new Error(`Expected provider object to be a proper object, but instead found: (${typeof provider}) ${provider}`);
-        }
-        // default namespace to global if not specified
-        if ((typeof namespace !== 'string') || (namespace.length === 0)) {
-            namespace = 'global';
-        }
-        // grab NS object
-        const ns = namespaces[namespace] || (namespaces[namespace] = {});
-        // throw an error if the name we've specified is already taken
-        if (ns[name]) {
-            throw new Error(`Attempted to register a provider under already registered name "${name}", in namespace "${namespace}".`);
-        }
-        // validate the parameter defaults
-        if (provider._params && (typeof provider._params === 'object')) {
-            for (const key in provider._params) {
-                const paramDef = provider._params[key];
-                if (typeof paramDef === 'string') {
-                    if (!paramDef.startsWith('?') && !paramDef.startsWith('$') && !paramDef.startsWith('req.')) {
-                        throw new Error(`The provider definition "${name}" in namespace "${namespace}" contains an invalid _params entry "${key}". The string value must begin with one of '?', '$' or 'req.'`);
+            // If we haven't been passed at least two validators, then there's no point in making a compound validator.
+            if (validatorList.length < 2) {
+                throw new Error(`Expected at least two validators to be passed when creating a compound validator with \`.anyOf(...)\`, but found ${validatorList.length} validator${validatorList.length !== 1 ? 's' : ''} passed instead.`);
+            }
+
+            return applyCompoundOptions({
+                method: 'anyOf',
+                target: validatorList
+            }, options);
+        },
+
+        /**
+         * Wraps the given list of validators into a new, combined validator meant to check if
+         * all of the passed validators are considered valid.
+         *
+         * An options object may be passed after the validators, supporting:
+         * - `shortCircuit`: stop waiting on the remaining validators once the outcome is decided.
+         * - `parallel`: `false` to run the validators one after another, or the most which may
+         *   run at once. By default, every validator is started at once.
+         *
+         * @param {...Object} validatorList - A list of the validator objects which should be
+         * combined into a single new validator, optionally followed by an options object.
+         */
+        allOf(...validatorList) {
+            const options = popCompoundOptions(validatorList);
+
+            // If we haven't been passed at least two validators, then there's no point in making a compound validator.
+            if (validatorList.length < 2) {
+                throw new Error(`Expected at least two validators to be passed when creating a compound validator with \`.allOf(...)\`, but found ${validatorList.length} validator${validatorList.length !== 1 ? 's' : ''} passed instead.`);
+            }
+
+            return applyCompoundOptions({
+                method: 'allOf',
+                target: validatorList,
+            }, options);
+        },
+
+        /**
+         * Wraps the given list of validators into a new, combined validator meant to check that
+         * none of the passed validators are considered valid. A validator which throws is never
+         * taken as invalid, so any thrown error will cause this validator to fail.
+         *
+         * An options object may be passed after the validators, supporting:
+         * - `shortCircuit`: stop waiting on the remaining validators once the outcome is decided.
+         * - `parallel`: `false` to run the validators one after another, or the most which may
+         *   run at once. By default, every validator is started at once.
+         *
+         * @param {...Object} validatorList - A list of the validator objects which should be
+         * combined into a single new validator, optionally followed by an options object.
+         */
+        noneOf(...validatorList) {
+            const options = popCompoundOptions(validatorList);
+
+            // If we haven't been passed at least two validators, then there's no point in making a compound validator.
+            if (validatorList.length < 2) {
+                throw new Error(`Expected at least two validators to be passed when creating a compound validator with \`.noneOf(...)\`, but found ${validatorList.length} validator${validatorList.length !== 1 ? 's' : ''} passed instead. To negate a single validator, use \`.not(...)\`.`);
+            }
+
+            return applyCompoundOptions({
+                method: 'noneOf',
+                target: validatorList,
+            }, options);
+        },
+
+        /**
+         * Wraps the given list of validators into a new, combined validator meant to check if at
+         * least `count` of the passed validators are considered valid.
+         *
+         * An options object may be passed after the validators, supporting:
+         * - `shortCircuit`: stop waiting on the remaining validators once the outcome is decided.
+         * - `parallel`: `false` to run the validators one after another, or the most which may
+         *   run at once. By default, every validator is started at once.
+         *
+         * @param {number} count - The minimum number of validators which must pass.
+         * @param {...Object} validatorList - A list of the validator objects which should be
+         * combined into a single new validator, optionally followed by an options object.
+         */
+        atLeast(count, ...validatorList) {
+            const options = popCompoundOptions(validatorList);
+
+            // If we haven't been passed at least two validators, then there's no point in making a compound validator.
+            if (validatorList.length < 2) {
+                throw new Error(`Expected at least two validators to be passed when creating a compound validator with \`.atLeast(...)\`, but found ${validatorList.length} validator${validatorList.length !== 1 ? 's' : ''} passed instead.`);
+            }
+            // The count must be satisfiable by the validators given, otherwise the validator could never pass.
+            if (!Number.isInteger(count) || (count < 1) || (count > validatorList.length)) {
+                throw new Error(`Expected the count passed to \`.atLeast(...)\` to be an integer between 1 and the number of validators (${validatorList.length}), but instead found: (${typeof count}) ${count}`);
+            }
+
+            return applyCompoundOptions({
+                method: 'atLeast',
+                count,
+                target: validatorList,
+            }, options);
+        },
+
+        /**
+         * Wraps the given validator into a new validator which passes only when the given one
+         * fails. A validator which throws is never taken as failing, so any thrown error will
+         * cause the negated validator to fail as well.
+         *
+         * @param {Object} validator - The validator which should be negated.
+         */
+        not(validator) {
+            if (!validator || (typeof validator !== 'object')) {
+                throw new Error(`Expected a validator to be passed to \`.not(...)\`, but instead found: (${typeof validator}) ${validator}`);
+            }
+
+            return {
+                method: 'not',
+                target: [validator],
+            };
+        },
+
+        /**
+         * Returns a no-op validator which can be used to satisfy a scenario where permission
+         * definitions are mandatory, but a certain route needs no protection.
+         */
+        none() {
+            return {
+                method: 'NOP'
+            };
+        },
+
+        /**
+         * Parses the given permission expression into a validator, such as:
+         * `user:isLoggedIn & (creator:canManage | moderation[target=?banTargets]:canBanTarget)`.
+         *
+         * Expressions support '&' (all of), '|' (any of), '!' (not) and parentheses, with
+         * validators written as `scheme:method` or `namespace:scheme:method`, where `*` may be used
+         * to target all methods. Parameter overrides are given in square brackets after the scheme
+         * name, and `none` stands for the no-op validator.
+         *
+         * @param {string} source - The expression to be parsed.
+         *
+         * @throws An error with a `column` field if the expression is malformed.
+         */
+        parse(source) {
+            return expression.parse(source, api);
+        },
+
+        /**
+         * Returns a permission expression which parses back into an equivalent validator. Execution
+         * options (parallel execution, short-circuiting and timeouts) are not part of expressions.
+         *
+         * @param {Object} validator - A validator, or combination of validators.
+         *
+         * @throws An error if the validator uses a method with no expression equivalent, such as
+         * `any()` or `atLeast(...)`.
+         */
+        stringify(validator) {
+            return expression.stringify(validator);
+        },
+
+        /**
+         * Returns a versioned, plain JSON document describing the given validator, which may be
+         * stored and later loaded with `Permissions.fromJSON(...)`.
+         *
+         * @param {Object} validator - A validator, or combination of validators.
+         */
+        toJSON(validator) {
+            return serialize.toJSON(validator);
+        },
+
+        /**
+         * Rebuilds a validator from the given JSON document (or its string form), as returned from
+         * `Permissions.toJSON(...)`.
+         *
+         * @param {Object|string} json - The validator document to be loaded.
+         *
+         * @throws An error if the document is malformed, of an unsupported version, or refers to
+         * schemes or methods which haven't been registered.
+         */
+        fromJSON(json) {
+            return serialize.fromJSON(json, api, namespaces);
+        },
+
+        /**
+         * Loads a route-to-policy manifest, such as `{ "UserController.getInfo": "user:isLoggedIn" }`,
+         * given either as an object or as a path to a JSON file.
+         *
+         * Policies may be permission expressions (see `Permissions.parse(...)`), structured compounds
+         * such as `{ anyOf: [...] }`, `{ atLeast: 2, of: [...] }` or `{ not: ... }`, or validator
+         * documents (see `Permissions.toJSON(...)`). The special `default` entry gives the policy for
+         * routes missing from the manifest: either 'deny', 'none', or any other policy.
+         *
+         * All providers used by the manifest should be registered before it is loaded.
+         *
+         * @param {Object|string} manifestOrPath - The manifest object, or a path to a JSON manifest.
+         *
+         * @returns {Object} An object holding the validator of each route (`routes`), the default
+         * validator if one was given (`default`), and a `lookup(route)` helper returning the route's
+         * validator, falling back to the default.
+         *
+         * @throws An error if the manifest is malformed, or if any policy refers to schemes or
+         * methods which haven't been registered.
+         */
+        loadManifest(manifestOrPath) {
+            return manifest.load(manifestOrPath, api, namespaces);
+        },
+
+        /**
+         * Checks validators against the registered providers, returning a report of any missing
+         * namespaces, schemes and validation methods, along with any parameter overrides which the
+         * targeted provider doesn't declare.
+         *
+         * By default, every validator tracked so far is checked (see `setValidatorTracking`), so
+         * verification should happen once all providers have been registered.
+         *
+         * @param {Object} [options] - Verification options.
+         * @param {Object[]} [options.validators] - List of validators (or combinations of
+         * validators) to be checked, in place of all those tracked so far.
+         * @param {boolean} [options.strict] - Whether or not to throw an error for the first problem
+         * found, rather than returning the report. The error's stack points to where the offending
+         * validator was built, and the full report is attached as its `report` field.
+         *
+         * @returns {Object} A report holding the number of validators checked (`checked`), whether
+         * or not any problem was found (`ok`), the full list of `problems`, and the problems of each
+         * type: `missingNamespaces`, `missingSchemes`, `missingMethods` and `unusedOverrides`. Each
+         * problem gives its `type`, `namespace`, `scheme`, `method` or `param` where relevant, a
+         * `message`, and the `callSite` stack of where the validator was built.
+         *
+         * @throws An error describing the first problem found, if in strict mode.
+         */
+        verify(options) {
+            options = options || {};
+            if ((options.validators !== undefined) && !Array.isArray(options.validators)) {
+                throw new Error(`Expected the validators passed to \`.verify(...)\` to be an array, but instead found a value of type: ${typeof options.validators}`);
+            }
+            const result = verify.report(options.validators || builtValidators.slice(), namespaces, callSites);
+            if (options.strict === true) {
+                verify.assert(result);
+            }
+            return result;
+        },
+
+        /**
+         * Reports how much of the registered providers is in use, listing for each registered
+         * scheme the validation methods which no validator targets, the params which no validator
+         * overrides, and the overridden params which the provider doesn't declare.
+         *
+         * By default, every validator tracked so far (see `setValidatorTracking`) is taken into
+         * account, so the report should be made once all routes have been set up.
+         *
+         * @param {Object} [options] - Report options.
+         * @param {Object[]} [options.validators] - List of validators (or combinations of
+         * validators) to be reported on, in place of all those tracked so far.
+         * @param {boolean} [options.runtime] - Whether or not to also report how many times each
+         * validation method has run, as counted by `Permissions.metrics()` (and so since metrics
+         * were last reset).
+         *
+         * @returns {Object} A report holding the number of validators checked (`checked`), and an
+         * entry for each registered scheme (`schemes`), holding its `namespace` and `scheme`, its
+         * validation `methods` and those which no validator targets (`untargeted`), its declared
+         * `params` and those which no validator overrides (`neverOverridden`), and overrides of
+         * params which it doesn't declare (`undeclaredOverrides`). In runtime mode, each entry also
+         * holds the number of `runs` of each method, and the methods which never ran (`unexecuted`).
+         */
+        coverage(options) {
+            options = options || {};
+            if ((options.validators !== undefined) && !Array.isArray(options.validators)) {
+                throw new Error(`Expected the validators passed to \`.coverage(...)\` to be an array, but instead found a value of type: ${typeof options.validators}`);
+            }
+            const validators = options.validators || builtValidators.slice();
+            return coverage.report(validators, namespaces, (options.runtime === true) ? collector.snapshot() : undefined);
+        },
+
+        /**
+         * Registers the given provider with the permissions store, under the given name and,
+         * if specified, under the given namespace.
+         *
+         * @param {Object} provider - An object describing the provider to be registered, should
+         * contain any permission matchers, special variables, and parameter details.
+         * @param {string} name - Name which the provider should be registered under.
+         * @param {string} [namespace] - Namespace which the provider should be registered in.
+         * If no namespace is provided, then the provider is registered within the global space.
+         *
+         * @throws An error if the user attempts to register a provider with the same name as an
+         * already registered provider, within the same namespace.
+         * @throws An error if the passed providerObject is not a proper object (i.e. non-null).
+         * @throws An error if some parent named by the provider's `_extends` field hasn't been
+         * registered, or if its mixins form a cycle.
+         */
+        register(provider, name, namespace) {
+
+            // NOTE:
+            // All provider methods should start with one of ['is', 'can', 'has'], in order to keep
+            // things clear and sensible. At the moment this isn't enforced... Should it be?
+            //
+            // Examples of clear validation names:
+            // isLoggedIn, isAdministrator, canDeleteUser, canDeleteComment, etc...
+            //
+            // Examples of potentially ambiguous validation names:
+            // loggedIn, administrator, deleteUser, deleteComment, etc..
+            //
+
+            // throw if our provider isn't a proper object
+            if (!provider || (typeof provider !== 'object')) {
+                throw new Error(`Expected provider object to be a proper object, but instead found: (${typeof provider}) ${provider}`);
+            }
+            // default namespace to global if not specified
+            if ((typeof namespace !== 'string') || (namespace.length === 0)) {
+                namespace = 'global';
+            }
+            // grab NS object
+            const ns = namespaces[namespace] || (namespaces[namespace] = {});
+            // throw an error if the name we've specified is already taken
+            if (ns[name]) {
+                throw new Error(`Attempted to register a provider under already registered name "${name}", in namespace "${namespace}".`);
+            }
+            // resolve any parent providers, building the provider which will actually be registered
+            provider = registry.compose(namespaces, provider, name, namespace);
+            // validate the parameter defaults
+            if (provider._params && (typeof provider._params === 'object')) {
+                for (const key in provider._params) {
+                    const problem = paramDefs.checkDefinition(provider._params[key]);
+                    if (problem) {
+                        throw new Error(`The provider definition "${name}" in namespace "${namespace}" contains an invalid _params entry "${key}". ${problem}`);
                     }
-                } else if (!(paramDef instanceof Object) || !('value' in paramDef)) {
-                    throw new Error(`The provider definition "${name}" in namespace "${namespace}" contains an invalid _params entry "${key}". Expected a string or an object with a "value" field, but instead found: (${typeof paramDef}) ${paramDef}`);
                 }
             }
-        }
-        // otherwise we're all good to go, start extracting the validation method list (excluding any specially handled values).
-        // (pull only functions, and further, only keep those which aren't considered to be special names)
-        const validations = Object.keys(provider)
-            .filter(k => typeof provider[k] === 'function')
-            .filter(k => ['before', 'after', 'params', 'error'].indexOf(k) < 0);
-
-        // add our definition in for the provider
-        ns[name] = {
-            name,
-            validations,
-            provider,
-        };
-    },
-
-    /**
-     * Unregisters the provider matching the given name and namespace, returning the matched
-     * provider, or undefined if none could be found.
-     *
-     * @param {string} name - Name of the provider that should be unregistered.
-     * @param {string} [namespace] - Namespace which should be searched for the provider to
-     * remove. If no namespace is provided, then the global space will be searched.
-     *
-     * @returns The provider definition object which was removed, or undefined if no provider
-     * could be found matching the given name (and namespace).
-     */
-    unregister(name, namespace) {
-        // default namespace to global if not specified
-        if ((typeof namespace !== 'string') || (namespace.length === 0)) {
-            namespace = 'global';
-        }
-        // grab NS object
-        const ns = namespaces[namespace] || {};
-        const res = ns[name];
-        delete ns[name];
-
-        return res;
-    },
-
-    /**
-     * Validates the given request against the passed validator, returning whether or not
-     * the request should be allowed to proceed or not.
-     *
-     * @param {SailsRequest} req - The request to check against the given validator's criteria.
-     * @param {Object} validator - A validator, or combination of validators used to check some
-     * number of conditions against the passed request.
-     *
-     * @returns {boolean} true if the request has satisfied the validator's criteria, otherwise
-     * false.
-     *
-     * @throws An error if an issue is encountered during request validation.
-     */
-    async validate(req, validator) {
-        // return simply the result of the matcher function
-        return await greenTea(req, validator);
-    }
+            // otherwise we're all good to go, start extracting the validation method list (excluding any specially handled values).
+            // (pull only functions, and further, only keep those which aren't considered to be special names)
+            const validations = Object.keys(provider)
+                .filter(k => typeof provider[k] === 'function')
+                .filter(k => ['before', 'after', 'params', 'error'].indexOf(k) < 0);
+
+            // validate the cacheable methods, each should name a validation and give a TTL in milliseconds
+            if (typeof provider._cache !== 'undefined') {
+                if (!provider._cache || (typeof provider._cache !== 'object')) {
+                    throw new Error(`The provider definition "${name}" in namespace "${namespace}" contains an invalid _cache field. Expected an object mapping validation names to TTLs, but instead found: (${typeof provider._cache}) ${provider._cache}`);
+                }
+                for (const key in provider._cache) {
+                    if (validations.indexOf(key) < 0) {
+                        throw new Error(`The provider definition "${name}" in namespace "${namespace}" contains a _cache entry for "${key}", but no such validation method exists.`);
+                    }
+                    const ttl = provider._cache[key];
+                    if ((typeof ttl !== 'number') || !isFinite(ttl) || (ttl <= 0)) {
+                        throw new Error(`The provider definition "${name}" in namespace "${namespace}" contains an invalid _cache entry "${key}". Expected a positive TTL in milliseconds, but instead found: (${typeof ttl}) ${ttl}`);
+                    }
+                }
+            }
+
+            // validate the concurrency limit, which should be a positive integer
+            if ((typeof provider._concurrency !== 'undefined') && (!Number.isInteger(provider._concurrency) || (provider._concurrency < 1))) {
+                throw new Error(`The provider definition "${name}" in namespace "${namespace}" contains an invalid _concurrency field. Expected a positive integer, but instead found: (${typeof provider._concurrency}) ${provider._concurrency}`);
+            }
+
+            // add our definition in for the provider
+            ns[name] = {
+                name,
+                namespace,
+                validations,
+                provider,
+            };
+        },
+
+        /**
+         * Defines the given namespace, optionally declaring a parent namespace which it should
+         * fall back to. Schemes which can't be found in a namespace are then searched for in its
+         * parent, and so on up the chain, allowing namespaces to override a few providers while
+         * inheriting everything else.
+         *
+         * Dotted names form a hierarchy of their own, falling back to their prefix unless given
+         * some other parent: 'org.teamA' falls back to 'org'.
+         *
+         * @param {string} name - Name of the namespace to define.
+         * @param {Object} [options] - Namespace settings.
+         * @param {string} [options.parent] - Name of the namespace to fall back to.
+         *
+         * @throws An error if the given names are invalid, or if the parent would create a cycle.
+         */
+        defineNamespace(name, options) {
+            registry.define(namespaces, name, (options || {}).parent);
+        },
+
+        /**
+         * Unregisters the provider matching the given name and namespace, returning the matched
+         * provider, or undefined if none could be found.
+         *
+         * @param {string} name - Name of the provider that should be unregistered.
+         * @param {string} [namespace] - Namespace which should be searched for the provider to
+         * remove. If no namespace is provided, then the global space will be searched.
+         *
+         * @returns The provider definition object which was removed, or undefined if no provider
+         * could be found matching the given name (and namespace).
+         */
+        unregister(name, namespace) {
+            // default namespace to global if not specified
+            if ((typeof namespace !== 'string') || (namespace.length === 0)) {
+                namespace = 'global';
+            }
+            // grab NS object
+            const ns = namespaces[namespace] || {};
+            const res = ns[name];
+            delete ns[name];
+
+            return res;
+        },
+
+        /**
+         * Validates the given request against the passed validator, returning whether or not
+         * the request should be allowed to proceed or not.
+         *
+         * @param {SailsRequest} req - The request to check against the given validator's criteria.
+         * @param {Object} validator - A validator, or combination of validators used to check some
+         * number of conditions against the passed request.
+         * @param {Object} [options] - Optional settings for this validation only.
+         * @param {string|Object} [options.adapter] - Request adapter used to read values from the
+         * request, overriding the default set with `Permissions.setAdapter(...)`.
+         * @param {number} [options.timeout] - Deadline for the whole validation, in milliseconds.
+         * Validations still running once it passes are counted as timed out failures.
+         * @param {AbortSignal} [options.signal] - Signal used to cancel in-flight validation work,
+         * passed along (linked) to validation methods and lifecycle handlers.
+         * @param {boolean} [options.trace] - Whether or not to include a decision trace in the
+         * result, as its `trace` field (see `Permissions.explain(...)`).
+         * @param {Function} [options.redact] - Redaction hook for params shown in the trace, called
+         * as `redact(name, value, { namespace, scheme })` and returning the value to be shown.
+         *
+         * @returns {boolean} true if the request has satisfied the validator's criteria, otherwise
+         * false.
+         *
+         * @throws An error if an issue is encountered during request validation.
+         */
+        async validate(req, validator, options) {
+            // return simply the result of the matcher function, observing it only where someone's listening
+            if (!emitter.listening()) {
+                return await greenTea(req, validator, options);
+            }
+            return await events.observe(emitter, validator, options, observedOptions => greenTea(req, validator, observedOptions));
+        },
+
+        /**
+         * Validates the given request against the passed validator, returning a decision trace: a
+         * tree mirroring the structure of the validator, detailing how the outcome was decided.
+         *
+         * Each validator node holds its method, redacted params, timing, `hasPassed` state, and
+         * the status of each targeted validation (one of 'passed', 'failed', 'threw' or 'skipped').
+         * Each compound node holds its method, timing, `hasPassed` state and child nodes.
+         *
+         * @param {SailsRequest} req - The request to check against the given validator's criteria.
+         * @param {Object} validator - A validator, or combination of validators used to check some
+         * number of conditions against the passed request.
+         * @param {Object} [options] - Optional settings, as accepted by `Permissions.validate(...)`.
+         *
+         * @returns {Object} The root node of the decision trace.
+         *
+         * @throws An error if an issue is encountered during request validation.
+         */
+        async explain(req, validator, options) {
+            const res = await api.validate(req, validator, Object.assign({}, options, { trace: true }));
+            return res.trace;
+        },
+
+        /**
+         * Adds a handler for the given event, emitted as requests are validated (through
+         * `validate(...)`, `explain(...)` or middleware):
+         *
+         * - 'validation' is emitted for each validation method run, holding its `name`,
+         *   `namespace`, `scheme` and `method`, the redacted `params`, its `status` (one of
+         *   'passed', 'failed', 'threw' or 'skipped'), any `explanation` or `error`, and its
+         *   `durationMs`.
+         * - 'decision' is emitted once each validation has finished, holding the description of
+         *   the `validator`, whether or not it `hasPassed`, the usual result lists, each of the
+         *   `validations` (as above), and its `durationMs`.
+         * - 'error' is emitted for each validation method which threw (as with 'validation'), and
+         *   for each validation which threw entirely, holding the `validator` and `error`.
+         *
+         * Every event also holds the `timestamp` at which validation began. Errors thrown by
+         * handlers never affect the decision, and are emitted as process warnings instead.
+         *
+         * @param {string} type - Name of the event, one of 'decision', 'validation' or 'error'.
+         * @param {Function} handler - Function called with each event.
+         *
+         * @returns {Function} A function removing the handler again.
+         *
+         * @throws An error if the event type is unknown, or the handler isn't a function.
+         */
+        on(type, handler) {
+            return emitter.on(type, handler);
+        },
+
+        /**
+         * Removes a handler added with `on(...)`.
+         *
+         * @param {string} type - Name of the event, one of 'decision', 'validation' or 'error'.
+         * @param {Function} handler - The handler to be removed.
+         */
+        off(type, handler) {
+            emitter.off(type, handler);
+        },
+
+        /**
+         * Records permission events to an audit log, written as JSON Lines: one JSON object per
+         * event, of the form `{ "type": "decision", ...event }` (see `on(...)`).
+         *
+         * @param {Object|string} destination - A writable stream, or the path of a file which the
+         * log should be appended to.
+         * @param {Object} [options] - Optional settings.
+         * @param {string[]} [options.events] - Names of the events to be recorded, defaulting to
+         * just 'decision'.
+         * @param {Function|string[]} [options.redact] - Redaction applied to params before they're
+         * written, either as a hook called with `(name, value, { namespace, scheme })` returning
+         * the value to write, or as a list of param names which should always be redacted.
+         *
+         * @returns {Object} The audit sink, whose `close()` method stops recording, returning a
+         * promise which resolves once the log has been written (file streams are then ended).
+         *
+         * @throws An error if the destination, events or redaction option are invalid.
+         */
+        audit(destination, options) {
+            options = options || {};
+            const types = (typeof options.events === 'undefined') ? ['decision'] : options.events;
+            if (!Array.isArray(types) || !types.every(type => events.EVENT_TYPES.includes(type))) {
+                throw new Error(`Expected the audited events to be a list of event names (any of: ${events.EVENT_TYPES.join(', ')}), but instead found: (${typeof types}) ${types}`);
+            }
+            const sink = audit.createSink(destination, options);
+            const removers = types.map(type => emitter.on(type, event => sink.write(type, event)));
+            return {
+                close() {
+                    removers.forEach(remove => remove());
+                    return sink.close();
+                },
+            };
+        },
+
+        /**
+         * Sets the default request adapter, used to read query values, body values, route params,
+         * cookies and headers from requests when resolving parameters.
+         *
+         * @param {string|Object} adapter - Name of a built-in adapter (one of 'express', 'sails',
+         * 'fastify', 'koa' or 'node'), or a custom adapter object.
+         *
+         * @throws An error if the adapter is unknown or is missing some necessary function.
+         */
+        setAdapter(adapter) {
+            // resolve first, so that we'll throw before storing anything invalid
+            adapters.resolve(adapter);
+            settings.adapter = adapter;
+        },
+
+        /**
+         * Sets the default number of milliseconds each validation may run for, used wherever neither
+         * the validator (`.timeout(ms)`) nor the provider (`_timeout`) sets its own.
+         *
+         * @param {number} [ms] - Milliseconds each validation may run for. Pass nothing to remove
+         * the default, allowing validations to run for as long as they'd like.
+         *
+         * @throws An error if the given value isn't a positive number (or undefined).
+         */
+        setDefaultTimeout(ms) {
+            if ((typeof ms !== 'undefined') && ((typeof ms !== 'number') || !isFinite(ms) || (ms <= 0))) {
+                throw new Error(`Expected the default timeout to be a positive number of milliseconds, but instead found: (${typeof ms}) ${ms}`);
+            }
+            settings.timeout = ms;
+        },
+
+        /**
+         * Sets whether validators built with `Permissions.for(...)` are tracked, so that
+         * `verify()` and `coverage()` may check every one of them by default. Tracking keeps hold
+         * of each validator built, so should only be enabled where validators are built up front
+         * (rather than per request). Under Sails, validators are tracked until it has lifted
+         * regardless, so that they may be verified then.
+         *
+         * @param {boolean} enabled - Whether or not validators should be tracked. Disabling
+         * tracking forgets every validator tracked so far.
+         *
+         * @throws An error if the given value isn't a boolean.
+         */
+        setValidatorTracking(enabled) {
+            if (typeof enabled !== 'boolean') {
+                throw new Error(`Expected validator tracking to be enabled or disabled with a boolean, but instead found: (${typeof enabled}) ${enabled}`);
+            }
+            settings.trackValidators = enabled;
+            if (!enabled) {
+                builtValidators.length = 0;
+            }
+        },
+
+        /**
+         * Sets the store used to hold cached validation decisions, replacing the default in-memory
+         * LRU store.
+         *
+         * @param {Object} store - The store to be used, providing each of `get(key)`, `set(key,
+         * value, ttl)`, `delete(key)` and `keys()`. These functions may return promises.
+         *
+         * @throws An error if the store is missing some necessary function.
+         */
+        setCacheStore(store) {
+            settings.cacheStore = cache.checkStore(store);
+        },
+
+        /**
+         * Removes cached validation decisions, for use when the data underlying some decisions has
+         * changed.
+         *
+         * @param {string} scheme - Name of the scheme whose decisions should be removed. Schemes of
+         * namespaces other than the global one are named as `namespace:scheme`.
+         * @param {string} [method] - Name of the validation method whose decisions should be removed.
+         * If not given, decisions for every cached method of the scheme are removed.
+         * @param {Function|Object} [paramsMatcher] - Limits removal to the decisions made with some
+         * params. Either a function called with the params of each decision, returning true if it
+         * should be removed, or an object whose fields must all equal those of the params.
+         *
+         * @returns {Promise<number>} The number of decisions removed.
+         */
+        async invalidate(scheme, method, paramsMatcher) {
+            if ((typeof scheme !== 'string') || (scheme.length === 0)) {
+                throw new Error(`Expected a scheme name to be passed to \`.invalidate(...)\`, but instead found: (${typeof scheme}) ${scheme}`);
+            }
+            // split off any namespace, defaulting to global where there's none
+            const sep = scheme.lastIndexOf(':');
+            return await cache.invalidate(settings.cacheStore, {
+                namespace: (sep < 0) ? 'global' : scheme.substr(0, sep),
+                scheme: (sep < 0) ? scheme : scheme.substr(sep + 1),
+                method,
+                params: paramsMatcher,
+            });
+        },
+
+        /**
+         * The built-in request adapters, exposed for use as the basis of custom adapters.
+         */
+        adapters: {
+            express: adapters.express,
+            koa: adapters.koa,
+            node: adapters.node,
+        },
+
+        /**
+         * Returns a snapshot of the metrics collected as requests have been validated:
+         *
+         * - `validations`, listing for each `namespace`, `scheme` and validation `method` the
+         *   number of runs which `passed`, `failed` (including timeouts) or `threw`, along with
+         *   a latency histogram (`duration`).
+         * - `hooks`, listing for each `namespace`, `scheme` and lifecycle `hook` ('before',
+         *   'params' or 'after') a histogram of its durations.
+         *
+         * Namespaces are those which providers were registered in. Histograms hold cumulative
+         * `buckets` (as `{ le, count }`, in seconds), along with the `sum` and `count` of every
+         * observation.
+         */
+        metrics() {
+            return collector.snapshot();
+        },
+
+        /**
+         * Discards all metrics collected so far.
+         */
+        resetMetrics() {
+            collector.reset();
+        },
+
+        /**
+         * Renders a metrics snapshot in the Prometheus text exposition format, as
+         * `stockade_validations_total`, `stockade_validation_duration_seconds` and
+         * `stockade_hook_duration_seconds` metrics.
+         *
+         * @param {Object} [snapshot] - The snapshot to be rendered, as returned from `metrics()`.
+         * Defaults to a fresh snapshot.
+         *
+         * @returns {string} The metrics in the Prometheus text format.
+         */
+        toPrometheus(snapshot) {
+            return metrics.toPrometheus(snapshot || collector.snapshot());
+        },
+
+        /**
+         * Creates a standard Express/Connect-style middleware function which validates each
+         * request against the given validator.
+         *
+         * Passing requests continue with `next()`, failing requests receive a 403 response
+         * containing the failed validations, and requests where a validation threw are handed
+         * along with `next(err)`.
+         *
+         * @param {Object} validator - A validator, or combination of validators used to check some
+         * number of conditions against each request.
+         * @param {Object} [options] - Optional middleware settings.
+         * @param {Function} [options.onDeny] - Custom denial handler, called instead of sending the
+         * default 403 response, with the signature `onDeny(req, res, next, result)`.
+         * @param {string|Object} [options.adapter] - Request adapter used to read values from each
+         * request, overriding the default adapter.
+         * @param {number} [options.timeout] - Deadline for the validation of each request, in
+         * milliseconds (see `validate`).
+         * @param {Function} [options.signal] - Function returning the signal used to cancel the
+         * validation of each request, with the signature `signal(req, res)` (see `validate`).
+         *
+         * @returns {Function} A middleware function with the signature `(req, res, next)`.
+         */
+        middleware(validator, options) {
+            return createMiddleware(api.validate, validator, options);
+        },
+
+        /**
+         * Creates a new, fully independent Stockade instance, with its own provider registry,
+         * settings, matcher and validator factory. Validators built by an instance may only be
+         * validated by that same instance.
+         *
+         * @param {Object} [options] - Initial settings of the instance.
+         * @param {string|Object} [options.adapter] - Default request adapter (see `setAdapter`).
+         * @param {number} [options.timeout] - Default validation timeout in milliseconds (see
+         * `setDefaultTimeout`).
+         * @param {Object} [options.cacheStore] - Store holding cached decisions (see
+         * `setCacheStore`).
+         * @param {boolean} [options.trackValidators] - Whether or not validators built are tracked
+         * (see `setValidatorTracking`).
+         *
+         * @throws An error if any of the given options is invalid.
+         */
+        createInstance(options) {
+            options = options || {};
+            const instance = createStockade(createState());
+            if (typeof options.adapter !== 'undefined') {
+                instance.setAdapter(options.adapter);
+            }
+            if (typeof options.timeout !== 'undefined') {
+                instance.setDefaultTimeout(options.timeout);
+            }
+            if (typeof options.cacheStore !== 'undefined') {
+                instance.setCacheStore(options.cacheStore);
+            }
+            if (typeof options.trackValidators !== 'undefined') {
+                instance.setValidatorTracking(options.trackValidators);
+            }
+            return instance;
+        },
+
+    };
+
+    return api;
+}
 
-};
+// The module itself exposes the default instance, built around the global stockade object.
+module.exports = createStockade(stockade);
 
 // If we've not one defined already, make a global Permissions object, 'cause it's more sails-ish.
 if (typeof global.Permissions === 'undefined') {
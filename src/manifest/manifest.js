@@ -0,0 +1,155 @@
+/**
+ * @file manifest.js
+ * Loads route-to-policy manifests, mapping route names (such as 'UserController.getInfo') to
+ * the validators guarding them, so that all permissions may be listed in a single place.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const verify = require('../verify/verify');
+
+// Compound operators supported by the structured policy form.
+const OPERATORS = ['allOf', 'anyOf', 'noneOf', 'atLeast', 'not'];
+
+/**
+ * Builds the validator described by the given manifest policy.
+ *
+ * Policies may be one of:
+ * - a permission expression string, such as 'user:isLoggedIn' or 'ns:scheme:method'.
+ * - a structured compound, such as `{ anyOf: [...] }`, `{ atLeast: 2, of: [...] }` or
+ *   `{ not: ... }`, whose members are policies themselves. Compounds other than `not` may
+ *   also give `shortCircuit: true`, and a `parallel` execution policy.
+ * - a versioned validator document, as returned from `Permissions.toJSON(...)`.
+ *
+ * @param {*} policy - The policy to be built.
+ * @param {string} where - Location of the policy, used in error messages.
+ * @param {Object} api - The Permissions object used to create validators.
+ */
+function buildPolicy(policy, where, api) {
+    if (typeof policy === 'string') {
+        try {
+            return api.parse(policy);
+        } catch (err) {
+            err.message = `Invalid policy for ${where}: ${err.message}`;
+            throw err;
+        }
+    }
+    if (!policy || (typeof policy !== 'object') || Array.isArray(policy)) {
+        throw new Error(`Invalid policy for ${where}: expected an expression string or a policy object, but instead found: (${typeof policy}) ${policy}`);
+    }
+    if ('version' in policy) {
+        try {
+            return api.fromJSON(policy);
+        } catch (err) {
+            err.message = `Invalid policy for ${where}: ${err.message}`;
+            throw err;
+        }
+    }
+
+    const operators = OPERATORS.filter(op => op in policy);
+    if (operators.length !== 1) {
+        throw new Error(`Invalid policy for ${where}: expected exactly one of the keys ${OPERATORS.join(', ')}, but found: ${operators.join(', ') || 'none'}`);
+    }
+    const operator = operators[0];
+    if (operator === 'not') {
+        return api.not(buildPolicy(policy.not, `${where}.not`, api));
+    }
+
+    const members = (operator === 'atLeast') ? policy.of : policy[operator];
+    const membersKey = (operator === 'atLeast') ? 'of' : operator;
+    if (!Array.isArray(members)) {
+        throw new Error(`Invalid policy for ${where}: expected "${membersKey}" to be an array of policies, but instead found: (${typeof members}) ${members}`);
+    }
+    const validators = members.map((member, i) => buildPolicy(member, `${where}.${membersKey}[${i}]`, api));
+    const options = {};
+    if (policy.shortCircuit === true) {
+        options.shortCircuit = true;
+    }
+    if (policy.parallel !== undefined) {
+        options.parallel = policy.parallel;
+    }
+    try {
+        return (operator === 'atLeast')
+            ? api.atLeast(policy.atLeast, ...validators, options)
+            : api[operator](...validators, options);
+    } catch (err) {
+        err.message = `Invalid policy for ${where}: ${err.message}`;
+        throw err;
+    }
+}
+
+/**
+ * Checks that every scheme and validation method named by the given validator is registered.
+ *
+ * @param {Object} validator - A validator, or combination of validators.
+ * @param {string} where - Location of the policy, used in error messages.
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ */
+function checkRegistered(validator, where, namespaces) {
+    const problem = verify.inspect(validator, namespaces).find(p => verify.FATAL_TYPES.includes(p.type));
+    if (problem) {
+        const err = verify.problemError(problem);
+        err.message = `Invalid policy for ${where}: ${err.message}`;
+        throw err;
+    }
+}
+
+/**
+ * Loads the given route-to-policy manifest, or the JSON file at the given path.
+ *
+ * Each key names a route, mapped to the policy guarding it (see `buildPolicy(...)`). The
+ * special `default` key gives the policy used for routes missing from the manifest, where
+ * 'deny' denies all requests and 'none' allows all requests.
+ *
+ * @param {Object|string} manifest - The manifest object, or a path to a JSON manifest file.
+ * @param {Object} api - The Permissions object used to create validators.
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ *
+ * @returns {Object} An object holding the validator of each route (`routes`), the default
+ * validator if one was given (`default`), and a `lookup(route)` helper returning the route's
+ * validator, falling back to the default.
+ *
+ * @throws An error if the manifest is malformed, or if any policy refers to schemes or
+ * methods which haven't been registered.
+ */
+function load(manifest, api, namespaces) {
+    let source = 'manifest';
+    if (typeof manifest === 'string') {
+        source = `manifest "${manifest}"`;
+        const file = path.resolve(manifest);
+        try {
+            manifest = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch (err) {
+            err.message = `Failed to load permissions manifest from "${file}": ${err.message}`;
+            throw err;
+        }
+    }
+    if (!manifest || (typeof manifest !== 'object') || Array.isArray(manifest)) {
+        throw new Error(`Expected a permissions manifest object, but instead found: (${typeof manifest}) ${manifest}`);
+    }
+
+    const routes = {};
+    let fallback;
+    for (const route in manifest) {
+        const where = `route "${route}" of the ${source}`;
+        if (route === 'default') {
+            fallback = (manifest.default === 'deny') ? api.not(api.none()) : buildPolicy(manifest.default, where, api);
+            checkRegistered(fallback, where, namespaces);
+            continue;
+        }
+        routes[route] = buildPolicy(manifest[route], where, api);
+        checkRegistered(routes[route], where, namespaces);
+    }
+
+    return Object.freeze({
+        routes: Object.freeze(routes),
+        default: fallback,
+        lookup(route) {
+            return Object.prototype.hasOwnProperty.call(routes, route) ? routes[route] : fallback;
+        },
+    });
+}
+
+module.exports = {
+    load,
+};
@@ -4,11 +4,32 @@
  * successfully.
  */
 
-let namespaces;
+const adapters = require('../adapters/adapters');
+const timeouts = require('../timeout/timeout');
+const cache = require('../cache/cache');
+const trace = require('../trace/trace');
+const registry = require('../registry/registry');
+const paramDefs = require('../params/params');
 
-module.exports = function (ns) {
-    namespaces = ns;
-    return matcher;
+/**
+ * Creates a matcher bound to the given provider registry and settings.
+ *
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ * @param {Object} [settings] - Settings shared by every match: the default `adapter`, default
+ * `timeout` and the decision `cacheStore`.
+ * @param {Function} [owns] - Called with each simple validator being matched, returning false
+ * where the validator belongs to some other registry and so mustn't be matched here.
+ * @param {Object} [metrics] - Collector which validation outcomes and durations should be
+ * recorded in (see metrics.js).
+ */
+module.exports = function (namespaces, settings, owns, metrics) {
+    const bound = {
+        namespaces,
+        settings: settings || {},
+        owns,
+        metrics,
+    };
+    return (req, validator, options) => matcher(req, validator, options, bound);
 };
 
 /**
@@ -17,12 +38,74 @@ module.exports = function (ns) {
  * @param {SailsRequest} req - The request to check against the given validator's criteria.
  * @param {Object} validator - A validator, or combination of validators used to check some
  * number of conditions against the given request.
+ * @param {Object} [options] - Optional settings for this match only.
+ * @param {string|Object} [options.adapter] - Request adapter used to read values from the
+ * request, overriding the default adapter.
+ * @param {number} [options.timeout] - Deadline for the whole match, in milliseconds. Any
+ * validation still running once it passes is counted as a timed out failure.
+ * @param {AbortSignal} [options.signal] - Signal which, when aborted, is passed along to every
+ * validation method and lifecycle handler as aborted too.
+ * @param {boolean} [options.trace] - Whether or not a decision trace should be built, exposed
+ * as the `trace` field of the result.
+ * @param {Function} [options.redact] - Redaction hook used for params shown in the trace,
+ * called as `redact(name, value, { namespace, scheme })`.
+ * @param {Object} bound - The provider registry (`namespaces`), `settings`, `owns` check and
+ * `metrics` collector which the matcher is bound to.
  *
  * @returns {Object} An object detailing whether or not the request has passed the validator
  * criteria, along with a list of all tests which have passed, and a list of all tests which
- * have failed.
+ * have failed. Every validation which settled is also listed in `validations`, as a record of
+ * `{ name, status, explanation, error }`, and errors thrown are listed in `thrownErrors`, as
+ * `{ name, error }`.
  */
-async function matcher(req, validator) {
+async function matcher(req, validator, options, bound) {
+    options = (options && (typeof options === 'object')) ? options : {};
+
+    // Build up the context shared by every stage of this match.
+    const controller = timeouts.createController(options.signal);
+    const context = {
+        // registry of providers and settings which the match is made against
+        namespaces: bound.namespaces,
+        settings: bound.settings,
+        owns: bound.owns,
+        metrics: bound.metrics,
+        adapter: adapters.resolve(options.adapter || bound.settings.adapter || 'express'),
+        // signal shared by the whole match, handed to the (possibly shared) provider setup handlers
+        rootSignal: controller.signal,
+        // signal for the current branch of the validator, aborted when the branch is short-circuited
+        signal: controller.signal,
+        // time at which the whole match must be finished, if any
+        deadline: undefined,
+        // whether or not to build a decision trace, and the hook used to redact params within it
+        trace: options.trace === true,
+        redact: options.redact,
+        // provider setup stages run so far (see `setupProvider`), keyed by provider, then resolved param definitions
+        setups: new Map(),
+    };
+
+    // Once the deadline for the whole match passes, abort everything still in-flight.
+    let deadlineTimer;
+    if ((typeof options.timeout === 'number') && (options.timeout > 0)) {
+        context.deadline = Date.now() + options.timeout;
+        deadlineTimer = setTimeout(() => timeouts.expire(controller, `Request validation timed out after ${options.timeout}ms.`), options.timeout);
+    }
+
+    try {
+        return await matchValidator(req, validator, context);
+    } finally {
+        clearTimeout(deadlineTimer);
+        timeouts.detach(controller);
+    }
+}
+
+/**
+ * Matches a request against either a true or compound validator, using the given context.
+ *
+ * @param {SailsRequest} req - The request to check against the given validator's criteria.
+ * @param {Object} validator - A validator, or combination of validators.
+ * @param {Object} context - The context shared across this match, as built by `matcher()`.
+ */
+async function matchValidator(req, validator, context) {
     // Ensure we have at least a proper object.
     if (!validator || (typeof validator !== 'object')) {
         throw new Error(`Expected proper validator object (as from \`Permissions.for(...)\`), but received instead: (${typeof validator}) ${validator}`);
@@ -31,7 +114,11 @@ async function matcher(req, validator) {
     // If we've got a compile function on the validator, then we've just got one simple validator
     // as returned from `Permissions.for(...).*`.
     if (typeof validator.compile === 'function') {
-        return await matchTrueValidator(req, validator.compile());
+        // Validators may only be matched against the registry of the instance which built them.
+        if (context.owns && !context.owns(validator)) {
+            throw new Error('The passed validator was built by a different Stockade instance. Validators may only be used with the instance which built them.');
+        }
+        return await matchTrueValidator(req, validator.compile(), context);
     }
 
     // Since we've not a true validator, we've got to check if we've the sort of compound validator object...
@@ -46,7 +133,87 @@ async function matcher(req, validator) {
     }
 
     // Otherwise, we must have a method and no schema, which means that our object is not one from `Permissions.for(...)`.
-    return await matchCompoundValidator(req, validator);
+    return await matchCompoundValidator(req, validator, context);
+}
+
+/**
+ * Merges the given override param definitions over the provider's defaults, returning a list
+ * of `{ name, value }` definitions, one for each param declared by the provider.
+ *
+ * @param {Object} overrideDefs - Param definitions used to override values supplied by
+ * the provider defaults.
+ * @param {Object} provider - Provider object containing original param definitions.
+ */
+function mergeParamDefs(overrideDefs, provider) {
+    overrideDefs = (overrideDefs && (typeof overrideDefs === 'object')) ? overrideDefs : {};
+    const baseParams = (provider._params && (typeof provider._params === 'object')) ? provider._params : {};
+
+    return Object.keys(baseParams).map(paramName => {
+        const maybeOverrideValue = overrideDefs[paramName];
+        return {
+            name: paramName,
+            value: (typeof maybeOverrideValue !== 'undefined')
+                ? maybeOverrideValue
+                : baseParams[paramName]
+        };
+    });
+}
+
+// Identifiers given to object-type param definitions, used when building setup cache keys.
+const definitionIds = new WeakMap();
+let nextDefinitionId = 0;
+
+/**
+ * Describes a single param definition as a string, for use in setup cache keys. Definitions
+ * holding primitive values are described by value, while those holding objects (along with
+ * typed definitions) are described by identity, as their contents can't be reliably compared.
+ *
+ * @param {string|Object} definition - The param definition to be described.
+ */
+function describeDefinition(definition) {
+    if (typeof definition === 'string') {
+        return `s:${definition}`;
+    }
+    const value = paramDefs.isTyped(definition) ? definition : definition.value;
+    if ((value === null) || ((typeof value !== 'object') && (typeof value !== 'function'))) {
+        return `v:${typeof value}:${String(value)}`;
+    }
+    if (!definitionIds.has(value)) {
+        definitionIds.set(value, nextDefinitionId++);
+    }
+    return `o:${definitionIds.get(value)}`;
+}
+
+/**
+ * Runs the provider setup stage (`before`, param extraction and `params`) for the given
+ * validator, reusing the result of any earlier setup made during the same match for the same
+ * provider and resolved param definitions. This ensures each provider is initialised at most
+ * once per match, even when it appears in several branches of a compound validator, while
+ * validators with differing param overrides still get their own evaluation. Setups are never
+ * shared between matches, even of the same request, as each has its own adapter and signal.
+ *
+ * @param {SailsRequest} req - The request currently being validated.
+ * @param {Object} validator - The compiled validator which the setup is being made for.
+ * @param {Object} scheme - The registered scheme definition which the validator targets.
+ * @param {Object} context - The context shared across this match.
+ *
+ * @returns {Promise<Object>} The result of `extractParams(...)` for the validator.
+ */
+function setupProvider(req, validator, scheme, context) {
+    const provider = scheme.provider;
+    let defsCache = context.setups.get(provider);
+    if (!defsCache) {
+        context.setups.set(provider, defsCache = new Map());
+    }
+
+    const key = mergeParamDefs(validator.params, provider)
+        .map(def => `${def.name}=${describeDefinition(def.value)}`)
+        .join('&');
+    // Store the promise itself, so that concurrently evaluated validators share one setup.
+    if (!defsCache.has(key)) {
+        defsCache.set(key, extractParams(req, validator.params, scheme, context));
+    }
+    return defsCache.get(key);
 }
 
 /**
@@ -66,38 +233,48 @@ async function matcher(req, validator) {
  * @param {SailsRequest} req - The request which the params should be extracted from.
  * @param {Object} overrideDefs - Param definitions used to override values supplied by
  * the provider defaults.
- * @param {Object} provider - Provider object containing original param definitions to
- * be used as the basis when merging overrides over.
+ * @param {Object} scheme - The registered scheme definition, whose provider holds the original
+ * param definitions to be used as the basis when merging overrides over.
+ * @param {Object} context - The context shared across this match.
+ *
+ * @returns {Object} An object holding both the resolved `params` and the provider `exports`.
  */
-async function extractParams(req, overrideDefs, provider, schemeName) {
-
-    overrideDefs = (overrideDefs && (typeof overrideDefs === 'object')) ? overrideDefs : {};
-    const baseParams = (provider._params && (typeof provider._params === 'object')) ? provider._params : {};
+async function extractParams(req, overrideDefs, scheme, context) {
+    const provider = scheme.provider;
+    const schemeName = scheme.name;
 
     // Helper function used to extract a single parameter.
     const extract = (req, definition) => {
+        // If we've a typed definition, extract from its source and then resolve the value against the definition.
+        if (paramDefs.isTyped(definition.value)) {
+            return paramDefs.resolve(definition.name, extractSource(req, definition.name, definition.value.from), definition.value);
+        }
         // If we've an object given, try to extract from a `value` field.
         if (definition.value instanceof Object) {
             if (!('value' in definition.value)) {
                 throw new Error(`Expected parameter definition value for "${definition.name}" to contain a "value" field, but instead it was not set.`);
             }
-            return definition.value.value;
-        }
-        // If the definition starts with '?', then it's a shorthand HTTP param value
-        if (definition.value.startsWith('?')) {
-            return req.param(definition.value.substr(1));
+            return { value: definition.value.value };
         }
-        // If the definition starts with '$', then it's a shorthand HTTP cookie value
-        if (definition.value.startsWith('$')) {
-            return req.cookies[definition.value.substr(1)];
+        return { value: extractSource(req, definition.name, definition.value) };
+    };
+
+    // Helper function used to read a value from the source named by a string definition.
+    const extractSource = (req, name, source) => {
+        // Our definition should start with a known prefix, throw if it doesn't (this is validated elsewhere so this is very much a failsafe)
+        const parsed = paramDefs.parseSource(source);
+        if (!parsed) {
+            throw new Error(`Expected parameter definition value for "${name}" to start with one of ${paramDefs.SOURCE_PREFIXES.map(p => `'${p}'`).join(', ')}, but instead found: ${source}`);
         }
-        // Otherwise, our definition should start with `req.`, throw if it doesn't (this is validated elsewhere so this is very much a failsafe)
-        if (!definition.value.startsWith('req.')) {
-            throw new Error(`Expected parameter definition value for "${definition.name}" to start with one of '?', '$' or 'req.', but instead found: ${definition.value}`);
+        // Prefixes such as '?' (HTTP params), '$' (cookies) or 'header:' are read through the request adapter
+        if (parsed.reader) {
+            if (typeof context.adapter[parsed.reader] !== 'function') {
+                throw new Error(`Unable to resolve parameter "${name}" from "${source}": the request adapter in use provides no "${parsed.reader}" function.`);
+            }
+            return context.adapter[parsed.reader](req, parsed.name);
         }
         // We've a 'req.' param, so let's split our param into it's component pieces
-        const pieces = definition.value.split('.');
-        pieces.shift(); // remove the first 'req' bit
+        const pieces = parsed.name.split('.');
 
         // Try and extract our parameter, returning undefined if it doesn't exist (this safely traverses the path).
         return pieces.reduce((acc, key) => {
@@ -109,42 +286,522 @@ async function extractParams(req, overrideDefs, provider, schemeName) {
     };
 
     // Handle merging overrides with base parameters.
-    const paramDefs = Object.keys(baseParams).map(paramName => {
-        const maybeOverrideValue = overrideDefs[paramName];
-        const res = {
-            name: paramName,
-            value: (typeof maybeOverrideValue !== 'undefined')
-                ? maybeOverrideValue
-                : baseParams[paramName]
-        };
-        return res;
-    }).filter(p => p);
+    const definitions = mergeParamDefs(overrideDefs, provider);
 
     // Create our exports object before running any existing handlers.
     const providerExports = {};
     // Run our before handler, if any, prior to extracting parameters from the request.
     if (typeof provider.before === 'function') {
-        await provider.before(req, paramDefs, providerExports);
+        await timeHook(context, scheme, 'before', () => provider.before(req, definitions, providerExports, context.rootSignal));
     }
 
-    // Simply extract each parameter we've pulled out above.
+    // Simply extract each parameter we've pulled out above, noting any which are missing (while required) or invalid.
     const outParams = {};
-    paramDefs.forEach(def => {
-        outParams[def.name] = extract(req, def);
+    const invalidParams = [];
+    definitions.forEach(def => {
+        const resolved = extract(req, def);
+        if ('reason' in resolved) {
+            invalidParams.push({ name: def.name, reason: resolved.reason });
+        }
+        outParams[def.name] = resolved.value;
     });
 
-    // Run our params handler, if any, now that we've resolved all parameters.
-    if (typeof provider.params === 'function') {
-        await provider.params(req, outParams, providerExports);
+    // Run our params handler, if any, now that we've resolved all parameters (unless some are invalid, as no validation will run).
+    if ((typeof provider.params === 'function') && (invalidParams.length === 0)) {
+        await timeHook(context, scheme, 'params', () => provider.params(req, outParams, providerExports, context.rootSignal));
     }
 
     // Bind our permissions object and exports for the scheme onto the request.
+    bindExports(req, schemeName, providerExports);
+
+    return { params: outParams, exports: providerExports, invalidParams };
+}
+
+/**
+ * Runs the given lifecycle handler call, recording its duration where metrics are collected.
+ *
+ * @param {Object} context - The context shared across this match.
+ * @param {Object} scheme - The registered scheme definition which the handler belongs to.
+ * @param {string} hook - Name of the handler, such as 'before' or 'params'.
+ * @param {Function} run - Function calling the handler.
+ */
+async function timeHook(context, scheme, hook, run) {
+    if (!context.metrics) {
+        return await run();
+    }
+    const startedAt = trace.now();
+    try {
+        return await run();
+    } finally {
+        context.metrics.hook(scheme.namespace, scheme.name, hook, (trace.now() - startedAt) / 1e3);
+    }
+}
+
+/**
+ * Binds a frozen copy of the given exports object onto the request, under the section for
+ * the named scheme (`req.permissions[schemeName]`).
+ *
+ * @param {SailsRequest} req - The request which the exports should be bound to.
+ * @param {string} schemeName - Name of the scheme which the exports belong to.
+ * @param {Object} providerExports - The exports which should be exposed on the request.
+ */
+function bindExports(req, schemeName, providerExports) {
     if (!req.permissions || (typeof req.permissions !== 'object')) {
         req.permissions = {};
     }
     req.permissions[schemeName] = Object.freeze(providerExports);
+}
+
+/**
+ * Works out how long a validation of the given validator may run for, taking the first of the
+ * validator's own timeout, the provider's `_timeout` and the global default, capped by whatever
+ * time remains before the match deadline.
+ *
+ * @param {Object} validator - The compiled validator being matched.
+ * @param {Object} provider - Provider object owning the validations.
+ * @param {Object} context - The context shared across this match.
+ *
+ * @returns {number|undefined} Milliseconds the validation may run for, or undefined if there's
+ * no limit.
+ */
+function timeoutFor(validator, provider, context) {
+    const isTimeout = (t) => (typeof t === 'number') && isFinite(t) && (t > 0);
+    const own = [validator.timeout, provider._timeout, context.settings.timeout].find(isTimeout);
+    const remaining = remainingTime(context);
+    if (typeof own === 'undefined') {
+        return remaining;
+    }
+    return (typeof remaining === 'undefined') ? own : Math.min(own, remaining);
+}
+
+/**
+ * Returns the milliseconds remaining before the match deadline, or undefined if there's none.
+ *
+ * @param {Object} context - The context shared across this match.
+ */
+function remainingTime(context) {
+    return (typeof context.deadline === 'number') ? Math.max(context.deadline - Date.now(), 0) : undefined;
+}
+
+// Explanations built for timed out validations, tracked so that they're never cached as decisions.
+const timedOutExplanations = new WeakSet();
+
+/**
+ * Builds the explanation used for validations which have timed out.
+ *
+ * @param {string} methodName - Name of the validation method which timed out.
+ * @param {number} timeout - Milliseconds which the validation was allowed to run for.
+ */
+function timedOutExplanation(methodName, timeout) {
+    const explanation = {
+        code: 'timedOut',
+        message: `Validation "${methodName}" did not finish within ${timeout}ms.`,
+    };
+    timedOutExplanations.add(explanation);
+    return explanation;
+}
+
+/**
+ * Runs a single validation method of the given provider, returning its result.
+ *
+ * If the validation method throws and the provider defines an `error` handler, then the
+ * handler is given the chance to map the error into a result. Any value other than undefined
+ * returned by the handler will be used as though the validation method had returned it. If
+ * the handler returns nothing, or rethrows, then the error is thrown from here as normal.
+ *
+ * If the validation doesn't finish within the given timeout, its controller is aborted and a
+ * `timedOut` explanation is returned in place of its result. This also holds where the request
+ * deadline aborts the signal first, and the validation settles in reaction to it: whatever the
+ * validation resolved or threw, it finished too late.
+ *
+ * @param {Object} provider - Provider object owning the validation method.
+ * @param {string} methodName - Name of the validation method which should be run.
+ * @param {Object} params - The resolved (and frozen) parameters for the validation.
+ * @param {SailsRequest} req - The request currently being validated.
+ * @param {AbortController} controller - Controller whose signal is handed to the validation,
+ * aborted if the validation times out.
+ * @param {number} [timeout] - Milliseconds the validation may run for, if limited.
+ */
+async function runValidation(provider, methodName, params, req, controller, timeout) {
+    // If there's no time left at all, there's no sense in even starting.
+    if (timeout === 0) {
+        timeouts.detach(controller);
+        timeouts.expire(controller, `Validation "${methodName}" had no time left to run.`);
+        return timedOutExplanation(methodName, timeout);
+    }
+
+    const signal = controller.signal;
+    const run = (async () => {
+        try {
+            return await provider[methodName](params, req, signal);
+        } catch (e) {
+            if (typeof provider.error !== 'function') {
+                throw e;
+            }
+            const mapped = await provider.error(e, req, params, signal);
+            if (typeof mapped === 'undefined') {
+                throw e;
+            }
+            return mapped;
+        }
+    })();
+
+    // Settling once some deadline has passed (be it the validation's own or the request's) counts as timing out.
+    try {
+        const outcome = await timeouts.race(run, timeout, controller);
+        return (outcome.timedOut || timeouts.hasExpired(signal)) ? timedOutExplanation(methodName, timeout) : outcome.value;
+    } catch (e) {
+        if (timeouts.hasExpired(signal)) {
+            return timedOutExplanation(methodName, timeout);
+        }
+        throw e;
+    } finally {
+        timeouts.detach(controller);
+    }
+}
+
+/**
+ * Runs a single validation method as with `runValidation(...)`, but first checks the decision
+ * cache where the provider has marked the method as cacheable (through its `_cache` field).
+ * Cached results are reused for as long as their TTL allows, keyed on the validation's scheme,
+ * method and resolved params. Thrown errors and timeouts are never cached.
+ *
+ * Decisions are keyed on the namespace which the scheme was registered in, rather than the one
+ * it was requested from, so that decisions of inherited schemes are shared (and invalidated)
+ * across every namespace falling back to it.
+ *
+ * @param {Object} scheme - The registered scheme definition owning the validation method.
+ * @param {string} methodName - Name of the validation method which should be run.
+ * @param {Object} params - The resolved (and frozen) parameters for the validation.
+ * @param {SailsRequest} req - The request currently being validated.
+ * @param {AbortController} controller - Controller whose signal is handed to the validation.
+ * @param {number} [timeout] - Milliseconds the validation may run for, if limited.
+ * @param {Object} [store] - The store holding cached decisions, if any.
+ */
+async function runCachedValidation(scheme, methodName, params, req, controller, timeout, store) {
+    const provider = scheme.provider;
+    const ttl = (provider._cache && (typeof provider._cache === 'object')) ? provider._cache[methodName] : undefined;
+    const key = ((typeof ttl === 'number') && (ttl > 0) && store)
+        ? cache.decisionKey(scheme.namespace, scheme.name, methodName, params)
+        : undefined;
+    if (!key) {
+        return await runValidation(provider, methodName, params, req, controller, timeout);
+    }
+
+    const hit = await store.get(key);
+    if (hit) {
+        timeouts.detach(controller);
+        return hit.result;
+    }
+
+    const result = await runValidation(provider, methodName, params, req, controller, timeout);
+    if (!timedOutExplanations.has(result)) {
+        await store.set(key, {
+            namespace: scheme.namespace,
+            scheme: scheme.name,
+            method: methodName,
+            params,
+            result,
+        }, ttl);
+    }
+    return result;
+}
+
+// Combined results of fanned-out validations, told apart from the plain results returned by validations.
+const fanOutResults = new WeakSet();
+
+/**
+ * Returns whether or not the given validation result counts as a pass, which for fanned-out
+ * validations depends on the combined result of their elements.
+ *
+ * @param {*} res - The result of a validation.
+ */
+function isPassing(res) {
+    return (res === true) || (fanOutResults.has(res) && res.passed);
+}
+
+/**
+ * Works out which parameter (if any) the validations of the given validator are fanned out
+ * over, taking the validator's `.forEach(...)` setting first, then any parameter defined with
+ * the `each` flag.
+ *
+ * @param {Object} validator - The compiled validator being matched.
+ * @param {Object} provider - Provider object owning the validations.
+ *
+ * @returns {Object} The fanned-out parameter, as `{ param, mode }`, or undefined if none.
+ *
+ * @throws An error if the named parameter isn't declared by the provider, or if several
+ * parameters are defined with the `each` flag.
+ */
+function fanOutFor(validator, provider) {
+    const definitions = mergeParamDefs(validator.params, provider);
+    if (validator.forEach) {
+        if (!definitions.some(def => def.name === validator.forEach.param)) {
+            throw new Error(`Attempted to fan out over parameter "${validator.forEach.param}" with scheme "${validator.scheme}" (in namespace "${validator.namespace}"), but the provider declares no such parameter!`);
+        }
+        return { param: validator.forEach.param, mode: validator.forEach.mode };
+    }
+    const flagged = definitions.filter(def => paramDefs.fanOutMode(def.value));
+    if (flagged.length > 1) {
+        throw new Error(`Only a single parameter may be fanned out over, but scheme "${validator.scheme}" (in namespace "${validator.namespace}") defines several with the "each" flag: ${flagged.map(def => def.name).join(', ')}`);
+    }
+    return flagged.length ? { param: flagged[0].name, mode: paramDefs.fanOutMode(flagged[0].value) } : undefined;
+}
+
+/**
+ * Builds the name of a single element of a fanned-out validation, in the form of
+ * `scheme:method[param=value]`.
+ *
+ * @param {string} name - Full name of the validation method.
+ * @param {string} param - Name of the fanned-out parameter.
+ * @param {*} value - Value of the element.
+ */
+function elementName(name, param, value) {
+    const text = ((value !== null) && (typeof value === 'object')) ? JSON.stringify(value) : String(value);
+    return `${name}[${param}=${text}]`;
+}
 
-    return outParams;
+/**
+ * Builds the full name of a validation method, as used in results, in the form of
+ * `namespace:scheme:method` (with the namespace omitted for the global namespace).
+ *
+ * @param {Object} validator - The compiled validator which the method belongs to.
+ * @param {string} methodName - Name of the validation method.
+ */
+function qualifiedName(validator, methodName) {
+    return `${(validator.namespace === 'global' ? '' : validator.namespace + ':')}${validator.scheme}:${methodName}`;
+}
+
+/**
+ * Expands the targets of a compiled validator into the list of validation method names which
+ * should be run, replacing instances of '*' with every validation of the scheme.
+ *
+ * @param {Object} validator - The compiled validator whose targets should be expanded.
+ * @param {Object} scheme - The registered scheme definition which the validator targets.
+ */
+function expandTargets(validator, scheme) {
+    // Expand instances of '*' and remove duplicates (wanting flatMap..)
+    // Targets should be unique simply to avoid double-running some validation, for the sake of performance.
+    // (Additional runs should be considered not to be side-effect inducing, as validations should be considered not necessarily stateless, but order-independent).
+    return (Array.isArray(validator.target) ? validator.target : [validator.target])
+        // push normal values, except where '*' is found (we insert all validations in that case)
+        .reduce((acc, v) => acc.concat((v === '*') ? scheme.validations : v), [])
+        // remove duplicates
+        .filter((v, i, arr) => arr.indexOf(v) === i);
+}
+
+/**
+ * Lists the full names of every validation method which would be run by the given validator,
+ * used to report the validations skipped when short-circuiting.
+ *
+ * @param {Object} validator - A validator, or combination of validators.
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ */
+function describeValidations(validator, namespaces) {
+    if (typeof validator.compile === 'function') {
+        const compiled = validator.compile();
+        const scheme = registry.lookup(namespaces, compiled.namespace, compiled.scheme);
+        const targets = scheme ? expandTargets(compiled, scheme) : [].concat(compiled.target);
+        return targets.map(t => qualifiedName(compiled, t));
+    }
+    if (!Array.isArray(validator.target)) {
+        return [];
+    }
+    return [].concat(...validator.target.map(target => describeValidations(target, namespaces)));
+}
+
+/**
+ * Waits for the given promises to settle, stopping early once the `isDecided` callback returns
+ * true for some settled record. Rejections are always handled, so promises which are no longer
+ * waited on won't raise unhandled rejection warnings.
+ *
+ * @param {Promise[]} promises - The promises which should be waited on.
+ * @param {Function} isDecided - Called with each settled record, as it settles, returning
+ * whether or not waiting should stop.
+ *
+ * @returns {Promise<Array>} A list of settled records, in the same order as the promises. Each
+ * record is one of `{ status: 'fulfilled', value }` or `{ status: 'rejected', reason }`, or is
+ * undefined if its promise had not settled once waiting stopped.
+ */
+function settleUntil(promises, isDecided) {
+    return new Promise(resolve => {
+        const settled = promises.map(() => undefined);
+        let remaining = promises.length;
+        let done = false;
+        if (remaining === 0) {
+            return resolve(settled);
+        }
+        promises.forEach((promise, i) => {
+            Promise.resolve(promise)
+                .then(value => ({ status: 'fulfilled', value }), reason => ({ status: 'rejected', reason }))
+                .then(record => {
+                    if (done) {
+                        return;
+                    }
+                    settled[i] = record;
+                    remaining--;
+                    if (isDecided(record) || (remaining === 0)) {
+                        done = true;
+                        resolve(settled);
+                    }
+                });
+        });
+    });
+}
+
+/**
+ * Creates a limiter, running at most `limit` tasks at once. Any other tasks are queued until a
+ * running task settles, and are then started in the order they were given.
+ *
+ * @param {number} [limit] - The most tasks which may run at once. If not given, every task is
+ * started right away.
+ * @param {Function} [isStopped] - Called before starting each queued task, returning whether
+ * or not the task is still waited on. Tasks no longer waited on are never started, and so their
+ * promises never settle.
+ *
+ * @returns {Function} Called with a task (a function returning a promise), returning a promise
+ * of the task's result.
+ */
+function createLimiter(limit, isStopped) {
+    let running = 0;
+    const queue = [];
+    const next = () => {
+        while ((running < limit) && (queue.length > 0)) {
+            const queued = queue.shift();
+            if (isStopped && isStopped()) {
+                continue;
+            }
+            running++;
+            Promise.resolve()
+                .then(queued.task)
+                .then(queued.resolve, queued.reject)
+                .then(() => {
+                    running--;
+                    // start the next task on a later turn, so that whoever waits on this one may first stop the rest
+                    setImmediate(next);
+                });
+        }
+    };
+    return (task) => {
+        if (typeof limit !== 'number') {
+            return task();
+        }
+        return new Promise((resolve, reject) => {
+            queue.push({ task, resolve, reject });
+            next();
+        });
+    };
+}
+
+/**
+ * Works out the most validations of the given validator which may run at once, as the lower of
+ * the validator's own limit (`.parallel(n)`) and the provider's `_concurrency`.
+ *
+ * @param {Object} validator - The compiled validator being matched.
+ * @param {Object} provider - Provider object owning the validations.
+ *
+ * @returns {number|undefined} The limit, or undefined if there's none.
+ */
+function concurrencyFor(validator, provider) {
+    const limits = [validator.concurrency, provider._concurrency].filter(l => Number.isInteger(l) && (l > 0));
+    return (limits.length > 0) ? Math.min(...limits) : undefined;
+}
+
+/**
+ * Decides the overall outcome of a validator from the outcomes of its individual targets,
+ * which may be only partially known (as when short-circuiting).
+ *
+ * @param {string} method - The validator method, one of: 'all', 'any', 'allOf', 'anyOf',
+ * 'not', 'noneOf' or 'atLeast'.
+ * @param {number} count - Number of passes required, used only by the 'atLeast' method.
+ * @param {string[]} outcomes - Outcomes of the targets settled so far, each one of 'passed',
+ * 'failed' or 'threw'.
+ * @param {number} total - Total number of targets, settled or not.
+ * @param {boolean} throwsFail - Whether or not a single thrown error should fail the validator
+ * outright, regardless of method.
+ *
+ * @returns {boolean|undefined} Whether or not the validator has passed, or undefined if the
+ * outcome can't yet be decided from the outcomes given.
+ */
+function decideOutcome(method, count, outcomes, total, throwsFail) {
+    const passed = outcomes.filter(o => o === 'passed').length;
+    const threw = outcomes.filter(o => o === 'threw').length;
+    const settledAll = outcomes.length === total;
+
+    if (throwsFail && (threw > 0)) {
+        return false;
+    }
+    switch (method) {
+        case 'all':
+        case 'allOf':
+            // Every target must pass, so anything else decides a failure.
+            if (passed < outcomes.length) {
+                return false;
+            }
+            return settledAll ? true : undefined;
+        case 'any':
+        case 'anyOf':
+            // A single pass is enough.
+            if (passed > 0) {
+                return true;
+            }
+            return settledAll ? false : undefined;
+        case 'not':
+        case 'noneOf':
+            // No target may pass, and a thrown error can't be taken as a failure to invert.
+            if ((passed > 0) || (threw > 0)) {
+                return false;
+            }
+            return settledAll ? true : undefined;
+        case 'atLeast':
+            // At least `count` passes are needed, so we've failed once too few targets remain to get there.
+            if (passed >= count) {
+                return true;
+            }
+            if ((outcomes.length - passed) > (total - count)) {
+                return false;
+            }
+            return settledAll ? false : undefined;
+        default:
+            throw new Error(`Unrecognized validator method found: (${typeof method}) ${method}`);
+    }
+}
+
+/**
+ * Inverts the passed and failed validations of the given result, as used by the negating
+ * methods ('not' and 'noneOf'). Passed validations become failures with a 'negated'
+ * explanation, while failed validations become passes. Inverted names are prefixed with '!'.
+ *
+ * @param {Object} result - The result whose validations should be inverted.
+ *
+ * @returns {Object} A new result object, holding the inverted validation lists.
+ */
+function invertResult(result) {
+    return Object.assign({}, result, {
+        passedValidations: result.failedValidations.map(f => `!${f.name}`),
+        failedValidations: result.passedValidations.map(name => ({
+            name: `!${name}`,
+            explanation: {
+                code: 'negated',
+                message: `Expected validation "${name}" not to pass, but it did.`,
+            },
+        })),
+    });
+}
+
+/**
+ * Builds the record of a single settled validation, as listed in the `validations` field of
+ * results, holding its `name`, its `status` (either 'passed' or 'failed'), and its
+ * `explanation` where one was given.
+ *
+ * @param {string} name - Full name of the validation.
+ * @param {*} res - The result of the validation.
+ */
+function describeSettled(name, res) {
+    if (res === true) {
+        return { name, status: 'passed' };
+    }
+    return (typeof res !== 'boolean') ? { name, status: 'failed', explanation: res } : { name, status: 'failed' };
 }
 
 /**
@@ -154,27 +811,35 @@ async function extractParams(req, overrideDefs, provider, schemeName) {
  * @param {SailsRequest} req - The request to check against the given validator's criteria.
  * @param {Object} validator - A proper compiled validator which should be used in checking
  * some number of conditions against the given request.
+ * @param {Object} context - The context shared across this match.
  *
  * @returns {Object} An object detailing whether or not the request has passed the validator
  * criteria, along with a list of all tests which have passed, and a list of all tests which
  * have failed.
  */
-async function matchTrueValidator(req, validator) {
-    // Ensure we've our target array.
-    if (!Array.isArray(validator.target)) {
+async function matchTrueValidator(req, validator, context) {
+    // Ensure we've our target array (or the '*' shorthand used by `.all()` and `.any()`).
+    if (!Array.isArray(validator.target) && (validator.target !== '*')) {
         throw new Error(`Received malformed validator! Expected the \`target\` property to be an array but instead found: (${typeof validator.target}) ${validator.target}`);
     }
 
-    // Grab our namespace and ensure it exists.
-    const namespace = namespaces[validator.namespace];
-    if (!namespace) {
+    // Ensure our namespace (or one it falls back to) exists.
+    const namespaces = context.namespaces;
+    if (!registry.exists(namespaces, validator.namespace)) {
         throw new Error(`Failed to located namespace for validator! Attempted to use namespace "${validator.namespace}" which was not found in the registered namespace collection: ${Object.keys(namespaces)}`);
     }
 
-    // Grab our scheme, ensuring it exists.
-    const scheme = namespace[validator.scheme];
+    // Grab our scheme, searching up the namespace's fallback chain and ensuring it exists.
+    const scheme = registry.lookup(namespaces, validator.namespace, validator.scheme);
     if (!scheme) {
-        throw new Error(`Failed to locate scheme for validator! Could not find scheme "${validator.scheme}" in namespace "${validator.namespace}". Schemes currently registered in this namespace: ${Object.keys(namespace)}`);
+        const searched = registry.chain(namespaces, validator.namespace);
+        const available = searched.reduce((acc, name) => acc.concat(Object.keys(namespaces[name] || {})), []);
+        throw new Error(`Failed to locate scheme for validator! Could not find scheme "${validator.scheme}" in namespace "${validator.namespace}"${searched.length > 1 ? ` (nor in any of: ${searched.slice(1).join(', ')})` : ''}. Schemes currently registered in this namespace: ${available}`);
+    }
+
+    // Ensure we've a known method before running anything.
+    if (['all', 'any', 'allOf', 'anyOf', 'noneOf', 'atLeast'].indexOf(validator.method) === -1) {
+        throw new Error(`Invalid method type found for validator: "${validator.method}". Expected one of: "all", "any", "allOf", "anyOf", "noneOf" or "atLeast".`);
     }
 
     const results = {
@@ -182,96 +847,282 @@ async function matchTrueValidator(req, validator) {
         passedValidations: [],
         failedValidations: [],
         thrownErrors: [],
+        skippedValidations: [],
+        validations: [],
     };
 
-    // Expand instances of '*' and remove duplicates (wanting flatMap..)
-    // Targets should be unique simply to avoid double-running some validation, for the sake of performance.
-    // (Additional runs should be considered not to be side-effect inducing, as validations should be considered not necessarily stateless, but order-independent).
-    const targets = (Array.isArray(validator.target) ? validator.target : [validator.target])
-        // push normal values, except where '*' is found (we insert all validations in that case)
-        .reduce((acc, v) => acc.concat((v === '*') ? scheme.validations : v), [])
-        // remove duplicates
-        .filter((v, i, arr) => arr.indexOf(v) === i);
+    const targets = expandTargets(validator, scheme);
+    const startedAt = trace.now();
 
+    // When tracing, keep a record of every target, which is updated as each validation settles.
+    const traceTargets = context.trace
+        ? targets.map(t => ({ name: qualifiedName(validator, t), status: 'skipped' }))
+        : undefined;
+    const traceValidator = (resolvedParams) => {
+        results.trace = {
+            type: 'validator',
+            namespace: validator.namespace,
+            scheme: validator.scheme,
+            method: validator.method,
+            count: validator.count,
+            params: resolvedParams && trace.redactParams(resolvedParams, scheme.provider, context.redact, { namespace: validator.namespace, scheme: validator.scheme }),
+            hasPassed: results.hasPassed,
+            durationMs: trace.now() - startedAt,
+            targets: traceTargets,
+        };
+    };
 
     // Extract and freeze our parameters. In the future, perhaps object subfields should be frozen as well.
-    const params = Object.freeze(await extractParams(req, validator.params, scheme.provider, validator.scheme));
-    const runParallel = validator.parallel || scheme.provider._parallel;
+    // If the match deadline passes during setup, every targeted validation is counted as timed out.
+    const setup = await timeouts.race(setupProvider(req, validator, scheme, context), remainingTime(context));
+    if (setup.timedOut) {
+        results.failedValidations = targets.map(t => ({
+            name: qualifiedName(validator, t),
+            explanation: {
+                code: 'timedOut',
+                message: `Setup of provider "${validator.scheme}" did not finish before the request deadline.`,
+            },
+        }));
+        results.validations = results.failedValidations.map(f => ({ name: f.name, status: 'failed', explanation: f.explanation }));
+        if (context.trace) {
+            results.failedValidations.forEach((f, i) => Object.assign(traceTargets[i], { status: 'failed', explanation: f.explanation }));
+            traceValidator();
+        }
+        return results;
+    }
+    const extracted = setup.value;
+    const params = Object.freeze(extracted.params);
 
-    // Handle launching tasks either in parallel or in sequence, collecting the results.
-    const testResults = [];
-    if (runParallel) {
-        const promises = [];
-        targets.forEach(methodName => {
-            promises.push(scheme.provider[methodName](params, req));
+    // Helper used to finish up once `before` has run, whether or not any validation was: runs our after handler, if any.
+    // The handler receives a fresh copy of the exports, which is then re-bound to the request so outcome-based exports
+    // are visible too.
+    const finish = async () => {
+        if (typeof scheme.provider.after === 'function') {
+            const afterExports = Object.assign({}, extracted.exports);
+            await timeHook(context, scheme, 'after', () => scheme.provider.after(req, params, afterExports, results, context.signal));
+            bindExports(req, validator.scheme, afterExports);
+        }
+        if (context.trace) {
+            traceValidator(params);
+        }
+        return results;
+    };
+
+    // Helper used where no validation may be run, failing every target with the given explanation.
+    const failTargets = (explanation) => {
+        results.failedValidations = targets.map(t => ({ name: qualifiedName(validator, t), explanation }));
+        results.validations = results.failedValidations.map(f => ({ name: f.name, status: 'failed', explanation }));
+        if (context.trace) {
+            traceTargets.forEach(t => Object.assign(t, { status: 'failed', explanation }));
+        }
+        return finish();
+    };
+
+    // Where some param is missing (while required) or invalid, no validation is run, and every target fails.
+    if (extracted.invalidParams.length > 0) {
+        return failTargets({
+            code: 'invalidParam',
+            message: extracted.invalidParams.map(p => p.reason).join(' '),
+            params: extracted.invalidParams,
         });
+    }
+
+    // Where validations are fanned out over some array-valued param, there must be some element to run them for.
+    const fanOut = fanOutFor(validator, scheme.provider);
+    if (fanOut) {
+        const value = params[fanOut.param];
+        fanOut.values = Array.isArray(value) ? value : (((value === undefined) || (value === null)) ? [] : [value]);
+        if (fanOut.values.length === 0) {
+            return failTargets({
+                code: 'emptyFanOut',
+                message: `Expected parameter "${fanOut.param}" to hold at least one element to run each validation for, but it was empty.`,
+                param: fanOut.param,
+            });
+        }
+    }
+    // Validations run in sequence unless either the validator or (failing that) the provider asks otherwise. When running
+    // in parallel, every run of a validation (including each element of a fan-out) takes a slot of the limiter.
+    const runParallel = (typeof validator.parallel === 'boolean') ? validator.parallel : !!scheme.provider._parallel;
+    let stopped = false;
+    const limit = createLimiter(runParallel ? concurrencyFor(validator, scheme.provider) : undefined, () => stopped);
+
+    // Helper used to run a single validation once per element of the fanned-out param, combining the
+    // results of the elements. When running in sequence, the remaining elements may be short-circuited.
+    const runElements = async (i) => {
+        const elements = fanOut.values.map(value => ({
+            value,
+            params: Object.freeze(Object.assign({}, params, { [fanOut.param]: value })),
+        }));
+        const isDeciding = (res) => (fanOut.mode === 'any') ? (res === true) : (res !== true);
+        const run = async (element) => {
+            element.res = await limit(() => {
+                const controller = timeouts.createController(controllers[i].signal);
+                return runCachedValidation(scheme, targets[i], element.params, req, controller, timeoutFor(validator, scheme.provider, context), context.settings.cacheStore);
+            });
+        };
         try {
-            testResults.push(...await Promise.all(promises));
-        } catch (e) {
-            results.thrownErrors.push(e);
+            if (runParallel) {
+                await Promise.all(elements.map(run));
+            } else {
+                for (let e = 0; e < elements.length; e++) {
+                    await run(elements[e]);
+                    if (validator.shortCircuit && isDeciding(elements[e].res)) {
+                        break;
+                    }
+                }
+            }
+        } finally {
+            timeouts.detach(controllers[i]);
         }
+        const settled = elements.filter(element => 'res' in element);
+        const combined = {
+            passed: (fanOut.mode === 'any') ? settled.some(e => e.res === true) : settled.every(e => e.res === true),
+            elements: settled,
+        };
+        fanOutResults.add(combined);
+        return combined;
+    };
+
+    // Helper used to start a single validation, with its own controller following our branch signal.
+    const controllers = [];
+    const start = (i) => {
+        controllers[i] = timeouts.createController(context.signal);
+        const promise = fanOut
+            ? runElements(i)
+            : limit(() => runCachedValidation(scheme, targets[i], params, req, controllers[i], timeoutFor(validator, scheme.provider, context), context.settings.cacheStore));
+        if (context.metrics) {
+            const measuredAt = trace.now();
+            const measure = (outcome) => context.metrics.validation(scheme.namespace, scheme.name, targets[i], outcome, (trace.now() - measuredAt) / 1e3);
+            promise.then(res => measure(isPassing(res) ? 'passed' : 'failed'), () => measure('threw'));
+        }
+        if (context.trace) {
+            const validationStartedAt = trace.now();
+            const record = (fields) => Object.assign(traceTargets[i], fields, { durationMs: trace.now() - validationStartedAt });
+            const describeResult = (res) => (res === true)
+                ? { status: 'passed' }
+                : { status: 'failed', explanation: (typeof res !== 'boolean') ? res : undefined };
+            promise.then(res => record(fanOutResults.has(res)
+                ? {
+                    status: res.passed ? 'passed' : 'failed',
+                    elements: res.elements.map(e => Object.assign({ name: elementName(traceTargets[i].name, fanOut.param, e.value) }, describeResult(e.res))),
+                }
+                : describeResult(res)
+            ), error => record({ status: 'threw', error }));
+        }
+        return promise;
+    };
+
+    // Keep track of each outcome as it arrives, so that we're able to tell when the overall result has
+    // been decided (used when short-circuiting). For true validators, a thrown error always fails things.
+    const outcomes = [];
+    const isDecided = (threw, res) => {
+        outcomes.push(threw ? 'threw' : (isPassing(res) ? 'passed' : 'failed'));
+        return typeof decideOutcome(validator.method, validator.count, outcomes, targets.length, true) === 'boolean';
+    };
+
+    // Handle launching tasks either in parallel or in sequence, settling each into a record of either
+    // `{ status: 'fulfilled', value }` or `{ status: 'rejected', reason }` (left undefined where skipped).
+    let settled;
+    if (runParallel) {
+        const promises = targets.map((methodName, i) => start(i));
+        settled = await settleUntil(promises, record => isDecided(record.status === 'rejected', record.value) && validator.shortCircuit);
+        stopped = true;
     } else {
+        settled = targets.map(() => undefined);
         for (let i = 0; i < targets.length; i++) {
-            try {
-                testResults.push(await scheme.provider[targets[i]](params, req));
-            } catch (e) {
-                results.thrownErrors.push(e);
+            settled[i] = await start(i).then(value => ({ status: 'fulfilled', value }), reason => ({ status: 'rejected', reason }));
+            // Stop here if short-circuiting and the outcome can no longer change.
+            if (isDecided(settled[i].status === 'rejected', settled[i].value) && validator.shortCircuit) {
+                break;
             }
         }
     }
 
-    // Push validation test results into the proper arrays.
-    testResults.forEach((res, i) => {
-        const methodName = `${(validator.namespace === 'global' ? '' : validator.namespace + ':')}${validator.scheme}:${targets[i]}`;
+    // Push each settled validation into the proper arrays, along with its record in `validations`. Fanned-out
+    // validations are reported per element, listing the elements which passed where the validation passed
+    // overall, or those which failed otherwise.
+    settled.forEach((record, i) => {
+        const name = qualifiedName(validator, targets[i]);
+        if (!record) {
+            // We're no longer waiting on this one (if it was ever started), so let it know it may stop.
+            if (controllers[i]) {
+                controllers[i].abort(new Error(`Validation "${targets[i]}" was short-circuited.`));
+                timeouts.detach(controllers[i]);
+            }
+            return results.skippedValidations.push(name);
+        }
+        if (record.status === 'rejected') {
+            results.validations.push({ name, status: 'threw', error: record.reason });
+            return results.thrownErrors.push({ name, error: record.reason });
+        }
+        const res = record.value;
+        if (fanOutResults.has(res)) {
+            results.validations.push({
+                name,
+                status: res.passed ? 'passed' : 'failed',
+                elements: res.elements.map(e => describeSettled(elementName(name, fanOut.param, e.value), e.res)),
+            });
+            return res.elements.filter(e => (e.res === true) === res.passed).forEach(e => {
+                const element = elementName(name, fanOut.param, e.value);
+                if (res.passed) {
+                    return results.passedValidations.push(element);
+                }
+                return results.failedValidations.push({
+                    name: element,
+                    explanation: typeof e.res !== 'boolean' ? e.res : undefined,
+                });
+            });
+        }
+        results.validations.push(describeSettled(name, res));
         if (res === true) {
-            return results.passedValidations.push(methodName);
+            return results.passedValidations.push(name);
         }
         return results.failedValidations.push({
-            name: methodName,
+            name,
             explanation: typeof res !== 'boolean' ? res : undefined,
         });
     });
 
-    // If we threw any errors at all, return with our initial false pass-state.
-    if (results.thrownErrors.length > 0) {
-        return results;
-    }
+    // Depending on our method, alter pass-state appropriately based on the outcomes we've seen.
+    // If we threw any errors at all, we'll keep our initial false pass-state.
+    results.hasPassed = decideOutcome(validator.method, validator.count, outcomes, targets.length, true) === true;
 
-    // Depending on our method, alter pass-state appropriately based on the rest of the result state.
-    switch(validator.method) {
-        case 'all', 'allOf':
-            // For all[Of], we want ALL tests passing. Further, this means that no tests should fail (though a check for either would suffice, we'll go the double-safe route).
-            results.hasPassed = (results.passedValidations.length === targets.length) && (results.failedValidations.length === 0);
-            break;
-        case 'any', 'anyOf':
-            // For any[Of], things are fine as long as at least one single test has passed.
-            results.hasPassed = (results.passedValidations.length > 0);
-            break;
-        default:
-            // We've an unknown method, so wups...
-            throw new Error(`Invalid method type found for validator: "${validator.method}". Expected one of: "all", "any", "allOf", or "anyOf".`);
+    // For noneOf, the methods which passed are really our failures (and vice versa).
+    if (validator.method === 'noneOf') {
+        Object.assign(results, invertResult(results));
     }
 
-    return results;
+    // Run our after handler, if any, now that all validations have finished.
+    return finish();
 }
 
 /**
  * Handles matching a compound validator, that is, an object containing multiple true or
  * compound validator objects.
  *
+ * @param {SailsRequest} req - The request to check against the given validator's criteria.
+ * @param {Object} validator - The compound validator to be matched.
+ * @param {Object} context - The context shared across this match.
+ *
  * @returns {Object} An object detailing whether or not the request has passed the validator
  * criteria, along with a list of all tests which have passed, and a list of all tests which
  * have failed.
  */
-async function matchCompoundValidator(req, validator) {
+async function matchCompoundValidator(req, validator, context) {
     // If the operation is of type NOP, then the match instantly succeeds.
     if (validator.method === 'NOP') {
-        return {
+        const nopResult = {
             hasPassed: true,
             passedValidations: [':NOP'],
             failedValidations: [],
             thrownErrors: [],
+            skippedValidations: [],
+            validations: [],
         };
+        if (context.trace) {
+            nopResult.trace = { type: 'none', method: 'NOP', hasPassed: true, durationMs: 0 };
+        }
+        return nopResult;
     }
 
     // Ensure we've our target array.
@@ -279,49 +1130,140 @@ async function matchCompoundValidator(req, validator) {
         throw new Error(`Received malformed compound validator! Expected the \`target\` property to be an array but instead found: (${typeof validator.target}) ${validator.target}`);
     }
 
-    // Ensure the target array is at least two elements long.
-    if (validator.target.length < 2) {
+    // Ensure we've one of the valid compound methods.
+    if (['allOf', 'anyOf', 'noneOf', 'atLeast', 'not'].indexOf(validator.method) === -1) {
+        throw new Error(`Received malformed compound validator! Expected a \`method\` of one of 'allOf', 'anyOf', 'noneOf', 'atLeast' or 'not', but instead found: (${typeof validator.method}) ${validator.method}`);
+    }
+
+    // Ensure the target array is of a proper length: just one element for 'not', otherwise at least two.
+    if ((validator.method === 'not') && (validator.target.length !== 1)) {
+        throw new Error(`Received malformed compound validator! The \`target\` array of a 'not' validator should contain exactly one element, but it contains ${validator.target.length}.`);
+    }
+    if ((validator.method !== 'not') && (validator.target.length < 2)) {
         throw new Error(`Received malformed compound validator! The \`target\` array should contain at least two elements, but it contains just ${validator.target.length}.`);
     }
 
-    // Ensure we've one of the valid compound methods: allOf or anyOf
-    if (['allOf', 'anyOf'].indexOf(validator.method) === -1) {
-        throw new Error(`Received malformed compound validator! Expected a \`method\` of either 'allOf' or 'anyOf', but instead found: (${typeof validator.method}) ${validator.method}`);
+    // Ensure 'atLeast' validators have a sensible count.
+    if ((validator.method === 'atLeast') && (!Number.isInteger(validator.count) || (validator.count < 1) || (validator.count > validator.target.length))) {
+        throw new Error(`Received malformed compound validator! Expected the \`count\` of an 'atLeast' validator to be an integer between 1 and ${validator.target.length}, but instead found: (${typeof validator.count}) ${validator.count}`);
     }
 
     // Filter our items a little, so we've all unique targets.
     const targets = validator.target.filter((t, i, arr) => arr.indexOf(t) === i);
-    // Start all sub-validators processing, and wait for them to finish.
-    const validationResults = await Promise.all(targets.map(v => matcher(req, v)));
+    const startedAt = trace.now();
+    // When tracing, keep the trace of each branch, in the same order as the targets.
+    const branchTraces = targets.map(() => undefined);
+
+    // Helper function used to get the outcome of a single sub-validator result. Sub-validators which
+    // threw without passing are told apart from plain failures, as they mustn't count when negating.
+    const outcomeOf = (validatorRes) => (validatorRes.hasPassed === true)
+        ? 'passed'
+        : ((validatorRes.thrownErrors.length > 0) ? 'threw' : 'failed');
+
+    // Helper used to note a branch which was never run (or never waited on) as skipped.
+    const skippedValidations = [];
+    const skipBranch = (i) => {
+        branchTraces[i] = { type: 'skipped', validations: describeValidations(targets[i], context.namespaces) };
+        skippedValidations.push(...branchTraces[i].validations);
+    };
+
+    // Run the sub-validators, either in sequence or in parallel (with every branch started at once, unless limited), and
+    // wait for them to finish.
+    let validationResults;
+    let stopped = false;
+    const limit = createLimiter(validator.concurrency, () => stopped);
+    if (validator.parallel === false) {
+        const outcomes = [];
+        validationResults = [];
+        for (let i = 0; i < targets.length; i++) {
+            const res = await matchValidator(req, targets[i], context);
+            branchTraces[i] = res.trace;
+            validationResults.push(res);
+            outcomes.push(outcomeOf(res));
+            // Stop here if short-circuiting and the outcome can no longer change, noting what we've skipped.
+            if (validator.shortCircuit && (typeof decideOutcome(validator.method, validator.count, outcomes, targets.length, false) === 'boolean')) {
+                for (let j = i + 1; j < targets.length; j++) {
+                    skipBranch(j);
+                }
+                break;
+            }
+        }
+    } else if (validator.shortCircuit) {
+        // When short-circuiting, stop waiting as soon as the results so far decide the outcome.
+        const outcomes = [];
+        // Each branch gets its own signal, so that branches we stop waiting on can be told to stop.
+        const controllers = targets.map(() => timeouts.createController(context.signal));
+        const promises = targets.map((v, i) => limit(() => matchValidator(req, v, Object.assign({}, context, { signal: controllers[i].signal }))));
+        const settled = await settleUntil(promises, record => {
+            if (record.status === 'rejected') {
+                return true;
+            }
+            outcomes.push(outcomeOf(record.value));
+            return typeof decideOutcome(validator.method, validator.count, outcomes, targets.length, false) === 'boolean';
+        });
+        stopped = true;
+        // Tell every branch we've stopped waiting on to stop before rethrowing, so that none is left running.
+        settled.forEach((record, i) => {
+            timeouts.detach(controllers[i]);
+            if (!record) {
+                controllers[i].abort(new Error('Validator branch was short-circuited.'));
+            }
+        });
+        const rejected = settled.find(record => record && (record.status === 'rejected'));
+        if (rejected) {
+            throw rejected.reason;
+        }
+        validationResults = [];
+        settled.forEach((record, i) => {
+            if (!record) {
+                return skipBranch(i);
+            }
+            branchTraces[i] = record.value.trace;
+            validationResults.push(record.value);
+        });
+    } else {
+        try {
+            validationResults = await Promise.all(targets.map(v => limit(() => matchValidator(req, v, context))));
+        } finally {
+            stopped = true;
+        }
+        validationResults.forEach((v, i) => {
+            branchTraces[i] = v.trace;
+        });
+    }
+
+    // For the negating methods, the passes of each sub-validator are really our failures (and vice versa).
+    const negated = (validator.method === 'not') || (validator.method === 'noneOf');
+    const mergedResults = negated ? validationResults.map(invertResult) : validationResults;
 
     // Setup our result, it's mostly finished at this point, but we'll select our value differently in different cases.
     const result = {
         hasPassed: undefined,  // to be set below
-        passedValidations: [].concat(...validationResults.map(v => v.passedValidations)),   // ES needs flatMap...
-        failedValidations: [].concat(...validationResults.map(v => v.failedValidations)),
-        thrownErrors: [].concat(...validationResults.map(v => v.thrownErrors)),
+        passedValidations: [].concat(...mergedResults.map(v => v.passedValidations)),   // ES needs flatMap...
+        failedValidations: [].concat(...mergedResults.map(v => v.failedValidations)),
+        thrownErrors: [].concat(...mergedResults.map(v => v.thrownErrors)),
+        skippedValidations: skippedValidations.concat(...mergedResults.map(v => v.skippedValidations || [])),
+        // records are of the validation methods themselves, so these are never inverted
+        validations: [].concat(...validationResults.map(v => v.validations || [])),
     };
 
     // Unique-ify things...
     result.passedValidations = result.passedValidations.filter((v, i, arr) => arr.indexOf(v) === i);
     result.failedValidations = result.failedValidations.filter((v, i, arr) => arr.indexOf(v) === i);
-
-    // Helper function used to check if a single test did pass (used for determining overall state below).
-    const didValidatorPass = (validatorRes) => validatorRes && (typeof validatorRes === 'object') && (validatorRes.hasPassed === true);
+    result.skippedValidations = result.skippedValidations.filter((v, i, arr) => arr.indexOf(v) === i);
 
     // Aaand finally: handle our result overall pass state accordingly for our method type.
-    switch (validator.method) {
-        case 'allOf':
-            // Ensure that EVERY result set passed OK.
-            result.hasPassed = validationResults.every(didValidatorPass);
-            break;
-        case 'anyOf':
-            // Ensure that AT LEAST ONE result set passed OK.
-            result.hasPassed = validationResults.some(didValidatorPass);
-            break;
-        default:
-            // This should't happen at present, but will provide a safety-net against some future changes.
-            throw new Error(`Unrecognized validator method found: (${typeof validator.method}) ${validator.method}`);
+    result.hasPassed = decideOutcome(validator.method, validator.count, validationResults.map(outcomeOf), targets.length, false) === true;
+
+    if (context.trace) {
+        result.trace = {
+            type: 'compound',
+            method: validator.method,
+            count: validator.count,
+            hasPassed: result.hasPassed,
+            durationMs: trace.now() - startedAt,
+            children: branchTraces,
+        };
     }
 
     return result;
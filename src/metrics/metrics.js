@@ -0,0 +1,206 @@
+/**
+ * @file metrics.js
+ * Collects outcome counters and latency histograms for each validation method, along with
+ * the durations of provider lifecycle handlers, and renders them in the Prometheus text format.
+ *
+ * Collection is cheap (a map lookup and a few additions per validation), so that it may be
+ * left on in production.
+ */
+
+// Upper bounds of the latency histogram buckets, in seconds.
+const DEFAULT_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// Outcomes counted for each validation method.
+const OUTCOMES = ['passed', 'failed', 'threw'];
+
+/**
+ * Creates an empty histogram with the given bucket bounds.
+ *
+ * @param {number[]} bounds - Upper bounds of the buckets, in ascending order.
+ */
+function createHistogram(bounds) {
+    return { counts: bounds.map(() => 0), sum: 0, count: 0 };
+}
+
+/**
+ * Records a single observation in the given histogram.
+ *
+ * @param {Object} histogram - The histogram, as returned from `createHistogram(...)`.
+ * @param {number[]} bounds - Upper bounds of the histogram's buckets.
+ * @param {number} value - The observed value.
+ */
+function observe(histogram, bounds, value) {
+    // buckets are cumulative when read, so only the first matching bucket is counted here
+    const index = bounds.findIndex(bound => value <= bound);
+    if (index >= 0) {
+        histogram.counts[index]++;
+    }
+    histogram.sum += value;
+    histogram.count++;
+}
+
+/**
+ * Returns a plain copy of the given histogram, with cumulative bucket counts.
+ *
+ * @param {Object} histogram - The histogram to be copied.
+ * @param {number[]} bounds - Upper bounds of the histogram's buckets.
+ */
+function snapshotHistogram(histogram, bounds) {
+    let total = 0;
+    return {
+        buckets: bounds.map((le, i) => ({ le, count: (total += histogram.counts[i]) })),
+        sum: histogram.sum,
+        count: histogram.count,
+    };
+}
+
+/**
+ * Creates a metrics collector.
+ *
+ * @param {Object} [options] - Optional settings.
+ * @param {number[]} [options.buckets] - Upper bounds of the latency histogram buckets, in
+ * seconds. Defaults to `DEFAULT_BUCKETS`.
+ *
+ * @throws An error if the given buckets aren't an ascending list of positive numbers.
+ */
+function createCollector(options) {
+    options = options || {};
+    const bounds = (typeof options.buckets === 'undefined') ? DEFAULT_BUCKETS : options.buckets;
+    const isAscending = Array.isArray(bounds) && (bounds.length > 0)
+        && bounds.every((b, i) => (typeof b === 'number') && isFinite(b) && (b > 0) && ((i === 0) || (b > bounds[i - 1])));
+    if (!isAscending) {
+        throw new Error(`Expected the metrics buckets to be an ascending list of positive numbers, but instead found: (${typeof bounds}) ${bounds}`);
+    }
+
+    let validations = new Map();
+    let hooks = new Map();
+
+    return {
+        /**
+         * Records the outcome and duration of a single validation method.
+         *
+         * @param {string} namespace - Namespace of the validator.
+         * @param {string} scheme - Name of the scheme.
+         * @param {string} method - Name of the validation method.
+         * @param {string} outcome - One of 'passed', 'failed' or 'threw'.
+         * @param {number} seconds - How long the validation took.
+         */
+        validation(namespace, scheme, method, outcome, seconds) {
+            const key = `${namespace}\u0000${scheme}\u0000${method}`;
+            let entry = validations.get(key);
+            if (!entry) {
+                validations.set(key, entry = { namespace, scheme, method, passed: 0, failed: 0, threw: 0, duration: createHistogram(bounds) });
+            }
+            entry[outcome]++;
+            observe(entry.duration, bounds, seconds);
+        },
+
+        /**
+         * Records the duration of a single provider lifecycle handler.
+         *
+         * @param {string} namespace - Namespace of the validator.
+         * @param {string} scheme - Name of the scheme.
+         * @param {string} hook - Name of the handler, such as 'before' or 'params'.
+         * @param {number} seconds - How long the handler took.
+         */
+        hook(namespace, scheme, hook, seconds) {
+            const key = `${namespace}\u0000${scheme}\u0000${hook}`;
+            let entry = hooks.get(key);
+            if (!entry) {
+                hooks.set(key, entry = { namespace, scheme, hook, duration: createHistogram(bounds) });
+            }
+            observe(entry.duration, bounds, seconds);
+        },
+
+        /**
+         * Returns a plain copy of everything collected so far.
+         */
+        snapshot() {
+            return {
+                validations: Array.from(validations.values()).map(entry => Object.assign({}, entry, { duration: snapshotHistogram(entry.duration, bounds) })),
+                hooks: Array.from(hooks.values()).map(entry => Object.assign({}, entry, { duration: snapshotHistogram(entry.duration, bounds) })),
+            };
+        },
+
+        /**
+         * Discards everything collected so far.
+         */
+        reset() {
+            validations = new Map();
+            hooks = new Map();
+        },
+    };
+}
+
+/**
+ * Escapes the given label value for use in the Prometheus text format.
+ *
+ * @param {string} value - The label value.
+ */
+function escapeLabel(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Renders the given labels as a Prometheus label set, such as `{scheme="user",method="isA"}`.
+ *
+ * @param {Object} labels - Label values, keyed by label name.
+ */
+function labelSet(labels) {
+    return `{${Object.keys(labels).map(name => `${name}="${escapeLabel(labels[name])}"`).join(',')}}`;
+}
+
+/**
+ * Renders the lines of a single histogram series.
+ *
+ * @param {string} name - Name of the metric.
+ * @param {Object} labels - Labels of the series.
+ * @param {Object} histogram - The histogram, as held by a snapshot.
+ */
+function histogramLines(name, labels, histogram) {
+    const lines = histogram.buckets.map(bucket => `${name}_bucket${labelSet(Object.assign({}, labels, { le: String(bucket.le) }))} ${bucket.count}`);
+    lines.push(`${name}_bucket${labelSet(Object.assign({}, labels, { le: '+Inf' }))} ${histogram.count}`);
+    lines.push(`${name}_sum${labelSet(labels)} ${histogram.sum}`);
+    lines.push(`${name}_count${labelSet(labels)} ${histogram.count}`);
+    return lines;
+}
+
+/**
+ * Renders the given metrics snapshot in the Prometheus text exposition format.
+ *
+ * @param {Object} snapshot - A snapshot, as returned from `Permissions.metrics()`.
+ *
+ * @returns {string} The metrics, ending with a newline.
+ */
+function toPrometheus(snapshot) {
+    const lines = [];
+    const labelsOf = entry => ({ namespace: entry.namespace, scheme: entry.scheme, method: entry.method });
+
+    lines.push('# HELP stockade_validations_total Number of validation method runs, by outcome.');
+    lines.push('# TYPE stockade_validations_total counter');
+    snapshot.validations.forEach(entry => {
+        OUTCOMES.forEach(outcome => {
+            lines.push(`stockade_validations_total${labelSet(Object.assign(labelsOf(entry), { outcome }))} ${entry[outcome]}`);
+        });
+    });
+
+    lines.push('# HELP stockade_validation_duration_seconds Duration of validation method runs.');
+    lines.push('# TYPE stockade_validation_duration_seconds histogram');
+    snapshot.validations.forEach(entry => {
+        lines.push(...histogramLines('stockade_validation_duration_seconds', labelsOf(entry), entry.duration));
+    });
+
+    lines.push('# HELP stockade_hook_duration_seconds Duration of provider lifecycle handlers.');
+    lines.push('# TYPE stockade_hook_duration_seconds histogram');
+    snapshot.hooks.forEach(entry => {
+        lines.push(...histogramLines('stockade_hook_duration_seconds', { namespace: entry.namespace, scheme: entry.scheme, hook: entry.hook }, entry.duration));
+    });
+
+    return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+    DEFAULT_BUCKETS,
+    createCollector,
+    toPrometheus,
+};
@@ -0,0 +1,99 @@
+/**
+ * @file middleware.js
+ * Provides a factory for standard Express/Connect-style `(req, res, next)` middleware, used
+ * to enforce validators without depending on any particular framework.
+ */
+
+/**
+ * Sends the default denial response: a 403 Forbidden containing the failed validations.
+ *
+ * Express-style response helpers are used where available, otherwise the response is written
+ * using the plain Node http API.
+ *
+ * @param {Object} res - The response object which should be used to deny the request.
+ * @param {Object} result - The validation result, as returned from the matcher.
+ */
+function sendForbidden(res, result) {
+    const body = { failedValidations: result.failedValidations };
+    if ((typeof res.status === 'function') && (typeof res.json === 'function')) {
+        return res.status(403).json(body);
+    }
+    res.statusCode = 403;
+    if (typeof res.setHeader === 'function') {
+        res.setHeader('Content-Type', 'application/json');
+    }
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Creates a middleware function which validates each request against the given validator.
+ *
+ * Requests which pass are handed along with `next()`. Requests which fail are denied with a
+ * 403 response (or handed to `options.onDeny`, if given). If any validation method throws, or
+ * the matcher itself fails, the error is handed along with `next(err)` instead.
+ *
+ * @param {Function} validate - Function used to validate a request, with the signature of
+ * `Permissions.validate(req, validator, options)`.
+ * @param {Object} validator - A validator, or combination of validators, which each request
+ * should be checked against.
+ * @param {Object} [options] - Optional middleware settings.
+ * @param {Function} [options.onDeny] - Custom denial handler, called in place of the default
+ * 403 response with the signature `onDeny(req, res, next, result)`.
+ * @param {string|Object} [options.adapter] - Request adapter passed along to `validate`.
+ * @param {number} [options.timeout] - Deadline for the validation of each request, in
+ * milliseconds, passed along to `validate`.
+ * @param {Function} [options.signal] - Function returning the signal used to cancel the
+ * validation of each request (such as one aborted when the client disconnects), with the
+ * signature `signal(req, res)`. Its result is passed along to `validate`.
+ *
+ * @returns {Function} A middleware function with the signature `(req, res, next)`.
+ */
+function create(validate, validator, options) {
+    options = (options && (typeof options === 'object')) ? options : {};
+
+    if (!validator || (typeof validator !== 'object')) {
+        throw new Error(`Expected proper validator object (as from \`Permissions.for(...)\`) when creating middleware, but received instead: (${typeof validator}) ${validator}`);
+    }
+    if ((typeof options.onDeny !== 'undefined') && (typeof options.onDeny !== 'function')) {
+        throw new Error(`Expected the \`onDeny\` middleware option to be a function, but instead found: (${typeof options.onDeny}) ${options.onDeny}`);
+    }
+    if ((typeof options.signal !== 'undefined') && (typeof options.signal !== 'function')) {
+        throw new Error(`Expected the \`signal\` middleware option to be a function returning the signal of each request, but instead found: (${typeof options.signal}) ${options.signal}`);
+    }
+
+    // Builds the options passed along to `validate` for the given request.
+    const validateOptionsFor = (req, res) => {
+        const validateOptions = {};
+        if (typeof options.adapter !== 'undefined') {
+            validateOptions.adapter = options.adapter;
+        }
+        if (typeof options.timeout !== 'undefined') {
+            validateOptions.timeout = options.timeout;
+        }
+        if (options.signal) {
+            validateOptions.signal = options.signal(req, res);
+        }
+        return validateOptions;
+    };
+
+    return function stockadeMiddleware(req, res, next) {
+        // Errors from `next` itself (or the denial handler) are left to propagate, rather than calling `next` again.
+        Promise.resolve().then(() => validate(req, validator, validateOptionsFor(req, res))).then(result => {
+            // Errors take priority over denial, as they indicate the outcome can't be trusted.
+            if (result.thrownErrors.length > 0) {
+                return next(result.thrownErrors[0].error);
+            }
+            if (!result.hasPassed) {
+                if (options.onDeny) {
+                    return options.onDeny(req, res, next, result);
+                }
+                return sendForbidden(res, result);
+            }
+            return next();
+        }, next);
+    };
+}
+
+module.exports = {
+    create,
+};
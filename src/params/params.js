@@ -0,0 +1,234 @@
+/**
+ * @file params.js
+ * Checks parameter definitions, and resolves extracted parameter values against their typed,
+ * required and defaulted definitions.
+ *
+ * Parameter definitions take one of three forms:
+ * - a source string, such as '?targetUserID' (request param), '$sid' (cookie), 'req.user.id',
+ *   or one naming a single part of the request, such as 'header:x-api-key' (see `SOURCES`).
+ * - a literal value, as `{ value }`.
+ * - a typed definition, as `{ from, type, required, default, each }`, where `from` is a source
+ *   string and every other field is optional.
+ */
+
+// Source string prefixes, mapped to the name of the request adapter function which reads the
+// rest of the string from the request. 'req.' paths are read from the request object itself.
+const SOURCES = {
+    '?': 'param',
+    '$': 'cookie',
+    'query:': 'query',
+    'body:': 'body',
+    'route:': 'route',
+    'header:': 'header',
+    'session:': 'session',
+    'signed:': 'signedCookie',
+    'req.': undefined,
+};
+
+// Prefixes which source strings must begin with.
+const SOURCE_PREFIXES = Object.keys(SOURCES);
+
+// Human-readable list of the source prefixes, for use in error messages.
+const PREFIX_LIST = `${SOURCE_PREFIXES.slice(0, -1).map(p => `'${p}'`).join(', ')} or '${SOURCE_PREFIXES[SOURCE_PREFIXES.length - 1]}'`;
+
+// Returned by coercion functions when a value can't be read as the wanted type.
+const INVALID = Symbol('stockade.invalidParam');
+
+// Coercion functions for each of the built-in types.
+const COERCERS = {
+    integer(value) {
+        if (Number.isInteger(value)) {
+            return value;
+        }
+        return ((typeof value === 'string') && /^[-+]?\d+$/.test(value.trim())) ? parseInt(value, 10) : INVALID;
+    },
+    number(value) {
+        if ((typeof value === 'number') && isFinite(value)) {
+            return value;
+        }
+        return ((typeof value === 'string') && (value.trim() !== '') && isFinite(Number(value))) ? Number(value) : INVALID;
+    },
+    string(value) {
+        return ['string', 'number', 'boolean'].includes(typeof value) ? String(value) : INVALID;
+    },
+    boolean(value) {
+        if (typeof value === 'boolean') {
+            return value;
+        }
+        if ((value === 'true') || (value === '1') || (value === 1)) {
+            return true;
+        }
+        return ((value === 'false') || (value === '0') || (value === 0)) ? false : INVALID;
+    },
+};
+
+// Values accepted for the `each` field of typed definitions.
+const FAN_OUT_MODES = [true, false, 'all', 'any'];
+
+// Alternative names accepted for the built-in types.
+const ALIASES = {
+    int: 'integer',
+    bool: 'boolean',
+};
+
+/**
+ * Splits the given source string into the adapter function reading it (undefined for 'req.'
+ * paths) and the name (or path) being read.
+ *
+ * @param {string} source - The source string, such as '?targetUserID' or 'header:x-api-key'.
+ *
+ * @returns {Object} The source's `prefix`, `reader` and `name`, or undefined if the string
+ * isn't a valid source.
+ */
+function parseSource(source) {
+    if (typeof source !== 'string') {
+        return undefined;
+    }
+    const prefix = SOURCE_PREFIXES.find(p => source.startsWith(p));
+    return prefix ? { prefix, reader: SOURCES[prefix], name: source.substr(prefix.length) } : undefined;
+}
+
+/**
+ * Returns whether or not the given value is a valid source string, naming some value to read.
+ *
+ * @param {*} value - The value to check.
+ */
+function isSource(value) {
+    const source = parseSource(value);
+    return !!source && (source.name.length > 0);
+}
+
+/**
+ * Parses the given type name into its coercion function and whether or not it's an array type,
+ * returning undefined for unknown types.
+ *
+ * @param {string|Function} type - A built-in type name, such as 'integer' or 'array<int>', or a
+ * custom coercion function.
+ */
+function parseType(type) {
+    if (typeof type === 'function') {
+        return { coerce: type, isArray: false };
+    }
+    if (typeof type !== 'string') {
+        return undefined;
+    }
+    if (type === 'array') {
+        return { coerce: value => value, isArray: true };
+    }
+    const match = /^array<(\w+)>$/.exec(type);
+    const name = ALIASES[match ? match[1] : type] || (match ? match[1] : type);
+    return COERCERS[name] ? { coerce: COERCERS[name], isArray: !!match } : undefined;
+}
+
+/**
+ * Checks the given parameter definition, returning the reason it's invalid, if it is.
+ *
+ * @param {string|Object} definition - The parameter definition to be checked.
+ *
+ * @returns {string} The reason the definition is invalid, or undefined if it's valid.
+ */
+function checkDefinition(definition) {
+    if (typeof definition === 'string') {
+        return isSource(definition) ? undefined : `The string value must begin with one of ${PREFIX_LIST}`;
+    }
+    if (!(definition instanceof Object) || (!('value' in definition) && !('from' in definition))) {
+        return `Expected a string or an object with a "value" field, but instead found: (${typeof definition}) ${definition}. Typed definitions may give a "from" field instead of a "value".`;
+    }
+    if (('from' in definition) && !isSource(definition.from)) {
+        return `The "from" field must be a string beginning with one of ${PREFIX_LIST}, but instead found: (${typeof definition.from}) ${definition.from}`;
+    }
+    if (('type' in definition) && !parseType(definition.type)) {
+        return `Unknown type "${definition.type}". Expected one of 'integer', 'number', 'string', 'boolean', an 'array<...>' of these, or a coercion function.`;
+    }
+    if (('required' in definition) && (typeof definition.required !== 'boolean')) {
+        return `The "required" field must be a boolean, but instead found: (${typeof definition.required}) ${definition.required}`;
+    }
+    if (('each' in definition) && !FAN_OUT_MODES.includes(definition.each)) {
+        return `The "each" field must be a boolean, 'all' or 'any', but instead found: (${typeof definition.each}) ${definition.each}`;
+    }
+    return undefined;
+}
+
+/**
+ * Returns how the results of a fanned-out parameter's elements are combined: 'all' where every
+ * element must pass, or 'any' where a single passing element is enough.
+ *
+ * @param {string|Object} definition - The parameter definition.
+ *
+ * @returns {string} One of 'all' or 'any', or undefined if the parameter isn't fanned out.
+ */
+function fanOutMode(definition) {
+    if (!isTyped(definition) || !definition.each) {
+        return undefined;
+    }
+    return (definition.each === 'any') ? 'any' : 'all';
+}
+
+/**
+ * Returns whether or not the given definition is typed, i.e. an object with a `from` field.
+ *
+ * @param {string|Object} definition - The parameter definition.
+ */
+function isTyped(definition) {
+    return (definition instanceof Object) && ('from' in definition);
+}
+
+/**
+ * Resolves the raw value extracted for some parameter against its definition, applying any
+ * default, and coercing the value to the definition's type.
+ *
+ * Custom coercion functions are called as `type(value, name)`, returning the coerced value, or
+ * throwing an error where the value is invalid. Fanned-out parameters (see `fanOutMode(...)`)
+ * are always read as arrays, with their type applying to each element.
+ *
+ * @param {string} name - Name of the parameter.
+ * @param {*} raw - The value extracted from the request.
+ * @param {Object} definition - The parameter's definition (typed definitions use every field).
+ *
+ * @returns {Object} Either `{ value }`, or `{ reason }` where the parameter is missing (while
+ * required) or can't be read as its type.
+ */
+function resolve(name, raw, definition) {
+    if (!isTyped(definition)) {
+        return { value: raw };
+    }
+
+    if ((raw === undefined) || (raw === null)) {
+        if ('default' in definition) {
+            return { value: definition.default };
+        }
+        if (definition.required === true) {
+            return { reason: `Parameter "${name}" is required, but no value was found at "${definition.from}".` };
+        }
+        return { value: raw };
+    }
+    if (!('type' in definition)) {
+        return { value: raw };
+    }
+
+    const type = parseType(definition.type);
+    const describe = (typeof definition.type === 'function') ? (definition.type.name || 'custom') : definition.type;
+    const isArray = type.isArray || !!fanOutMode(definition);
+    const values = isArray ? (Array.isArray(raw) ? raw : [raw]) : [raw];
+    try {
+        const coerced = values.map(value => type.coerce(value, name));
+        const bad = coerced.findIndex(value => value === INVALID);
+        if (bad >= 0) {
+            return { reason: `Parameter "${name}" could not be read as type "${describe}", found: (${typeof values[bad]}) ${values[bad]}` };
+        }
+        return { value: isArray ? coerced : coerced[0] };
+    } catch (err) {
+        return { reason: `Parameter "${name}" could not be read as type "${describe}": ${err.message}` };
+    }
+}
+
+module.exports = {
+    SOURCES,
+    SOURCE_PREFIXES,
+    parseSource,
+    isSource,
+    isTyped,
+    checkDefinition,
+    fanOutMode,
+    resolve,
+};
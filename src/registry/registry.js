@@ -0,0 +1,231 @@
+/**
+ * @file registry.js
+ * Resolves schemes within the provider registry, following namespace fallback chains.
+ *
+ * A namespace falls back to its parent whenever it doesn't hold some scheme itself. Parents
+ * are either declared with `define(...)`, or implied by dotted names, where 'org.teamA' falls
+ * back to 'org'. Declared parents are stored on the namespace objects under a symbol key, so
+ * that they never collide with (nor are listed alongside) scheme names.
+ */
+
+const PARENT = Symbol('stockade.parent');
+
+/**
+ * Returns the name of the namespace which the given one falls back to, if any.
+ *
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ * @param {string} name - Name of the namespace.
+ */
+function parentOf(namespaces, name) {
+    const namespace = namespaces[name];
+    if (namespace && (typeof namespace[PARENT] === 'string')) {
+        return namespace[PARENT];
+    }
+    const sep = name.lastIndexOf('.');
+    return (sep > 0) ? name.substr(0, sep) : undefined;
+}
+
+/**
+ * Lists the names of the namespaces searched for schemes of the given namespace, in order,
+ * starting with the namespace itself.
+ *
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ * @param {string} name - Name of the namespace.
+ */
+function chain(namespaces, name) {
+    const names = [];
+    for (let current = name; (typeof current === 'string') && !names.includes(current); current = parentOf(namespaces, current)) {
+        names.push(current);
+    }
+    return names;
+}
+
+/**
+ * Returns the registered definition of the named scheme, as found by searching the given
+ * namespace, then each of its ancestors.
+ *
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ * @param {string} namespace - Name of the namespace to search.
+ * @param {string} scheme - Name of the scheme to find.
+ *
+ * @returns {Object} The scheme definition, or undefined if no namespace in the chain holds it.
+ */
+function lookup(namespaces, namespace, scheme) {
+    const found = chain(namespaces, namespace).find(name => namespaces[name] && Object.prototype.hasOwnProperty.call(namespaces[name], scheme));
+    return found ? namespaces[found][scheme] : undefined;
+}
+
+/**
+ * Returns whether or not the given namespace, or any of its ancestors, has been registered.
+ *
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ * @param {string} namespace - Name of the namespace.
+ */
+function exists(namespaces, namespace) {
+    return chain(namespaces, namespace).some(name => !!namespaces[name]);
+}
+
+/**
+ * Defines the given namespace, optionally declaring the parent which it should fall back to.
+ *
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ * @param {string} name - Name of the namespace.
+ * @param {string} [parent] - Name of the parent namespace. If not given, dotted names fall back
+ * to their prefix, and other names don't fall back at all.
+ *
+ * @throws An error if the given names are invalid, or if the parent would cause a cycle.
+ */
+function define(namespaces, name, parent) {
+    if ((typeof name !== 'string') || (name.length === 0)) {
+        throw new Error(`Expected a namespace name of type string, but instead found: (${typeof name}) ${name}`);
+    }
+    if ((typeof parent !== 'undefined') && ((typeof parent !== 'string') || (parent.length === 0))) {
+        throw new Error(`Expected the parent of namespace "${name}" to be a namespace name of type string, but instead found: (${typeof parent}) ${parent}`);
+    }
+    if ((typeof parent === 'string') && chain(namespaces, parent).includes(name)) {
+        throw new Error(`Attempted to set the parent of namespace "${name}" to "${parent}", but this would create a cycle: ${[name].concat(chain(namespaces, parent)).join(' -> ')}`);
+    }
+
+    const namespace = namespaces[name] || (namespaces[name] = {});
+    if (typeof parent === 'string') {
+        namespace[PARENT] = parent;
+    } else {
+        delete namespace[PARENT];
+    }
+    return namespace;
+}
+
+// Provider fields holding objects, merged key-by-key when composing providers.
+const MERGED_FIELDS = ['_params', '_cache'];
+
+/**
+ * Copies the fields of the given provider over the target, merging object-type settings and
+ * redaction lists rather than replacing them.
+ *
+ * @param {Object} target - The provider being composed.
+ * @param {Object} source - The provider whose fields should be copied over.
+ */
+function mergeProvider(target, source) {
+    Object.keys(source).forEach(key => {
+        if (key === '_extends') {
+            return;
+        }
+        if (MERGED_FIELDS.includes(key) && source[key] && (typeof source[key] === 'object')) {
+            target[key] = Object.assign({}, target[key], source[key]);
+        } else if ((key === '_redact') && Array.isArray(source[key])) {
+            target[key] = (Array.isArray(target[key]) ? target[key] : []).concat(source[key].filter(n => !(target[key] || []).includes(n)));
+        } else {
+            target[key] = source[key];
+        }
+    });
+    return target;
+}
+
+/**
+ * Wraps the given function of some parent provider, such that `this._super` refers to the
+ * parent's own `_super` while it runs, rather than to that of the child it's called on. Without
+ * this, a parent calling `this._super.before.call(this, ...)` would only ever call itself.
+ *
+ * @param {Function} fn - The parent's function.
+ * @param {Object} [parentSuper] - The parent's own `_super`, if it extends anything.
+ */
+function bindSuper(fn, parentSuper) {
+    return function (...args) {
+        const self = (this && (typeof this === 'object'))
+            ? new Proxy(this, { get: (target, key, receiver) => (key === '_super') ? parentSuper : Reflect.get(target, key, receiver) })
+            : this;
+        return fn.apply(self, args);
+    };
+}
+
+/**
+ * Returns a copy of the given parent provider, as seen by its children: each of its functions is
+ * bound to the parent's own `_super` (see `bindSuper(...)`).
+ *
+ * @param {Object} parent - The (composed) parent provider.
+ */
+function superView(parent) {
+    const view = {};
+    Object.keys(parent).forEach(key => {
+        view[key] = (typeof parent[key] === 'function') ? bindSuper(parent[key], parent._super) : parent[key];
+    });
+    if (parent._super) {
+        Object.defineProperty(view, '_super', { value: parent._super, configurable: true });
+    }
+    return view;
+}
+
+/**
+ * Builds the provider which should actually be registered for the given definition, resolving
+ * any parents named by its `_extends` field.
+ *
+ * `_extends` may be the name of a registered provider (searched for from the namespace being
+ * registered into), a `{ name, namespace }` reference, a mixin object (which may itself have
+ * an `_extends` field), or an array of any of these. Parents are merged in order, followed by
+ * the provider's own fields: `_params` and `_cache` are merged key-by-key, `_redact` lists are
+ * joined, and everything else (such as validations and handlers) is overridden. The parent
+ * (or the merge of all parents, where there are several) is made available to the provider's
+ * own handlers as `this._super`, so that a parent's `before` may be called with
+ * `this._super.before.call(this, ...)`. Functions inherited from a parent see that parent's own
+ * `_super` in turn, however deep the chain of providers.
+ *
+ * Parents are resolved once, at registration, so providers must be registered after their
+ * parents, and later changes to a parent aren't seen by its children.
+ *
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ * @param {Object} provider - The provider definition being registered.
+ * @param {string} name - Name which the provider is being registered under.
+ * @param {string} namespace - Namespace which the provider is being registered in.
+ * @param {Object[]} [stack] - Providers currently being composed, used to detect cycles.
+ *
+ * @returns {Object} The provider itself if it extends nothing, otherwise a new composed provider.
+ *
+ * @throws An error if some parent is invalid or can't be found, or if mixins form a cycle.
+ */
+function compose(namespaces, provider, name, namespace, stack) {
+    stack = (stack || []).concat(provider);
+    if (typeof provider._extends === 'undefined') {
+        return provider;
+    }
+
+    const parents = (Array.isArray(provider._extends) ? provider._extends : [provider._extends]).map(parent => {
+        // resolve references to registered providers (by name, or by { name, namespace })
+        const isReference = (typeof parent === 'string')
+            || (parent && (typeof parent === 'object') && (typeof parent.name === 'string') && Object.keys(parent).every(k => ['name', 'namespace'].includes(k)));
+        if (isReference) {
+            const ref = (typeof parent === 'string') ? { name: parent } : parent;
+            const refNamespace = (typeof ref.namespace === 'string' && ref.namespace.length) ? ref.namespace : namespace;
+            const scheme = lookup(namespaces, refNamespace, ref.name);
+            if (!scheme) {
+                throw new Error(`The provider definition "${name}" in namespace "${namespace}" extends provider "${ref.name}" in namespace "${refNamespace}", but no such provider has been registered. Parent providers must be registered before their children.`);
+            }
+            return scheme.provider;
+        }
+        // otherwise we've a mixin object, which may extend others itself
+        if (!parent || (typeof parent !== 'object')) {
+            throw new Error(`The provider definition "${name}" in namespace "${namespace}" contains an invalid _extends entry. Expected a provider name, a { name, namespace } reference or a mixin object, but instead found: (${typeof parent}) ${parent}`);
+        }
+        if (stack.includes(parent)) {
+            throw new Error(`The provider definition "${name}" in namespace "${namespace}" contains an inheritance cycle: a mixin extends itself, directly or through other mixins.`);
+        }
+        return compose(namespaces, parent, name, namespace, stack);
+    });
+
+    const views = parents.map(superView);
+    const base = views.reduce((acc, view) => mergeProvider(acc, view), {});
+    const composed = mergeProvider(mergeProvider({}, base), provider);
+    // a single parent is exposed whole, so that its own `_super` remains reachable. The field is left configurable
+    // so that `bindSuper(...)` may report some other `_super` for it through a proxy.
+    Object.defineProperty(composed, '_super', { value: (views.length === 1) ? views[0] : base, configurable: true });
+    return composed;
+}
+
+module.exports = {
+    PARENT,
+    compose,
+    parentOf,
+    chain,
+    lookup,
+    exists,
+    define,
+};
@@ -0,0 +1,256 @@
+/**
+ * @file serialize.js
+ * Converts validators into plain, versioned JSON documents and back again, so that policies
+ * may be persisted or shipped between processes.
+ *
+ * Documents take the form `{ version: 1, validator: <node> }`, where each node is one of:
+ *
+ *     { type: 'validator', namespace, scheme, method, target, params, count?, parallel?, concurrency?, shortCircuit?, timeout?, forEach? }
+ *     { type: 'compound', method, target: [<node>...], count?, shortCircuit?, parallel?, concurrency? }
+ *     { type: 'none' }
+ */
+
+const registry = require('../registry/registry');
+
+// Version of the document schema written by `toJSON(...)`.
+const SCHEMA_VERSION = 1;
+
+// Methods supported by each node type.
+const VALIDATOR_METHODS = ['all', 'any', 'allOf', 'anyOf', 'noneOf', 'atLeast'];
+const COMPOUND_METHODS = ['allOf', 'anyOf', 'noneOf', 'atLeast', 'not'];
+
+/**
+ * Returns a JSON copy of the given parameter override definition (or some value held within it).
+ *
+ * @param {*} value - The definition, or value within it, to be copied.
+ * @param {string} path - Location of the value within the override (such as 'id.type'), used
+ * in error messages.
+ * @param {Object} compiled - The compiled validator holding the override.
+ *
+ * @throws An error if the value can't be represented as JSON without losing some part of it,
+ * such as a function `type` or an undefined value.
+ */
+function copyParam(value, path, compiled) {
+    const fail = (reason) => new Error(`Unable to serialize the override "${path}" of the validator for scheme "${compiled.scheme}" (in namespace "${compiled.namespace}"): ${reason}`);
+    if ((value === null) || ['string', 'boolean'].includes(typeof value)) {
+        return value;
+    }
+    if (typeof value === 'number') {
+        if (!isFinite(value)) {
+            throw fail(`found non-finite number ${value}`);
+        }
+        return value;
+    }
+    if (Array.isArray(value)) {
+        return value.map((item, i) => copyParam(item, `${path}[${i}]`, compiled));
+    }
+    if ((typeof value === 'object') && [Object.prototype, null].includes(Object.getPrototypeOf(value))) {
+        const copy = {};
+        Object.keys(value).forEach(key => {
+            copy[key] = copyParam(value[key], `${path}.${key}`, compiled);
+        });
+        return copy;
+    }
+    throw fail(`only strings, finite numbers, booleans, null, arrays and plain objects may be represented, but found: (${typeof value}) ${(typeof value === 'function') ? (value.name || 'anonymous function') : String(value)}`);
+}
+
+/**
+ * Returns the JSON node for the given validator.
+ *
+ * @param {Object} validator - A validator, or combination of validators.
+ */
+function serializeNode(validator) {
+    if (!validator || (typeof validator !== 'object')) {
+        throw new Error(`Expected a validator to be serialized, but instead found: (${typeof validator}) ${validator}`);
+    }
+
+    if (typeof validator.compile === 'function') {
+        const compiled = validator.compile();
+        if (!compiled.method) {
+            throw new Error(`Unable to serialize the validator for scheme "${compiled.scheme}" (in namespace "${compiled.namespace}"): no match method has been called.`);
+        }
+        const params = {};
+        Object.keys(compiled.params).forEach(key => {
+            params[key] = copyParam(compiled.params[key], key, compiled);
+        });
+        const node = {
+            type: 'validator',
+            namespace: compiled.namespace,
+            scheme: compiled.scheme,
+            method: compiled.method,
+            target: (compiled.target === '*') ? '*' : compiled.target.slice(),
+            params,
+        };
+        ['count', 'parallel', 'concurrency', 'shortCircuit', 'timeout'].forEach(key => {
+            if (compiled[key] !== undefined) {
+                node[key] = compiled[key];
+            }
+        });
+        if (compiled.forEach) {
+            node.forEach = { param: compiled.forEach.param, mode: compiled.forEach.mode };
+        }
+        return node;
+    }
+
+    if (validator.method === 'NOP') {
+        return { type: 'none' };
+    }
+    if (!COMPOUND_METHODS.includes(validator.method) || !Array.isArray(validator.target)) {
+        throw new Error('The passed validator provides no compile function nor a valid method field. Please ensure that only proper validators returned from the Permissions helper are used.');
+    }
+    const node = {
+        type: 'compound',
+        method: validator.method,
+        target: validator.target.map(serializeNode),
+    };
+    if (validator.count !== undefined) {
+        node.count = validator.count;
+    }
+    if (validator.shortCircuit === true) {
+        node.shortCircuit = true;
+    }
+    if (validator.parallel === false) {
+        node.parallel = false;
+    }
+    if (validator.concurrency !== undefined) {
+        node.concurrency = validator.concurrency;
+    }
+    return node;
+}
+
+/**
+ * Returns a versioned JSON document describing the given validator.
+ *
+ * @param {Object} validator - A validator, or combination of validators.
+ */
+function toJSON(validator) {
+    return {
+        version: SCHEMA_VERSION,
+        validator: serializeNode(validator),
+    };
+}
+
+/**
+ * Rebuilds the validator described by the given JSON node, checking that any schemes and
+ * methods it names are registered.
+ *
+ * @param {Object} node - The JSON node to be loaded.
+ * @param {string} path - Location of the node within the document, used in error messages.
+ * @param {Object} api - The Permissions object used to create validators.
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ */
+function deserializeNode(node, path, api, namespaces) {
+    if (!node || (typeof node !== 'object')) {
+        throw new Error(`Expected a validator node at ${path}, but instead found: (${typeof node}) ${node}`);
+    }
+
+    if (node.type === 'none') {
+        return api.none();
+    }
+
+    if (node.type === 'compound') {
+        if (!COMPOUND_METHODS.includes(node.method)) {
+            throw new Error(`Expected the compound validator at ${path} to use one of the methods: ${COMPOUND_METHODS.join(', ')}. Instead found: ${node.method}`);
+        }
+        if (!Array.isArray(node.target)) {
+            throw new Error(`Expected the compound validator at ${path} to have an array target, but instead found: (${typeof node.target}) ${node.target}`);
+        }
+        const children = node.target.map((child, i) => deserializeNode(child, `${path}.target[${i}]`, api, namespaces));
+        if (node.method === 'not') {
+            if (children.length !== 1) {
+                throw new Error(`Expected the "not" compound validator at ${path} to have exactly one target, but found ${children.length}.`);
+            }
+            return api.not(children[0]);
+        }
+        const options = {};
+        if (node.shortCircuit === true) {
+            options.shortCircuit = true;
+        }
+        if ((node.parallel === false) || (node.concurrency !== undefined)) {
+            options.parallel = (node.parallel === false) ? false : node.concurrency;
+        }
+        return (node.method === 'atLeast')
+            ? api.atLeast(node.count, ...children, options)
+            : api[node.method](...children, options);
+    }
+
+    if (node.type !== 'validator') {
+        throw new Error(`Expected the node at ${path} to have a type of 'validator', 'compound' or 'none', but instead found: ${node.type}`);
+    }
+    if (!VALIDATOR_METHODS.includes(node.method)) {
+        throw new Error(`Expected the validator at ${path} to use one of the methods: ${VALIDATOR_METHODS.join(', ')}. Instead found: ${node.method}`);
+    }
+
+    // Make sure the named scheme and methods are actually registered.
+    const namespace = (typeof node.namespace === 'string') ? node.namespace : 'global';
+    const scheme = registry.lookup(namespaces, namespace, node.scheme);
+    if (!scheme) {
+        throw new Error(`The validator at ${path} targets scheme "${node.scheme}" in namespace "${namespace}", but no such scheme has been registered!`);
+    }
+    const target = node.target;
+    if ((target !== '*') && !Array.isArray(target)) {
+        throw new Error(`Expected the validator at ${path} to have a target of '*' or an array of validation names, but instead found: (${typeof target}) ${target}`);
+    }
+    if (Array.isArray(target)) {
+        target.forEach(name => {
+            if (!scheme.validations.includes(name)) {
+                throw new Error(`The validator at ${path} targets method "${name}" with scheme "${node.scheme}" (in namespace "${namespace}"), but no such validation method exists!`);
+            }
+        });
+    }
+
+    let validator = api.for(node.scheme, namespace);
+    const params = (node.params && (typeof node.params === 'object')) ? node.params : {};
+    for (const key in params) {
+        validator = validator[key](params[key]);
+    }
+    if (node.parallel === true) {
+        validator = validator.parallel(node.concurrency);
+    } else if (node.parallel === false) {
+        validator = validator.sequential();
+    }
+    if (node.shortCircuit === true) {
+        validator = validator.shortCircuit();
+    }
+    if (node.timeout !== undefined) {
+        validator = validator.timeout(node.timeout);
+    }
+    if (node.forEach !== undefined) {
+        if (!node.forEach || (typeof node.forEach !== 'object')) {
+            throw new Error(`Expected the validator at ${path} to have a forEach of the form { param, mode }, but instead found: (${typeof node.forEach}) ${node.forEach}`);
+        }
+        validator = validator.forEach(node.forEach.param, node.forEach.mode);
+    }
+
+    if (target === '*') {
+        return validator[node.method]();
+    }
+    return (node.method === 'atLeast') ? validator.atLeast(node.count, ...target) : validator[node.method](...target);
+}
+
+/**
+ * Rebuilds the validator described by the given JSON document (or its string form).
+ *
+ * @param {Object|string} json - A document, as returned from `toJSON(...)`.
+ * @param {Object} api - The Permissions object used to create validators.
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ *
+ * @throws An error if the document is malformed, of an unsupported version, or refers to
+ * schemes or methods which haven't been registered.
+ */
+function fromJSON(json, api, namespaces) {
+    const doc = (typeof json === 'string') ? JSON.parse(json) : json;
+    if (!doc || (typeof doc !== 'object')) {
+        throw new Error(`Expected a validator document to be loaded, but instead found: (${typeof doc}) ${doc}`);
+    }
+    if (doc.version !== SCHEMA_VERSION) {
+        throw new Error(`Unsupported validator document version: ${doc.version}. Only version ${SCHEMA_VERSION} documents may be loaded.`);
+    }
+    return deserializeNode(doc.validator, 'validator', api, namespaces);
+}
+
+module.exports = {
+    SCHEMA_VERSION,
+    toJSON,
+    fromJSON,
+};
@@ -0,0 +1,280 @@
+/**
+ * @file testing.js
+ * Helpers for unit-testing permissions: a mock request builder, temporary stubs of validation
+ * methods, providers registered for a single test, and fluent assertions on validators.
+ *
+ * Stubs and registrations are undone by `restore()`, which is run automatically after each test
+ * where the test framework offers a global `afterEach` (as Mocha and Jest do).
+ */
+
+/* global afterEach */
+
+const defaultPermissions = require('../main');
+
+// Undo functions of every stub and registration made so far, in the order they were made.
+const cleanups = [];
+
+/**
+ * Builds a mock request, usable with the default (Express/Sails) request adapter.
+ *
+ * @param {Object} [options] - Contents of the request. Any field not listed below is copied
+ * onto the request as-is (such as `user` or `auth`), for use with `req.`-style params.
+ * @param {Object} [options.params] - Values returned by `req.param(name)`, taking precedence
+ * over route params, body values and query values (which `req.param(name)` falls back to).
+ * @param {Object} [options.query] - Query values (`req.query`).
+ * @param {Object} [options.body] - Body values (`req.body`).
+ * @param {Object} [options.route] - Route path params (`req.params`).
+ * @param {Object} [options.cookies] - Cookies (`req.cookies`).
+ * @param {Object} [options.signedCookies] - Signed cookies (`req.signedCookies`).
+ * @param {Object} [options.headers] - Headers (`req.headers`), whose names are lower-cased.
+ * @param {Object} [options.session] - Session values (`req.session`).
+ */
+function mockRequest(options) {
+    options = options || {};
+    const own = ['params', 'query', 'body', 'route', 'cookies', 'signedCookies', 'headers', 'session'];
+    const req = {};
+    Object.keys(options).filter(key => !own.includes(key)).forEach(key => {
+        req[key] = options[key];
+    });
+
+    const params = options.params || {};
+    req.query = Object.assign({}, options.query);
+    req.body = Object.assign({}, options.body);
+    req.params = Object.assign({}, options.route);
+    req.cookies = Object.assign({}, options.cookies);
+    req.signedCookies = Object.assign({}, options.signedCookies);
+    req.headers = {};
+    Object.keys(options.headers || {}).forEach(name => {
+        req.headers[name.toLowerCase()] = options.headers[name];
+    });
+    if (options.session) {
+        req.session = options.session;
+    }
+    req.param = (name) => [params, req.params, req.body, req.query]
+        .map(source => source[name])
+        .find(value => typeof value !== 'undefined');
+    return req;
+}
+
+/**
+ * Turns the given stub implementation into a validation method. Functions are used as-is,
+ * errors are thrown, and any other value is returned.
+ *
+ * @param {*} impl - The stub implementation.
+ */
+function stubMethod(impl) {
+    if (typeof impl === 'function') {
+        return impl;
+    }
+    if (impl instanceof Error) {
+        return async () => {
+            throw impl;
+        };
+    }
+    return async () => impl;
+}
+
+/**
+ * Temporarily replaces a validation method of a registered provider, until `restore()` is
+ * called (or the returned function is). Stubbed methods are never cached as decisions.
+ *
+ * @param {string} scheme - Name of the registered provider.
+ * @param {string} method - Name of the validation method to be stubbed.
+ * @param {*} impl - The replacement: a validation method, an error to be thrown, or a result to
+ * be returned (such as `true`, `false` or an explanation object).
+ * @param {Object} [options] - Optional settings.
+ * @param {string} [options.namespace] - Namespace which the provider is registered in.
+ * @param {Object} [options.permissions] - The Permissions instance which the provider is
+ * registered with, defaulting to the default instance.
+ *
+ * @returns {Function} A function undoing the stub.
+ *
+ * @throws An error if no such provider or validation method is registered.
+ */
+function stub(scheme, method, impl, options) {
+    options = options || {};
+    const permissions = options.permissions || defaultPermissions;
+    const namespace = options.namespace || 'global';
+
+    const entry = permissions.unregister(scheme, namespace);
+    if (!entry) {
+        throw new Error(`Attempted to stub method "${method}" of provider "${scheme}" in namespace "${namespace}", but no such provider has been registered!`);
+    }
+    if (!entry.validations.includes(method)) {
+        permissions.register(entry.provider, scheme, namespace);
+        throw new Error(`Attempted to stub method "${method}" of provider "${scheme}" in namespace "${namespace}", but no such validation method exists!`);
+    }
+
+    // copy the provider (keeping its prototype and `_super`), leaving the stubbed method out of the decision cache
+    const original = entry.provider;
+    const stubbed = Object.assign(Object.create(Object.getPrototypeOf(original)), original, { [method]: stubMethod(impl) });
+    if (original._super) {
+        Object.defineProperty(stubbed, '_super', { value: original._super, configurable: true });
+    }
+    if (original._cache && (typeof original._cache === 'object')) {
+        stubbed._cache = Object.assign({}, original._cache);
+        delete stubbed._cache[method];
+    }
+    permissions.register(stubbed, scheme, namespace);
+
+    let restored = false;
+    const undo = () => {
+        if (!restored) {
+            restored = true;
+            permissions.unregister(scheme, namespace);
+            permissions.register(original, scheme, namespace);
+        }
+    };
+    cleanups.push(undo);
+    return undo;
+}
+
+/**
+ * Registers the given provider until `restore()` is called (or the returned function is).
+ *
+ * @param {Object} provider - The provider to be registered.
+ * @param {string} name - Name which the provider should be registered under.
+ * @param {Object} [options] - Optional settings.
+ * @param {string} [options.namespace] - Namespace which the provider should be registered in.
+ * @param {Object} [options.permissions] - The Permissions instance which the provider should
+ * be registered with, defaulting to the default instance.
+ *
+ * @returns {Function} A function unregistering the provider.
+ *
+ * @throws An error if the provider can't be registered.
+ */
+function register(provider, name, options) {
+    options = options || {};
+    const permissions = options.permissions || defaultPermissions;
+    permissions.register(provider, name, options.namespace);
+
+    let removed = false;
+    const undo = () => {
+        if (!removed) {
+            removed = true;
+            permissions.unregister(name, options.namespace);
+        }
+    };
+    cleanups.push(undo);
+    return undo;
+}
+
+/**
+ * Undoes every stub and registration made so far, latest first.
+ */
+function restore() {
+    while (cleanups.length > 0) {
+        cleanups.pop()();
+    }
+}
+
+/**
+ * Creates the error thrown by failed assertions, holding the validation result for inspection.
+ *
+ * @param {string} message - Description of what was expected.
+ * @param {Object} [result] - The validation result, if validation finished.
+ */
+function assertionError(message, result) {
+    const describeResult = result
+        ? ` Passed: [${result.passedValidations.join(', ')}], failed: [${result.failedValidations.map(f => f.name).join(', ')}], threw: [${result.thrownErrors.map(t => t.name).join(', ')}].`
+        : '';
+    const err = new Error(`${message}${describeResult}`);
+    err.name = 'AssertionError';
+    err.result = result;
+    return err;
+}
+
+/**
+ * Starts an assertion on the given validator, continued with `.forRequest(req)`, then one of:
+ *
+ * - `.toPass()`, expecting the request to pass.
+ * - `.toFail()`, expecting the request to fail, without any validation throwing.
+ * - `.toFailWith(...names)`, expecting the request to fail, with each of the named validations
+ *   (such as 'user:isLoggedIn') listed as failures.
+ * - `.toThrow([pattern])`, expecting some validation (or the validation as a whole) to throw,
+ *   optionally with a message matching the given string or regular expression.
+ *
+ * Each of these returns a promise, resolving to the validation result (or thrown error), or
+ * rejecting with an `AssertionError` where the expectation isn't met.
+ *
+ * @param {Object} validator - A validator, or combination of validators.
+ * @param {Object} [options] - Optional settings.
+ * @param {Object} [options.permissions] - The Permissions instance used to validate, which
+ * should be the one which built the validator. Defaults to the default instance.
+ */
+function expectValidator(validator, options) {
+    options = options || {};
+    const permissions = options.permissions || defaultPermissions;
+
+    return {
+        forRequest(req, validateOptions) {
+            const run = () => permissions.validate(req, validator, validateOptions);
+            const settle = () => run().then(result => ({ result }), error => ({ error }));
+            const rethrow = (outcome) => {
+                if (outcome.error) {
+                    throw outcome.error;
+                }
+                return outcome.result;
+            };
+
+            return {
+                async toPass() {
+                    const result = rethrow(await settle());
+                    if (!result.hasPassed) {
+                        throw assertionError('Expected the request to pass the validator, but it failed.', result);
+                    }
+                    return result;
+                },
+                async toFail() {
+                    const result = rethrow(await settle());
+                    if (result.hasPassed) {
+                        throw assertionError('Expected the request to fail the validator, but it passed.', result);
+                    }
+                    if (result.thrownErrors.length > 0) {
+                        throw assertionError('Expected the request to fail the validator, but some validation threw.', result);
+                    }
+                    return result;
+                },
+                async toFailWith(...names) {
+                    const result = rethrow(await settle());
+                    if (result.hasPassed) {
+                        throw assertionError(`Expected the request to fail the validator with ${names.join(', ')}, but it passed.`, result);
+                    }
+                    const failed = result.failedValidations.map(f => f.name);
+                    const missing = names.filter(name => !failed.includes(name));
+                    if (missing.length > 0) {
+                        throw assertionError(`Expected the request to fail the validator with ${names.join(', ')}, but found no failure of ${missing.join(', ')}.`, result);
+                    }
+                    return result;
+                },
+                async toThrow(pattern) {
+                    const outcome = await settle();
+                    const error = outcome.error || (outcome.result.thrownErrors.length ? outcome.result.thrownErrors[0].error : undefined);
+                    if (!error) {
+                        throw assertionError('Expected some validation to throw, but none did.', outcome.result);
+                    }
+                    const message = error && error.message;
+                    const matches = (typeof pattern === 'undefined')
+                        || ((pattern instanceof RegExp) ? pattern.test(message) : String(message).includes(pattern));
+                    if (!matches) {
+                        throw assertionError(`Expected a validation to throw an error matching ${pattern}, but instead it threw: ${message}.`, outcome.result);
+                    }
+                    return error;
+                },
+            };
+        },
+    };
+}
+
+// Clean up after every test, where the test framework allows it.
+if (typeof afterEach === 'function') {
+    afterEach(restore);
+}
+
+module.exports = {
+    mockRequest,
+    stub,
+    register,
+    restore,
+    expectValidator,
+};
@@ -0,0 +1,189 @@
+/**
+ * @file timeout.js
+ * Helpers used to enforce deadlines on validations and lifecycle handlers, and to signal
+ * cancellation to them through `AbortSignal` objects.
+ */
+
+const EventEmitter = require('events');
+
+/**
+ * Minimal stand-in for `AbortController`, used only on Node versions which don't provide one.
+ * Supports the subset of the signal API most code relies on: `aborted`, `reason`, `onabort`
+ * and `addEventListener('abort', ...)`.
+ */
+class FallbackAbortController {
+
+    constructor() {
+        const emitter = new EventEmitter();
+        // a single match may link many controllers to one signal, so don't warn about listener counts
+        emitter.setMaxListeners(0);
+        this.signal = {
+            aborted: false,
+            reason: undefined,
+            onabort: null,
+            addEventListener: (type, listener) => emitter.on(type, listener),
+            removeEventListener: (type, listener) => emitter.removeListener(type, listener),
+        };
+        this.emitter = emitter;
+    }
+
+    abort(reason) {
+        if (this.signal.aborted) {
+            return;
+        }
+        this.signal.aborted = true;
+        this.signal.reason = reason;
+        const event = { type: 'abort', target: this.signal };
+        if (typeof this.signal.onabort === 'function') {
+            this.signal.onabort(event);
+        }
+        this.emitter.emit('abort', event);
+    }
+
+}
+
+const AbortControllerImpl = (typeof global.AbortController === 'function') ? global.AbortController : FallbackAbortController;
+
+// Functions used to unlink controllers from their parent signals, keyed by controller.
+const detachers = new WeakMap();
+
+// Signals aborted because some deadline passed, as marked by `expire(...)` and passed on to children. These are
+// tracked here, rather than read from the signal's `reason`, as native signals of older Node versions have none.
+const expiredSignals = new WeakSet();
+
+/**
+ * Aborts the given controller following a child's parent signal, marking it as expired where
+ * the parent expired.
+ *
+ * @param {AbortController} controller - The child controller.
+ * @param {AbortSignal} parentSignal - The parent signal, which has been aborted.
+ */
+function follow(controller, parentSignal) {
+    if (expiredSignals.has(parentSignal)) {
+        expiredSignals.add(controller.signal);
+    }
+    controller.abort(parentSignal.reason);
+}
+
+/**
+ * Creates a new abort controller, which will itself be aborted whenever the given parent signal
+ * is aborted (and marked as expired, where the parent expired). Once the controller is no
+ * longer needed, it should be passed to `detach(...)` so that the parent signal doesn't hold
+ * onto it.
+ *
+ * @param {AbortSignal} [parentSignal] - Signal which the new controller should follow.
+ *
+ * @returns {AbortController} The created controller.
+ */
+function createController(parentSignal) {
+    const controller = new AbortControllerImpl();
+    if (parentSignal) {
+        if (parentSignal.aborted) {
+            follow(controller, parentSignal);
+        } else {
+            const onAbort = () => follow(controller, parentSignal);
+            parentSignal.addEventListener('abort', onAbort, { once: true });
+            detachers.set(controller, () => parentSignal.removeEventListener('abort', onAbort));
+        }
+    }
+    return controller;
+}
+
+/**
+ * Unlinks the given controller from its parent signal, as linked by `createController(...)`.
+ *
+ * @param {AbortController} controller - The controller which should be unlinked.
+ */
+function detach(controller) {
+    const detacher = detachers.get(controller);
+    if (detacher) {
+        detachers.delete(controller);
+        detacher();
+    }
+}
+
+/**
+ * Creates the error used as the abort reason when a deadline passes.
+ *
+ * @param {string} message - Message describing what has timed out.
+ */
+function timeoutError(message) {
+    const err = new Error(message);
+    err.name = 'TimeoutError';
+    err.code = 'timedOut';
+    return err;
+}
+
+/**
+ * Aborts the given controller because some deadline has passed, with a `TimeoutError` as the
+ * reason. Its signal (and the signals of its children) are then reported as expired by
+ * `hasExpired(...)`.
+ *
+ * @param {AbortController} controller - The controller which should be aborted.
+ * @param {string} message - Message describing what has timed out.
+ */
+function expire(controller, message) {
+    if (controller.signal.aborted) {
+        return;
+    }
+    expiredSignals.add(controller.signal);
+    controller.abort(timeoutError(message));
+}
+
+/**
+ * Returns whether or not the given signal was aborted because some deadline passed, be it its
+ * own or that of some parent.
+ *
+ * @param {AbortSignal} signal - The signal which should be checked.
+ */
+function hasExpired(signal) {
+    return !!signal && signal.aborted && expiredSignals.has(signal);
+}
+
+/**
+ * Waits on the given promise for up to `ms` milliseconds. If the promise hasn't settled by then,
+ * the given controller (if any) is aborted and waiting stops. Rejections of the promise are passed
+ * along as usual, unless the deadline has already passed, in which case they're ignored.
+ *
+ * @param {Promise} promise - The promise which should be waited on.
+ * @param {number} [ms] - Milliseconds to wait for. If not a finite number, waits indefinitely.
+ * @param {AbortController} [controller] - Controller to abort once the deadline passes.
+ *
+ * @returns {Promise<Object>} Resolves with `{ timedOut: false, value }` if the promise resolved
+ * in time, or `{ timedOut: true }` otherwise.
+ */
+function race(promise, ms, controller) {
+    if (typeof ms !== 'number' || !isFinite(ms)) {
+        return Promise.resolve(promise).then(value => ({ timedOut: false, value }));
+    }
+    return new Promise((resolve, reject) => {
+        let done = false;
+        const timer = setTimeout(() => {
+            done = true;
+            if (controller) {
+                expire(controller, `Timed out after ${ms}ms.`);
+            }
+            resolve({ timedOut: true });
+        }, Math.max(ms, 0));
+        Promise.resolve(promise).then(value => {
+            if (!done) {
+                clearTimeout(timer);
+                resolve({ timedOut: false, value });
+            }
+        }, err => {
+            if (!done) {
+                clearTimeout(timer);
+                reject(err);
+            }
+        });
+    });
+}
+
+module.exports = {
+    createController,
+    detach,
+    expire,
+    hasExpired,
+    race,
+    timeoutError,
+};
@@ -0,0 +1,48 @@
+/**
+ * @file trace.js
+ * Helpers used when building decision traces: high resolution timing, and redaction of
+ * sensitive params before they're exposed outside of their provider.
+ */
+
+// Value shown in place of params which have been redacted.
+const REDACTED = '[redacted]';
+
+/**
+ * Returns the current time in milliseconds, at sub-millisecond resolution, for use in timing.
+ * Only meaningful relative to other values returned from this function.
+ */
+function now() {
+    const [seconds, nanoseconds] = process.hrtime();
+    return (seconds * 1e3) + (nanoseconds / 1e6);
+}
+
+/**
+ * Returns a copy of the given params with sensitive values redacted. Params named in the
+ * provider's `_redact` list are always replaced, after which the given redaction hook (if any)
+ * may replace any value.
+ *
+ * @param {Object} params - The resolved params which should be redacted.
+ * @param {Object} provider - Provider object which the params belong to.
+ * @param {Function} [redact] - Optional redaction hook, called as `redact(name, value, info)`
+ * for each param and returning the value which should be shown in its place.
+ * @param {Object} info - Describes where the params come from, holding the `namespace` and
+ * `scheme` names, passed along to the redaction hook.
+ */
+function redactParams(params, provider, redact, info) {
+    const always = Array.isArray(provider._redact) ? provider._redact : [];
+    const out = {};
+    Object.keys(params || {}).forEach(name => {
+        let value = (always.indexOf(name) >= 0) ? REDACTED : params[name];
+        if (typeof redact === 'function') {
+            value = redact(name, value, info);
+        }
+        out[name] = value;
+    });
+    return out;
+}
+
+module.exports = {
+    REDACTED,
+    now,
+    redactParams,
+};
@@ -1,3 +1,4 @@
+const paramDefs = require('../params/params');
 
 module.exports = class ValidatorProvider {
 
@@ -34,13 +35,10 @@ module.exports = class ValidatorProvider {
                     if (obj.finalized) {
                         throw new Error(`Attempted to set parameter "${property}" of an already finalized validator. Only \`.compile()\` may be used at this point!`);
                     }
-                    // if our parameter is a string ensure it starts with one of the valid values: ['?', '$', 'req.']
-                    if (typeof args[0] === 'string') {
-                        if (!args[0].startsWith('?') && !args[0].startsWith('$') && !args[0].startsWith('req.')) {
-                            throw new Error(`Attempted to set parameter definition "${property}" to an invalid string value. String-type parameter definitions must start with one of: '?', '$' or 'req.'`);
-                        }
-                    } else if (!(args[0] instanceof Object) || !('value' in args[0])) {
-                        throw new Error(`Attempted to set parameter definition "${property}" to an invalid value! Expected a string or an object with a "value" field, but instead found: (${typeof args[0]}) ${args[0]}`);
+                    // ensure our parameter is a valid definition: a source string (such as '?name'), a `{ value }` or a typed `{ from, ... }` definition
+                    const problem = paramDefs.checkDefinition(args[0]);
+                    if (problem) {
+                        throw new Error(`Attempted to set parameter definition "${property}" to an invalid value! ${problem}`);
                     }
 
                     obj.params[property] = args[0];
@@ -68,20 +66,38 @@ class Validator {
         this.params = {};
 
         // Setup an instance var to keep track of whether or not the validator has been "finalized".
-        // A validator is considered finalized when a validation criteria is specified by one of: all(), any(), allOf(...), anyOf(...).
+        // A validator is considered finalized when a validation criteria is specified by one of: all(), any(), allOf(...), anyOf(...), noneOf(...), atLeast(...).
         // Once a validator has been finalized, its owner proxy should prevent any additional parameters being set.
         this.finalized = false;
 
-        // used to hold the finalized method-name, one of: 'all', 'any', 'allOf', 'anyOf'
+        // used to hold the finalized method-name, one of: 'all', 'any', 'allOf', 'anyOf', 'noneOf', 'atLeast'
         this.method = null;
 
+        // used to hold the number of passes required by the 'atLeast' method.
+        this.count = undefined;
+
         // used to hold the target for the finalized method. should be either a string ('*') or an array.
         this.target = null;
 
-        // whether or not parallel validation should be performed (if the provider doesn't allow it, then it won't be performed in any case)
+        // whether or not parallel validation should be performed.
         // if set to undefined (or any non-boolean value), then the provider default will be used instead.
         this.execParallel = undefined;
 
+        // the most validations which may run at once when running in parallel, if limited.
+        // the provider's `_concurrency` (if any) still applies, with the lower of the two limits being used.
+        this.execConcurrency = undefined;
+
+        // whether or not evaluation should stop as soon as the overall outcome has been decided.
+        this.execShortCircuit = false;
+
+        // milliseconds each validation may run for before being counted as timed out, if set.
+        // if left undefined, then the provider's `_timeout` (or the global default) is used instead.
+        this.execTimeout = undefined;
+
+        // the array-valued parameter which each validation should be run once per element of, as `{ param, mode }`, if set.
+        // if left undefined, then any parameter defined with the `each` flag is used instead.
+        this.execForEach = undefined;
+
         // reference to the proxy which wraps this validator and should always be exposed in stead of this object
         this.proxy = null;
     }
@@ -224,10 +240,163 @@ class Validator {
     }
 
     /**
-     * Marks the validator as supporting parallel fulfillment.
+     * Ends the validation chain using the 'noneOf' method.
+     *
+     * This method requires that none of the named validation methods pass. The corresponding
+     * request will be blocked in the event that either (A) an error occurs or (B) ANY of the
+     * validation methods return a positive result.
+     *
+     * Validations which fail are reported as passing under a '!'-prefixed name, while those
+     * which pass are reported as failures with a 'negated' explanation.
+     *
+     * Once this method has been called, the target validator will be otherwise unusable
+     * aside from providing the `.compile()` method.
+     *
+     * @param {...string} validationNames - Names of the validation methods which should
+     * be executed against the current scheme.
+     */
+    noneOf(...validationNames) {
+        this.finalized = true;
+        this.method = 'noneOf';
+        this.target = [];
+
+        // go through each validation, ensuring they're valid before adding to our target list
+        validationNames.forEach(validation => {
+            // if we've a non-string value, toss an error
+            if (typeof validation !== 'string') {
+                throw new Error(`Expected validation name of type string, but instead found: (${typeof validation}) ${validation}`);
+            }
+            // otherwise, just insert into our target list
+            this.target.push(validation);
+        });
+
+        // if we've no targets, there's nothing to check against.
+        if (this.target.length === 0) {
+            throw new Error('Expected at least one validation name passed for the `.noneOf(...)` matcher method, but received nothing instead!');
+        }
+
+        Object.freeze(this.target);
+        Object.freeze(this.params);
+
+        return this;
+    }
+
+    /**
+     * Ends the validation chain using the 'atLeast' method.
+     *
+     * This method requires that at least `count` of the named validation methods pass. The
+     * corresponding request will be blocked in the event that either (A) an error occurs or
+     * (B) fewer than `count` validation methods return a positive result.
+     *
+     * Once this method has been called, the target validator will be otherwise unusable
+     * aside from providing the `.compile()` method.
+     *
+     * @param {number} count - The minimum number of validation methods which must pass.
+     * @param {...string} validationNames - Names of the validation methods which should
+     * be executed against the current scheme.
+     */
+    atLeast(count, ...validationNames) {
+        this.finalized = true;
+        this.method = 'atLeast';
+        this.count = count;
+        this.target = [];
+
+        // go through each validation, ensuring they're valid before adding to our target list
+        validationNames.forEach(validation => {
+            // if we've a non-string value, toss an error
+            if (typeof validation !== 'string') {
+                throw new Error(`Expected validation name of type string, but instead found: (${typeof validation}) ${validation}`);
+            }
+            // otherwise, just insert into our target list
+            this.target.push(validation);
+        });
+
+        // the count must be satisfiable by the names given, otherwise the validator could never pass.
+        if (!Number.isInteger(count) || (count < 1) || (count > this.target.length)) {
+            throw new Error(`Expected the count passed to the \`.atLeast(...)\` matcher method to be an integer between 1 and the number of validation names (${this.target.length}), but instead found: (${typeof count}) ${count}`);
+        }
+
+        Object.freeze(this.target);
+        Object.freeze(this.params);
+
+        return this;
+    }
+
+    /**
+     * Marks the validator as supporting parallel fulfillment, optionally limiting how many
+     * validations may run at once. Any others are queued until a running validation settles.
+     *
+     * @param {number} [limit] - The most validations which may run at once. If not given, every
+     * validation is started at once (unless the provider sets a `_concurrency` limit).
      */
-    parallel() {
+    parallel(limit) {
+        if ((typeof limit !== 'undefined') && (!Number.isInteger(limit) || (limit < 1))) {
+            throw new Error(`Expected the concurrency limit passed to the \`.parallel(...)\` method to be a positive integer, but instead found: (${typeof limit}) ${limit}`);
+        }
         this.execParallel = true;
+        this.execConcurrency = limit;
+
+        return this;
+    }
+
+    /**
+     * Marks the validator as running its validations one after another, even where the provider
+     * runs validations in parallel by default (through its `_parallel` field).
+     */
+    sequential() {
+        this.execParallel = false;
+        this.execConcurrency = undefined;
+
+        return this;
+    }
+
+    /**
+     * Marks the validator as short-circuiting, so that evaluation stops as soon as the overall
+     * outcome has been decided: after the first pass for any[Of], or after the first failure
+     * (or thrown error) for all[Of]. Any validations which were never run are listed in the
+     * `skippedValidations` of the result.
+     */
+    shortCircuit() {
+        this.execShortCircuit = true;
+
+        return this;
+    }
+
+    /**
+     * Sets the number of milliseconds each validation may run for. Validations which take any
+     * longer are counted as failures with a `timedOut` explanation, and the `AbortSignal` given
+     * to them is aborted.
+     *
+     * @param {number} ms - Milliseconds each validation may run for.
+     */
+    timeout(ms) {
+        if ((typeof ms !== 'number') || !isFinite(ms) || (ms <= 0)) {
+            throw new Error(`Expected a positive number of milliseconds passed for the \`.timeout(...)\` method, but instead found: (${typeof ms}) ${ms}`);
+        }
+        this.execTimeout = ms;
+
+        return this;
+    }
+
+    /**
+     * Runs each validation once per element of the named array-valued parameter, with the
+     * parameter set to that element, rather than once with the whole array. The results of
+     * the elements are combined into the validation's result: with the 'all' mode every
+     * element must pass, while with the 'any' mode a single passing element is enough.
+     * Failures are reported per element, in the form `scheme:method[param=value]`.
+     *
+     * @param {string} param - Name of the parameter to fan out over.
+     * @param {string} [mode] - How the element results are combined, one of 'all' (the
+     * default) or 'any'.
+     */
+    forEach(param, mode = 'all') {
+        if ((typeof param !== 'string') || (param.length === 0)) {
+            throw new Error(`Expected a parameter name passed for the \`.forEach(...)\` method, but instead found: (${typeof param}) ${param}`);
+        }
+        if ((mode !== 'all') && (mode !== 'any')) {
+            throw new Error(`Expected the mode passed to the \`.forEach(...)\` method to be one of 'all' or 'any', but instead found: (${typeof mode}) ${mode}`);
+        }
+        this.execForEach = Object.freeze({ param, mode });
 
         return this;
     }
@@ -247,6 +416,21 @@ class Validator {
         if (typeof this.execParallel === 'boolean') {
             res.parallel = this.execParallel;
         }
+        if (typeof this.execConcurrency === 'number') {
+            res.concurrency = this.execConcurrency;
+        }
+        if (this.execShortCircuit) {
+            res.shortCircuit = true;
+        }
+        if (typeof this.execTimeout === 'number') {
+            res.timeout = this.execTimeout;
+        }
+        if (this.execForEach) {
+            res.forEach = this.execForEach;
+        }
+        if (this.method === 'atLeast') {
+            res.count = this.count;
+        }
         return res;
     }
 
@@ -0,0 +1,151 @@
+/**
+ * @file verify.js
+ * Checks validators against the provider registry, reporting any namespaces, schemes and
+ * validation methods which haven't been registered, along with parameter overrides which the
+ * targeted provider doesn't declare.
+ */
+
+const registry = require('../registry/registry');
+
+// Problem types which make a validator unusable, as opposed to merely suspicious.
+const FATAL_TYPES = ['missingNamespace', 'missingScheme', 'missingMethod'];
+
+/**
+ * Returns the list of problems found with the given validator (and any validators nested
+ * within it).
+ *
+ * @param {Object} validator - A validator, or combination of validators.
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ * @param {WeakMap} [callSites] - Map of validators to the errors captured when they were built.
+ */
+function inspect(validator, namespaces, callSites) {
+    const problems = [];
+    const seen = new Set();
+
+    const visit = (current) => {
+        if (!current || (typeof current !== 'object') || seen.has(current)) {
+            return;
+        }
+        seen.add(current);
+        if (typeof current.compile !== 'function') {
+            (Array.isArray(current.target) ? current.target : []).forEach(visit);
+            return;
+        }
+
+        const compiled = current.compile();
+        const callSite = callSites && callSites.get(current);
+        const add = (problem) => {
+            problem.namespace = compiled.namespace;
+            problem.scheme = compiled.scheme;
+            if (callSite) {
+                problem.callSite = callSite.stack;
+            }
+            problems.push(problem);
+        };
+
+        if (!registry.exists(namespaces, compiled.namespace)) {
+            add({
+                type: 'missingNamespace',
+                message: `Attempted to build validator for scheme "${compiled.scheme}" in namespace "${compiled.namespace}", but no such namespace has been registered!`,
+            });
+            return;
+        }
+        const scheme = registry.lookup(namespaces, compiled.namespace, compiled.scheme);
+        if (!scheme) {
+            add({
+                type: 'missingScheme',
+                message: `Attempted to build validator for scheme "${compiled.scheme}" in namespace "${compiled.namespace}", but no such scheme has been registered!`,
+            });
+            return;
+        }
+        if (Array.isArray(compiled.target)) {
+            compiled.target.forEach(method => {
+                if (!scheme.validations.includes(method)) {
+                    add({
+                        type: 'missingMethod',
+                        method,
+                        message: `Attempted to match against method "${method}" with scheme "${compiled.scheme}" (in namespace "${compiled.namespace}"), but no such validation method exists!`,
+                    });
+                }
+            });
+        }
+        const declared = (scheme.provider._params && (typeof scheme.provider._params === 'object')) ? scheme.provider._params : {};
+        Object.keys(compiled.params).forEach(param => {
+            if (!(param in declared)) {
+                add({
+                    type: 'unusedOverride',
+                    param,
+                    message: `Attempted to override parameter "${param}" with scheme "${compiled.scheme}" (in namespace "${compiled.namespace}"), but the provider declares no such parameter!`,
+                });
+            }
+        });
+    };
+
+    visit(validator);
+    return problems;
+}
+
+/**
+ * Checks the given validators, returning a report of all problems found, grouped by type.
+ *
+ * @param {Object[]} validators - List of validators to be checked.
+ * @param {Object} namespaces - The provider registry, keyed by namespace then scheme name.
+ * @param {WeakMap} [callSites] - Map of validators to the errors captured when they were built.
+ *
+ * @returns {Object} A report holding the number of validators checked (`checked`), whether
+ * or not any problem was found (`ok`), the full list of `problems`, and the problems of each
+ * type: `missingNamespaces`, `missingSchemes`, `missingMethods` and `unusedOverrides`.
+ */
+function report(validators, namespaces, callSites) {
+    const problems = [];
+    validators.forEach(validator => problems.push(...inspect(validator, namespaces, callSites)));
+    const ofType = type => problems.filter(problem => problem.type === type);
+    return {
+        ok: problems.length === 0,
+        checked: validators.length,
+        problems,
+        missingNamespaces: ofType('missingNamespace'),
+        missingSchemes: ofType('missingScheme'),
+        missingMethods: ofType('missingMethod'),
+        unusedOverrides: ofType('unusedOverride'),
+    };
+}
+
+/**
+ * Creates an error for the given problem. Where the problem carries the call site of the
+ * validator's creation, the error's stack points there instead, for a helpful stack trace.
+ *
+ * @param {Object} problem - A problem, as listed in a report.
+ */
+function problemError(problem) {
+    const err = new Error(problem.message);
+    err.code = problem.type;
+    if (problem.callSite) {
+        err.stack = `Error: ${problem.message}\n${problem.callSite.split('\n').slice(1).join('\n')}`;
+    }
+    return err;
+}
+
+/**
+ * Throws an error for the first problem in the given report, if any.
+ *
+ * @param {Object} result - A report, as returned from `report(...)`.
+ * @param {boolean} [fatalOnly] - Whether or not to only throw for problems which make a
+ * validator unusable, ignoring unused parameter overrides.
+ */
+function assert(result, fatalOnly) {
+    const problem = result.problems.find(p => !fatalOnly || FATAL_TYPES.includes(p.type));
+    if (problem) {
+        const err = problemError(problem);
+        err.report = result;
+        throw err;
+    }
+}
+
+module.exports = {
+    FATAL_TYPES,
+    inspect,
+    report,
+    problemError,
+    assert,
+};
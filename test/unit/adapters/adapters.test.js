@@ -0,0 +1,97 @@
+/* global describe, it */
+
+const expect = require('chai').expect;
+const adapters = require('../../../src/adapters/adapters');
+
+describe('Adapter conformance tests', () => {
+
+    describe('express', () => {
+        it('should prefer req.param() when available', () => {
+            const req = { param: (name) => `sails:${name}`, query: { id: 'query' } };
+            expect(adapters.express.param(req, 'id')).to.equal('sails:id');
+        });
+
+        it('should blend route, body and query values otherwise', () => {
+            const req = { params: { a: 'route' }, body: { a: 'body', b: 'body' }, query: { a: 'query', b: 'query', c: 'query' } };
+            expect(adapters.express.param(req, 'a')).to.equal('route');
+            expect(adapters.express.param(req, 'b')).to.equal('body');
+            expect(adapters.express.param(req, 'c')).to.equal('query');
+            expect(adapters.express.param(req, 'd')).to.be.undefined;
+        });
+
+        it('should read cookies and case-insensitive headers', () => {
+            const req = { cookies: { session: 'abc' }, headers: { 'x-token': 't' } };
+            expect(adapters.express.cookie(req, 'session')).to.equal('abc');
+            expect(adapters.express.header(req, 'X-Token')).to.equal('t');
+        });
+
+        it('should read session paths and signed cookies', () => {
+            const req = { session: { user: { id: 1 } }, signedCookies: { sid: 'abc' } };
+            expect(adapters.express.session(req, 'user.id')).to.equal(1);
+            expect(adapters.express.session(req, 'user.name.first')).to.be.undefined;
+            expect(adapters.express.session({}, 'user')).to.be.undefined;
+            expect(adapters.express.signedCookie(req, 'sid')).to.equal('abc');
+        });
+    });
+
+    describe('koa', () => {
+        it('should read from a koa context', () => {
+            const ctx = {
+                params: { id: '1' },
+                request: { body: { name: 'body' } },
+                query: { q: 'query' },
+                cookies: { get: (name, opts) => (name === 'session' ? `abc${opts ? ':signed' : ''}` : undefined) },
+                headers: { authorization: 'Bearer x' },
+            };
+            expect(adapters.koa.param(ctx, 'id')).to.equal('1');
+            expect(adapters.koa.param(ctx, 'name')).to.equal('body');
+            expect(adapters.koa.param(ctx, 'q')).to.equal('query');
+            expect(adapters.koa.cookie(ctx, 'session')).to.equal('abc');
+            expect(adapters.koa.signedCookie(ctx, 'session')).to.equal('abc:signed');
+            expect(adapters.koa.header(ctx, 'Authorization')).to.equal('Bearer x');
+        });
+    });
+
+    describe('node', () => {
+        it('should parse query values and cookies from a raw request', () => {
+            const req = {
+                url: '/ban?target=1&target=2&reason=spam',
+                headers: { cookie: 'a=1; session=hello%20there' },
+            };
+            expect(adapters.node.query(req, 'target')).to.deep.equal(['1', '2']);
+            expect(adapters.node.param(req, 'reason')).to.equal('spam');
+            expect(adapters.node.cookie(req, 'session')).to.equal('hello there');
+            expect(adapters.node.cookie(req, 'missing')).to.be.undefined;
+            expect(adapters.node.query({ url: '/' }, 'target')).to.be.undefined;
+        });
+
+        it('should leave malformed cookie values undecoded', () => {
+            const req = { headers: { cookie: 'sid=%E0%A4%A; session=hello%20there' } };
+            expect(adapters.node.cookie(req, 'sid')).to.equal('%E0%A4%A');
+            expect(adapters.node.cookie(req, 'session')).to.equal('hello there');
+        });
+    });
+
+    describe('#resolve()', () => {
+        it('should resolve built-in adapters by name', () => {
+            expect(adapters.resolve('sails')).to.equal(adapters.express);
+            expect(adapters.resolve('koa')).to.equal(adapters.koa);
+        });
+
+        it('should throw for unknown adapter names', () => {
+            expect(() => adapters.resolve('hapi')).to.throw('Attempted to use unknown request adapter "hapi".');
+        });
+
+        it('should throw for custom adapters missing a function', () => {
+            const custom = Object.assign({}, adapters.node, { header: undefined });
+            expect(() => adapters.resolve(custom)).to.throw('The given request adapter is missing the "header" function.');
+        });
+
+        it('should allow custom adapters without the optional functions, but not with invalid ones', () => {
+            const custom = Object.assign({}, adapters.node, { session: undefined, signedCookie: undefined });
+            expect(adapters.resolve(custom)).to.equal(custom);
+            expect(() => adapters.resolve(Object.assign({}, custom, { session: true }))).to.throw('Expected the "session" field of the given request adapter to be a function, but instead found: (boolean) true');
+        });
+    });
+
+});
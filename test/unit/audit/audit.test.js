@@ -0,0 +1,112 @@
+/* global describe, it, before */
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const stream = require('stream');
+const floatperms = require('../../../src/main');
+const { mockRequest } = require('../../../src/testing/testing');
+
+// Builds a writable stream collecting the lines written to it.
+const collector = () => {
+    const lines = [];
+    const writable = new stream.Writable({
+        write(chunk, encoding, callback) {
+            lines.push(...chunk.toString().split('\n').filter(line => line.length > 0));
+            callback();
+        },
+    });
+    return { lines, writable };
+};
+
+describe('Audit sink conformance tests', () => {
+    const instance = floatperms.createInstance();
+
+    before(() => {
+        instance.register({
+            _params: { self: '?self', token: '?token', password: '?password' },
+            _redact: ['password'],
+            async isLoggedIn(params) { return !!params.self; },
+            async isBroken() { throw Object.assign(new Error('broken'), { code: 'EBROKEN' }); },
+        }, 'user');
+    });
+
+    describe('#audit()', () => {
+        it('should write decisions as JSON Lines, redacting the given params', async () => {
+            const { lines, writable } = collector();
+            const sink = instance.audit(writable, { redact: ['token'] });
+
+            await instance.validate(mockRequest({ params: { self: 1, token: 't', password: 'p' } }), instance.for('user').allOf('isLoggedIn'));
+            await sink.close();
+            await instance.validate(mockRequest({ params: { self: 1 } }), instance.for('user').allOf('isLoggedIn'));
+
+            expect(lines).to.have.lengthOf(1);
+            const record = JSON.parse(lines[0]);
+            expect(record).to.include({ type: 'decision', validator: 'user.allOf(isLoggedIn)', hasPassed: true });
+            expect(record.validations[0].params).to.deep.equal({ self: 1, token: '[redacted]', password: '[redacted]' });
+        });
+
+        it('should record the chosen events, serializing errors and using redaction hooks', async () => {
+            const { lines, writable } = collector();
+            const sink = instance.audit(writable, {
+                events: ['validation', 'error'],
+                redact: (name, value, info) => ((name === 'self') ? `${info.scheme}:${value}` : value),
+            });
+
+            await instance.validate(mockRequest({ params: { self: 2 } }), instance.for('user').allOf('isBroken'));
+            await sink.close();
+
+            expect(lines.map(line => JSON.parse(line).type)).to.deep.equal(['validation', 'error']);
+            const record = JSON.parse(lines[1]);
+            expect(record.error).to.deep.equal({ name: 'Error', message: 'broken', code: 'EBROKEN' });
+            expect(record.params.self).to.equal('user:2');
+        });
+
+        it('should append to files', async () => {
+            const file = path.join(os.tmpdir(), `stockade-audit-${process.pid}-${Date.now()}.jsonl`);
+            try {
+                const sink = instance.audit(file);
+                await instance.validate(mockRequest({ params: { self: 1 } }), instance.for('user').allOf('isLoggedIn'));
+                await instance.validate(mockRequest(), instance.for('user').allOf('isLoggedIn'));
+                await sink.close();
+
+                const records = fs.readFileSync(file, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+                expect(records.map(r => r.hasPassed)).to.deep.equal([true, false]);
+            } finally {
+                fs.unlinkSync(file);
+            }
+        });
+
+        it('should report failures to write files, rejecting on close', async () => {
+            const file = path.join(os.tmpdir(), `stockade-audit-missing-${process.pid}-${Date.now()}`, 'audit.jsonl');
+            const warnings = [];
+            const onWarning = (warning) => warnings.push(warning);
+            process.on('warning', onWarning);
+            try {
+                const sink = instance.audit(file);
+                await instance.validate(mockRequest({ params: { self: 1 } }), instance.for('user').allOf('isLoggedIn'));
+                await new Promise(resolve => setTimeout(resolve, 20));
+                await instance.validate(mockRequest({ params: { self: 1 } }), instance.for('user').allOf('isLoggedIn'));
+
+                let error;
+                await sink.close().catch(err => {
+                    error = err;
+                });
+                expect(error).to.be.an('error');
+                expect(error.code).to.equal('ENOENT');
+                await new Promise(resolve => setImmediate(resolve));
+                expect(warnings.map(w => w.message).filter(m => m.includes('The Stockade audit sink failed to write to'))).to.have.lengthOf(1);
+            } finally {
+                process.removeListener('warning', onWarning);
+            }
+        });
+
+        it('should throw for invalid destinations and options', () => {
+            expect(() => instance.audit(42)).to.throw('Expected the audit sink destination to be a writable stream or a file path, but instead found: (number) 42');
+            expect(() => instance.audit(collector().writable, { events: ['decided'] })).to.throw(/Expected the audited events to be a list of event names/);
+            expect(() => instance.audit(collector().writable, { redact: 'token' })).to.throw('Expected the audit sink\'s redact option to be a function or a list of param names, but instead found: (string) token');
+        });
+    });
+
+});
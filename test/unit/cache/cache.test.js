@@ -0,0 +1,79 @@
+/* global describe, it */
+
+const expect = require('chai').expect;
+const cache = require('../../../src/cache/cache');
+
+describe('Decision cache conformance tests', () => {
+
+    describe('MemoryStore', () => {
+        it('should store and retrieve values until their TTL passes', async () => {
+            const store = new cache.MemoryStore();
+            store.set('a', 1, 10);
+            expect(store.get('a')).to.equal(1);
+            expect(store.keys()).to.deep.equal(['a']);
+
+            await new Promise(resolve => setTimeout(resolve, 20));
+            expect(store.get('a')).to.be.undefined;
+            expect(store.keys()).to.deep.equal([]);
+        });
+
+        it('should evict the least recently used entries', () => {
+            const store = new cache.MemoryStore({ maxEntries: 2 });
+            store.set('a', 1, 1000);
+            store.set('b', 2, 1000);
+            store.get('a');
+            store.set('c', 3, 1000);
+
+            expect(store.keys()).to.deep.equal(['a', 'c']);
+        });
+    });
+
+    describe('#stableHash()', () => {
+        it('should hash structurally equal values the same', () => {
+            expect(cache.stableHash({ a: 1, b: [1, { c: 2 }] })).to.equal(cache.stableHash({ b: [1, { c: 2 }], a: 1 }));
+            expect(cache.stableHash({ a: 1 })).to.not.equal(cache.stableHash({ a: '1' }));
+            expect(cache.stableHash({ a: undefined })).to.not.equal(cache.stableHash({ a: null }));
+        });
+
+        it('should throw for values which cannot be serialized', () => {
+            const circular = {};
+            circular.self = circular;
+            expect(() => cache.stableHash(circular)).to.throw('Unable to serialize a circular reference.');
+            expect(() => cache.stableHash({ fn() {} })).to.throw('Unable to serialize a function value.');
+        });
+    });
+
+    describe('#invalidate()', () => {
+        const fill = () => {
+            const store = new cache.MemoryStore();
+            [[1, 'canA'], [2, 'canA'], [1, 'canB']].forEach(([id, method]) => {
+                const params = { id };
+                store.set(cache.decisionKey('global', 'user', method, params), { params, result: true }, 1000);
+            });
+            store.set(cache.decisionKey('global', 'users', 'canA', { id: 1 }), { params: { id: 1 }, result: true }, 1000);
+            return store;
+        };
+
+        it('should remove decisions by scheme and method', async () => {
+            const store = fill();
+            expect(await cache.invalidate(store, { namespace: 'global', scheme: 'user', method: 'canA' })).to.equal(2);
+            expect(await cache.invalidate(store, { namespace: 'global', scheme: 'user' })).to.equal(1);
+            expect(store.keys()).to.have.length(1);
+        });
+
+        it('should remove decisions matching the given params', async () => {
+            const byObject = fill();
+            expect(await cache.invalidate(byObject, { namespace: 'global', scheme: 'user', params: { id: 1 } })).to.equal(2);
+
+            const byFunction = fill();
+            expect(await cache.invalidate(byFunction, { namespace: 'global', scheme: 'user', params: p => p.id === 2 })).to.equal(1);
+        });
+    });
+
+    describe('#checkStore()', () => {
+        it('should throw for stores missing a function', () => {
+            expect(() => cache.checkStore({ get() {}, set() {}, delete() {} })).to.throw('The given cache store is missing the "keys" function.');
+        });
+    });
+
+});
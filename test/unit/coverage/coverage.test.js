@@ -0,0 +1,91 @@
+/* global describe, it, before */
+
+const expect = require('chai').expect;
+const floatperms = require('../../../src/main');
+const { mockRequest } = require('../../../src/testing/testing');
+const coverage = require('../../../src/coverage/coverage');
+
+describe('Coverage conformance tests', () => {
+
+    describe('#collect()', () => {
+        it('should list every simple validator once, descending into compounds', () => {
+            const instance = floatperms.createInstance();
+            const a = instance.for('user').allOf('isA');
+            const b = instance.for('user').allOf('isB');
+            const found = coverage.collect([instance.anyOf(a, instance.not(b)), a, instance.none()]);
+            expect(found).to.deep.equal([a, b]);
+        });
+    });
+
+    describe('#coverage()', () => {
+        const instance = floatperms.createInstance({ trackValidators: true });
+
+        before(() => {
+            instance.register({
+                _params: { self: '?self', target: '?target' },
+                async isLoggedIn(params) { return !!params.self; },
+                async isAdmin() { return false; },
+                async isBanned() { return false; },
+            }, 'user');
+            instance.register({
+                async canManage() { return true; },
+                async canView() { return true; },
+            }, 'creator', 'org');
+
+            instance.anyOf(
+                instance.for('user').target('?other').bogus('?bogus').allOf('isLoggedIn'),
+                instance.for('user').allOf('isAdmin'),
+            );
+            instance.for('creator', 'org').all();
+            instance.for('missing').allOf('isAnything');
+        });
+
+        it('should list untargeted methods, never-overridden params and undeclared overrides', () => {
+            const report = instance.coverage();
+            expect(report.checked).to.equal(4);
+            expect(report.schemes).to.deep.equal([
+                {
+                    namespace: 'global',
+                    scheme: 'user',
+                    methods: ['isLoggedIn', 'isAdmin', 'isBanned'],
+                    untargeted: ['isBanned'],
+                    params: ['self', 'target'],
+                    neverOverridden: ['self'],
+                    undeclaredOverrides: ['bogus'],
+                },
+                {
+                    namespace: 'org',
+                    scheme: 'creator',
+                    methods: ['canManage', 'canView'],
+                    untargeted: [],
+                    params: [],
+                    neverOverridden: [],
+                    undeclaredOverrides: [],
+                },
+            ]);
+        });
+
+        it('should only report on the given validators', () => {
+            const report = instance.coverage({ validators: [instance.for('user').allOf('isBanned')] });
+            expect(report.checked).to.equal(1);
+            expect(report.schemes[0].untargeted).to.deep.equal(['isLoggedIn', 'isAdmin']);
+            expect(report.schemes[1].untargeted).to.deep.equal(['canManage', 'canView']);
+        });
+
+        it('should count the runs of each method in runtime mode', async () => {
+            instance.resetMetrics();
+            const validator = instance.for('user').allOf('isLoggedIn', 'isAdmin');
+            await instance.validate(mockRequest({ params: { self: 1 } }), validator);
+            await instance.validate(mockRequest(), validator);
+
+            const user = instance.coverage({ runtime: true }).schemes[0];
+            expect(user.runs).to.deep.equal({ isLoggedIn: 2, isAdmin: 2, isBanned: 0 });
+            expect(user.unexecuted).to.deep.equal(['isBanned']);
+            expect(instance.coverage().schemes[0]).to.not.have.property('runs');
+        });
+
+        it('should throw when given validators which aren\'t an array', () => {
+            expect(() => instance.coverage({ validators: 'user' })).to.throw('Expected the validators passed to `.coverage(...)` to be an array, but instead found a value of type: string');
+        });
+    });
+});
@@ -0,0 +1,99 @@
+/* global describe, it, before */
+
+const expect = require('chai').expect;
+const floatperms = require('../../../src/main');
+const { mockRequest } = require('../../../src/testing/testing');
+const events = require('../../../src/events/events');
+
+describe('Decision event conformance tests', () => {
+
+    describe('#describe()', () => {
+        it('should describe every kind of validator', () => {
+            const instance = floatperms.createInstance();
+            const described = events.describe(instance.anyOf(
+                instance.for('user').allOf('isLoggedIn'),
+                instance.for('moderation', 'potet').atLeast(1, 'isA', 'isB'),
+                instance.not(instance.for('user').all()),
+                instance.none()
+            ));
+            expect(described).to.equal('anyOf(user.allOf(isLoggedIn), potet:moderation.atLeast(1, isA, isB), not(user.all()), none())');
+        });
+    });
+
+    describe('#on()', () => {
+        const instance = floatperms.createInstance();
+
+        before(() => {
+            instance.register({
+                _params: { self: '?self', token: '?token' },
+                _redact: ['token'],
+                async isLoggedIn(params) { return !!params.self; },
+                async isAdmin() { return { code: 'notAdmin' }; },
+                async isBroken() { throw new Error('broken'); },
+            }, 'user');
+        });
+
+        it('should emit validation and decision events with redacted params', async () => {
+            const seen = [];
+            const offValidation = instance.on('validation', event => seen.push(['validation', event]));
+            const offDecision = instance.on('decision', event => seen.push(['decision', event]));
+
+            const res = await instance.validate(mockRequest({ params: { self: 1, token: 'secret' } }), instance.for('user').allOf('isLoggedIn', 'isAdmin'));
+            offValidation();
+            offDecision();
+
+            expect(res).to.not.have.property('trace');
+            expect(seen.map(s => s[0])).to.deep.equal(['validation', 'validation', 'decision']);
+            expect(seen[0][1]).to.include({ name: 'user:isLoggedIn', scheme: 'user', method: 'isLoggedIn', match: 'allOf', status: 'passed', validator: 'user.allOf(isLoggedIn, isAdmin)' });
+            expect(seen[0][1].params).to.deep.equal({ self: 1, token: '[redacted]' });
+            expect(seen[1][1]).to.deep.include({ status: 'failed', explanation: { code: 'notAdmin' } });
+            const decision = seen[2][1];
+            expect(decision).to.include({ validator: 'user.allOf(isLoggedIn, isAdmin)', hasPassed: false });
+            expect(decision.validations).to.have.lengthOf(2);
+            expect(decision.durationMs).to.be.a('number');
+            expect(decision.timestamp).to.be.a('string');
+
+            await instance.validate(mockRequest(), instance.for('user').allOf('isLoggedIn'));
+            expect(seen).to.have.lengthOf(3);
+        });
+
+        it('should emit errors for thrown validations and matches', async () => {
+            const errors = [];
+            const off = instance.on('error', event => errors.push(event));
+
+            await instance.validate(mockRequest(), instance.for('user').allOf('isBroken'));
+            const thrown = await instance.validate(mockRequest(), instance.for('missing').allOf('isMissing')).catch(err => err);
+            off();
+
+            expect(errors).to.have.lengthOf(2);
+            expect(errors[0]).to.include({ name: 'user:isBroken', status: 'threw' });
+            expect(errors[0].error.message).to.equal('broken');
+            expect(thrown).to.be.an('error');
+            expect(errors[1]).to.include({ validator: 'missing.allOf(isMissing)', error: thrown });
+        });
+
+        it('should keep the trace where one was asked for, and ignore throwing handlers', async () => {
+            const off = instance.on('decision', () => {
+                throw new Error('handler failure');
+            });
+            const warnings = [];
+            const onWarning = warning => warnings.push(warning);
+            process.on('warning', onWarning);
+
+            const res = await instance.validate(mockRequest({ params: { self: 1 } }), instance.for('user').allOf('isLoggedIn'), { trace: true });
+            await new Promise(resolve => setImmediate(resolve));
+            process.removeListener('warning', onWarning);
+            off();
+
+            expect(res.hasPassed).to.equal(true);
+            expect(res.trace).to.include({ type: 'validator' });
+            expect(warnings.map(w => w.message).join()).to.match(/handler failure/);
+        });
+
+        it('should reject unknown events and invalid handlers', () => {
+            expect(() => instance.on('decided', () => {})).to.throw('Attempted to use unknown event type "decided". Expected one of: decision, validation, error');
+            expect(() => instance.on('decision', 5)).to.throw('Expected the handler for "decision" events to be a function, but instead found: (number) 5');
+        });
+    });
+
+});
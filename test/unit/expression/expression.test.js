@@ -0,0 +1,93 @@
+/* global describe, it */
+
+const expect = require('chai').expect;
+const floatperms = require('../../../src/main');
+
+// Compiles simple validators nested within the given validator, for easier comparison.
+function compileAll(validator) {
+    if (typeof validator.compile === 'function') {
+        return validator.compile();
+    }
+    return validator.target ? Object.assign({}, validator, { target: validator.target.map(compileAll) }) : validator;
+}
+
+describe('Permission expression conformance tests', () => {
+
+    describe('#parse()', () => {
+        it('should respect operator precedence and parentheses', () => {
+            const parsed = compileAll(floatperms.parse('user:isLoggedIn & (creator:canManage | moderation:isAdmin)'));
+            const built = compileAll(floatperms.allOf(
+                floatperms.for('user').allOf('isLoggedIn'),
+                floatperms.anyOf(
+                    floatperms.for('creator').allOf('canManage'),
+                    floatperms.for('moderation').allOf('isAdmin')
+                )
+            ));
+
+            expect(parsed).to.deep.equal(built);
+            expect(compileAll(floatperms.parse('a:x | b:y & c:z')).method).to.equal('anyOf');
+        });
+
+        it('should merge terms of the same scheme into a single validator', () => {
+            expect(compileAll(floatperms.parse('user:isA & user:isB'))).to.deep.include({ scheme: 'user', method: 'allOf', target: ['isA', 'isB'] });
+            expect(compileAll(floatperms.parse('user:isA | user:isB'))).to.deep.include({ scheme: 'user', method: 'anyOf', target: ['isA', 'isB'] });
+        });
+
+        it('should support namespaces, wildcards, negation, overrides and none', () => {
+            const parsed = compileAll(floatperms.parse('!potet:user:isBanned & moderation[target=?banTargets, limit=5, name="a b"]:canBanTarget & user:* | none'));
+
+            expect(parsed.method).to.equal('anyOf');
+            expect(parsed.target[1]).to.deep.equal({ method: 'NOP' });
+            const [not, moderation, user] = parsed.target[0].target;
+            expect(not.method).to.equal('not');
+            expect(not.target[0]).to.deep.include({ namespace: 'potet', scheme: 'user', target: ['isBanned'] });
+            expect(moderation.params).to.deep.equal({ target: '?banTargets', limit: { value: 5 }, name: { value: 'a b' } });
+            expect(user).to.deep.include({ method: 'all', target: '*' });
+        });
+
+        it('should report the column of parse errors', () => {
+            const cases = {
+                'user': 5,
+                'user:isA &': 11,
+                'user:isA | (x:y': 16,
+                'user:a $ b': 8,
+                'user[x=foo]:a': 8,
+                'user[x=header:]:a': 8,
+                'a:b:c:d': 1,
+            };
+            for (const source in cases) {
+                expect(() => floatperms.parse(source), source).to.throw().with.property('column', cases[source]);
+            }
+            expect(() => floatperms.parse(42)).to.throw(/of type string/);
+        });
+    });
+
+    describe('#stringify()', () => {
+        it('should produce expressions which parse back into the same validator', () => {
+            const sources = [
+                'user:isLoggedIn & (creator:canManage | moderation:isAdmin)',
+                '!potet:user:isBanned & moderation[target=?banTargets, limit=5]:canBanTarget',
+                'api[key=header:x-api-key, id=query:id]:isValid',
+                '!(a:x | b:y) | none',
+                'user:*',
+            ];
+            sources.forEach(source => {
+                expect(floatperms.stringify(floatperms.parse(source))).to.equal(source);
+            });
+        });
+
+        it('should stringify validators built by hand', () => {
+            expect(floatperms.stringify(floatperms.for('user').noneOf('isBanned', 'isMuted'))).to.equal('!user:isBanned & !user:isMuted');
+            expect(floatperms.stringify(floatperms.noneOf(
+                floatperms.for('user').anyOf('isA', 'isB'),
+                floatperms.for('user', 'potet').self('req.me').allOf('isC')
+            ))).to.equal('!(user:isA | user:isB | potet:user[self=req.me]:isC)');
+        });
+
+        it('should throw for methods without an expression equivalent', () => {
+            expect(() => floatperms.stringify(floatperms.for('user').any())).to.throw(/"any" method/);
+            expect(() => floatperms.stringify(floatperms.atLeast(1, floatperms.none(), floatperms.none()))).to.throw(/"atLeast" method/);
+        });
+    });
+
+});
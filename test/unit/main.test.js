@@ -41,6 +41,15 @@ describe('Main exports conformance tests', () => {
                 .and.to.include(v2);
         });
 
+        it('should accept a trailing options object', () => {
+            const v1 = floatperms.for('validator1');
+            const v2 = floatperms.for('validator2');
+            const compoundValidator = floatperms.anyOf(v1, v2, { shortCircuit: true });
+
+            expect(compoundValidator.target).to.deep.equal([v1, v2]);
+            expect(compoundValidator.shortCircuit).to.equal(true);
+        });
+
         it('should throw an error when making a compound validator with 1 element', () => {
             const createValidator = () => floatperms.anyOf(floatperms.for('whatever'));
 
@@ -86,6 +95,46 @@ describe('Main exports conformance tests', () => {
         });
     });
 
+    describe('#noneOf()', () => {
+        it('should return a proper compound [noneOf] validator', () => {
+            const v1 = floatperms.for('validator1');
+            const v2 = floatperms.for('validator2');
+            expect(floatperms.noneOf(v1, v2)).to.deep.equal({ method: 'noneOf', target: [v1, v2] });
+        });
+
+        it('should throw an error when making a compound validator with 1 element', () => {
+            const createValidator = () => floatperms.noneOf(floatperms.for('whatever'));
+
+            expect(createValidator).to.throw('Expected at least two validators to be passed when creating a compound validator with `.noneOf(...)`, but found 1 validator passed instead. To negate a single validator, use `.not(...)`.');
+        });
+    });
+
+    describe('#atLeast()', () => {
+        it('should return a proper compound [atLeast] validator', () => {
+            const v1 = floatperms.for('validator1');
+            const v2 = floatperms.for('validator2');
+            const v3 = floatperms.for('validator3');
+            expect(floatperms.atLeast(2, v1, v2, v3)).to.deep.equal({ method: 'atLeast', count: 2, target: [v1, v2, v3] });
+        });
+
+        it('should throw an error when the count can never be satisfied', () => {
+            const createValidator = () => floatperms.atLeast(3, floatperms.for('a'), floatperms.for('b'));
+
+            expect(createValidator).to.throw('Expected the count passed to `.atLeast(...)` to be an integer between 1 and the number of validators (2), but instead found: (number) 3');
+        });
+    });
+
+    describe('#not()', () => {
+        it('should return a proper compound [not] validator', () => {
+            const v1 = floatperms.for('validator1');
+            expect(floatperms.not(v1)).to.deep.equal({ method: 'not', target: [v1] });
+        });
+
+        it('should throw an error when given no validator', () => {
+            expect(() => floatperms.not()).to.throw('Expected a validator to be passed to `.not(...)`, but instead found: (undefined) undefined');
+        });
+    });
+
     describe('#none()', () => {
         it('should return a special NOP validator', () => {
             const nopValidator = floatperms.none();
@@ -195,7 +244,7 @@ describe('Main exports conformance tests', () => {
                 }, 'badParamDefs');
             };
 
-            expect(tryRegister).to.throw('The provider definition "badParamDefs" in namespace "global" contains an invalid _params entry "p1". The string value must begin with one of \'?\', \'$\' or \'req.\'');
+            expect(tryRegister).to.throw('The provider definition "badParamDefs" in namespace "global" contains an invalid _params entry "p1". The string value must begin with one of \'?\', \'$\', \'query:\', \'body:\', \'route:\', \'header:\', \'session:\', \'signed:\' or \'req.\'');
         });
 
         it('should throw when registering a provider with non-string params', () => {
@@ -211,6 +260,74 @@ describe('Main exports conformance tests', () => {
         });
     });
 
+    describe('#explain()', () => {
+        it('should return the decision trace of a validator', async () => {
+            const tree = await floatperms.explain({}, floatperms.none());
+            expect(tree).to.deep.equal({ type: 'none', method: 'NOP', hasPassed: true, durationMs: 0 });
+        });
+    });
+
+    describe('#setAdapter()', () => {
+        it('should accept built-in adapters and reject unknown ones', () => {
+            expect(() => floatperms.setAdapter('koa')).to.not.throw();
+            expect(() => floatperms.setAdapter('express')).to.not.throw();
+            expect(() => floatperms.setAdapter('hapi')).to.throw('Attempted to use unknown request adapter "hapi".');
+        });
+    });
+
+    describe('#createInstance()', () => {
+        it('should create instances with their own registry', async () => {
+            const first = floatperms.createInstance();
+            const second = first.createInstance({ adapter: 'node', timeout: 100 });
+
+            first.register({ async isYes() { return true; } }, 'isolated');
+            expect(() => second.register({ async isNo() { return false; } }, 'isolated')).to.not.throw();
+            expect(floatperms.unregister('isolated')).to.be.undefined;
+
+            expect((await first.validate({}, first.for('isolated').allOf('isYes'))).hasPassed).to.equal(true);
+            expect((await second.validate({}, second.for('isolated').allOf('isNo'))).hasPassed).to.equal(false);
+            expect(second.verify({ validators: [second.for('isolated').allOf('isYes')] }).missingMethods).to.have.length(1);
+            expect(global.Permissions).to.equal(floatperms);
+        });
+
+        it('should only validate validators built by the same instance', async () => {
+            const instance = floatperms.createInstance();
+            instance.register({ async isYes() { return true; } }, 'bound');
+            const validator = instance.for('bound').allOf('isYes');
+
+            let thrown;
+            try {
+                await floatperms.validate({}, floatperms.anyOf(validator, floatperms.none()));
+            } catch (err) {
+                thrown = err;
+            }
+            expect(thrown).to.be.an('error').with.property('message').that.includes('different Stockade instance');
+        });
+
+        it('should reject invalid options', () => {
+            expect(() => floatperms.createInstance({ adapter: 'hapi' })).to.throw(/unknown request adapter/);
+            expect(() => floatperms.createInstance({ timeout: -1 })).to.throw(/positive number/);
+            expect(() => floatperms.createInstance({ cacheStore: {} })).to.throw();
+        });
+    });
+
+    describe('#defineNamespace()', () => {
+        it('should validate namespace names and parents', () => {
+            const instance = floatperms.createInstance();
+            expect(() => instance.defineNamespace('tenantA', { parent: 'global' })).to.not.throw();
+            expect(() => instance.defineNamespace('tenantA.sub')).to.not.throw();
+            expect(() => instance.defineNamespace('global', { parent: 'tenantA.sub' })).to.throw(/cycle/);
+            expect(() => instance.defineNamespace(42)).to.throw(/namespace name/);
+        });
+    });
+
+    describe('#middleware()', () => {
+        it('should return a (req, res, next) middleware function', () => {
+            const middleware = floatperms.middleware(floatperms.none());
+            expect(middleware).to.be.an.instanceOf(Function).with.length(3);
+        });
+    });
+
     describe('#register()', () => {
         it('should unregister a created provider properly', () => {
             const tryRegister = () => {
@@ -0,0 +1,73 @@
+/* global describe, it, before, after */
+
+const expect = require('chai').expect;
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const floatperms = require('../../../src/main');
+
+describe('Permissions manifest conformance tests', () => {
+
+    before(() => {
+        floatperms.register({
+            async isLoggedIn() { return true; },
+            async isAdmin() { return { code: 'notAdmin' }; },
+        }, 'manifested');
+    });
+
+    after(() => {
+        floatperms.unregister('manifested');
+    });
+
+    describe('#loadManifest()', () => {
+        it('should build validators from expressions and structured policies', async () => {
+            const manifest = floatperms.loadManifest({
+                'UserController.getInfo': 'manifested:isLoggedIn',
+                'UserController.ban': { anyOf: ['manifested:isAdmin', { not: 'manifested:isLoggedIn' }], shortCircuit: true },
+                'UserController.vote': { atLeast: 1, of: ['manifested:isAdmin', 'manifested:isLoggedIn'], parallel: false },
+                'UserController.export': floatperms.toJSON(floatperms.for('manifested').allOf('isAdmin')),
+            });
+
+            expect(Object.keys(manifest.routes)).to.have.length(4);
+            expect(manifest.routes['UserController.ban']).to.deep.include({ method: 'anyOf', shortCircuit: true });
+            expect(manifest.routes['UserController.vote']).to.deep.include({ method: 'atLeast', count: 1, parallel: false });
+            expect(manifest.default).to.be.undefined;
+            expect(manifest.lookup('UserController.missing')).to.be.undefined;
+
+            expect((await floatperms.validate({}, manifest.lookup('UserController.getInfo'))).hasPassed).to.equal(true);
+            expect((await floatperms.validate({}, manifest.lookup('UserController.ban'))).hasPassed).to.equal(false);
+            expect((await floatperms.validate({}, manifest.lookup('UserController.vote'))).hasPassed).to.equal(true);
+            expect((await floatperms.validate({}, manifest.lookup('UserController.export'))).hasPassed).to.equal(false);
+        });
+
+        it('should fall back to the default entry', async () => {
+            const denying = floatperms.loadManifest({ default: 'deny' });
+            expect((await floatperms.validate({}, denying.lookup('Any.route'))).hasPassed).to.equal(false);
+
+            const allowing = floatperms.loadManifest({ default: 'none' });
+            expect((await floatperms.validate({}, allowing.lookup('Any.route'))).hasPassed).to.equal(true);
+        });
+
+        it('should load manifests from JSON files', () => {
+            const file = path.join(os.tmpdir(), `stockade-manifest-${process.pid}.json`);
+            fs.writeFileSync(file, JSON.stringify({ 'UserController.getInfo': 'manifested:isLoggedIn' }));
+            try {
+                expect(floatperms.loadManifest(file).routes).to.have.property('UserController.getInfo');
+            } finally {
+                fs.unlinkSync(file);
+            }
+            expect(() => floatperms.loadManifest(file)).to.throw(/Failed to load permissions manifest/);
+        });
+
+        it('should fail loudly on unknown schemes, methods and malformed policies', () => {
+            expect(() => floatperms.loadManifest({ 'A.b': 'missing:isLoggedIn' })).to.throw(/route "A\.b".*scheme "missing"/);
+            expect(() => floatperms.loadManifest({ 'A.b': { anyOf: ['manifested:isAdmin', 'manifested:isNothing'] } })).to.throw(/method "isNothing"/);
+            expect(() => floatperms.loadManifest({ default: 'potet:manifested:isAdmin' })).to.throw(/route "default"/);
+            expect(() => floatperms.loadManifest({ 'A.b': 'manifested:' })).to.throw(/route "A\.b".*column 12/);
+            expect(() => floatperms.loadManifest({ 'A.b': { anyOf: [], allOf: [] } })).to.throw(/exactly one of/);
+            expect(() => floatperms.loadManifest({ 'A.b': { anyOf: 'manifested:isAdmin' } })).to.throw(/array of policies/);
+            expect(() => floatperms.loadManifest({ 'A.b': 42 })).to.throw(/expression string/);
+        });
+    });
+
+});
@@ -0,0 +1,1125 @@
+/* global describe, it, before, after, beforeEach, afterEach */
+
+const expect = require('chai').expect;
+const floatperms = require('../../../src/main');
+
+// Builds a minimal sails-ish request object for matching against.
+const mockRequest = (params = {}, cookies = {}) => ({
+    param: (name) => params[name],
+    cookies,
+});
+
+describe('Matcher conformance tests', () => {
+
+    describe('lifecycle handlers', () => {
+        afterEach(() => {
+            floatperms.unregister('lifecycle');
+        });
+
+        it('should call the after handler with the validation results, binding any new exports', async () => {
+            let afterResults;
+            floatperms.register({
+                _params: { id: '?id' },
+                async params(req, params, exports) {
+                    exports.id = params.id;
+                },
+                async after(req, params, exports, results) {
+                    afterResults = results;
+                    exports.outcome = results.hasPassed ? 'passed' : 'failed';
+                },
+                async isOk() {
+                    return true;
+                },
+                async isNope() {
+                    return { code: 'nope' };
+                },
+            }, 'lifecycle');
+
+            const req = mockRequest({ id: 42 });
+            const res = await floatperms.validate(req, floatperms.for('lifecycle').anyOf('isOk', 'isNope'));
+
+            expect(res.hasPassed).to.equal(true);
+            expect(afterResults).to.equal(res);
+            expect(req.permissions.lifecycle).to.deep.equal({ id: 42, outcome: 'passed' });
+            expect(req.permissions.lifecycle).to.be.frozen;
+        });
+
+        describe('after handler on early exits', () => {
+            let afterCalls;
+            beforeEach(() => {
+                afterCalls = [];
+                floatperms.register({
+                    _params: {
+                        self: { from: '?self', type: 'integer', required: true },
+                        targets: { from: '?targets', type: 'array<int>', default: [] },
+                    },
+                    async before(req) {
+                        if (req.slow) {
+                            await new Promise(resolve => setTimeout(resolve, 50));
+                        }
+                    },
+                    async after(req, params, exports, results) {
+                        afterCalls.push(results.failedValidations.map(f => f.explanation.code));
+                    },
+                    async isOk() {
+                        return true;
+                    },
+                }, 'lifecycle');
+            });
+
+            it('should call the after handler when params are invalid', async () => {
+                const res = await floatperms.validate(mockRequest({ self: 'abc' }), floatperms.for('lifecycle').allOf('isOk'));
+
+                expect(res.failedValidations[0].explanation.code).to.equal('invalidParam');
+                expect(afterCalls).to.deep.equal([['invalidParam']]);
+            });
+
+            it('should call the after handler when there are no elements to fan out over', async () => {
+                const res = await floatperms.validate(mockRequest({ self: 1 }), floatperms.for('lifecycle').forEach('targets', 'all').allOf('isOk'));
+
+                expect(res.failedValidations[0].explanation.code).to.equal('emptyFanOut');
+                expect(afterCalls).to.deep.equal([['emptyFanOut']]);
+            });
+
+            it('should not call the after handler when setup misses the request deadline', async () => {
+                const req = Object.assign(mockRequest({ self: 1 }), { slow: true });
+                const res = await floatperms.validate(req, floatperms.for('lifecycle').allOf('isOk'), { timeout: 10 });
+
+                expect(res.failedValidations[0].explanation.code).to.equal('timedOut');
+                await new Promise(resolve => setTimeout(resolve, 60));
+                expect(afterCalls).to.deep.equal([]);
+            });
+        });
+
+        it('should map thrown errors through the error handler', async () => {
+            floatperms.register({
+                async error(err) {
+                    return { code: 'mapped', message: err.message };
+                },
+                async isBroken() {
+                    throw new Error('database exploded');
+                },
+            }, 'lifecycle');
+
+            const res = await floatperms.validate(mockRequest(), floatperms.for('lifecycle').allOf('isBroken'));
+
+            expect(res.hasPassed).to.equal(false);
+            expect(res.thrownErrors).to.have.length(0);
+            expect(res.failedValidations).to.deep.equal([{
+                name: 'lifecycle:isBroken',
+                explanation: { code: 'mapped', message: 'database exploded' },
+            }]);
+        });
+
+        it('should keep errors as thrown when the error handler rethrows or returns nothing', async () => {
+            const seen = [];
+            floatperms.register({
+                error(err) {
+                    seen.push(err.message);
+                    if (err.message === 'rethrow') {
+                        throw err;
+                    }
+                },
+                async isRethrown() {
+                    throw new Error('rethrow');
+                },
+                async isIgnored() {
+                    throw new Error('ignore');
+                },
+            }, 'lifecycle');
+
+            const res = await floatperms.validate(mockRequest(), floatperms.for('lifecycle').anyOf('isRethrown', 'isIgnored'));
+
+            expect(res.hasPassed).to.equal(false);
+            expect(seen).to.deep.equal(['rethrow', 'ignore']);
+            expect(res.thrownErrors.map(t => t.name)).to.deep.equal(['lifecycle:isRethrown', 'lifecycle:isIgnored']);
+            expect(res.thrownErrors.map(t => t.error.message)).to.deep.equal(['rethrow', 'ignore']);
+        });
+    });
+
+    describe('request adapters', () => {
+        afterEach(() => {
+            floatperms.unregister('adapted');
+        });
+
+        it('should resolve params through the adapter given to validate', async () => {
+            let seen;
+            floatperms.register({
+                _params: { id: '?id', session: '$session' },
+                async isSeen(params) {
+                    seen = params;
+                    return true;
+                },
+            }, 'adapted');
+
+            const req = { url: '/thing?id=7', headers: { cookie: 'session=abc' } };
+            const res = await floatperms.validate(req, floatperms.for('adapted').allOf('isSeen'), { adapter: 'node' });
+
+            expect(res.hasPassed).to.equal(true);
+            expect(seen).to.deep.equal({ id: '7', session: 'abc' });
+        });
+
+        it('should read each named source from its own part of the request only', async () => {
+            let seen;
+            floatperms.register({
+                _params: {
+                    key: 'header:X-Api-Key',
+                    id: 'route:id',
+                    q: 'query:id',
+                    b: 'body:id',
+                    user: 'session:user.id',
+                    sid: 'signed:sid',
+                },
+                async isSeen(params) {
+                    seen = params;
+                    return true;
+                },
+            }, 'adapted');
+
+            const req = {
+                headers: { 'x-api-key': 'k' },
+                params: { id: 'route' },
+                body: { id: 'body' },
+                query: {},
+                session: { user: { id: 5 } },
+                signedCookies: { sid: 's' },
+            };
+            await floatperms.validate(req, floatperms.for('adapted').allOf('isSeen'), { adapter: 'express' });
+            expect(seen).to.deep.equal({ key: 'k', id: 'route', q: undefined, b: 'body', user: 5, sid: 's' });
+        });
+
+        it('should throw when the adapter in use can\'t read a source', async () => {
+            floatperms.register({ _params: { user: 'session:id' }, async isSeen() { return true; } }, 'adapted');
+            const adapter = Object.assign({}, floatperms.adapters.express, { session: undefined });
+
+            const res = await floatperms.validate({}, floatperms.for('adapted').allOf('isSeen'), { adapter }).catch(err => err);
+            expect(res).to.be.an('error');
+            expect(res.message).to.match(/the request adapter in use provides no "session" function/);
+        });
+    });
+
+    describe('provider setup memoization', () => {
+        afterEach(() => {
+            floatperms.unregister('memoized');
+        });
+
+        it('should run provider setup once per validation for repeated validators', async () => {
+            let beforeCalls = 0;
+            let paramsCalls = 0;
+            floatperms.register({
+                _params: { id: '?id' },
+                async before() {
+                    beforeCalls++;
+                },
+                async params() {
+                    paramsCalls++;
+                },
+                async isA() {
+                    return true;
+                },
+                async isB() {
+                    return true;
+                },
+            }, 'memoized');
+
+            const validator = floatperms.anyOf(
+                floatperms.for('memoized').allOf('isA'),
+                floatperms.for('memoized').allOf('isB')
+            );
+            const req = mockRequest({ id: 1 });
+            await floatperms.validate(req, validator);
+            expect(beforeCalls).to.equal(1);
+            expect(paramsCalls).to.equal(1);
+
+            // a fresh request should get its own setup
+            await floatperms.validate(mockRequest({ id: 1 }), validator);
+            expect(beforeCalls).to.equal(2);
+
+            // as should validating the same request again
+            await floatperms.validate(req, validator);
+            expect(beforeCalls).to.equal(3);
+        });
+
+        it('should not reuse a failed setup when validating the same request again', async () => {
+            let failing = true;
+            floatperms.register({
+                async before() {
+                    if (failing) {
+                        throw new Error('setup failure');
+                    }
+                },
+                async isA() {
+                    return true;
+                },
+            }, 'memoized');
+
+            const req = mockRequest();
+            const validator = floatperms.for('memoized').allOf('isA');
+            const thrown = await floatperms.validate(req, validator).catch(err => err);
+            expect(thrown).to.be.an('error').with.property('message', 'setup failure');
+
+            failing = false;
+            expect((await floatperms.validate(req, validator)).hasPassed).to.equal(true);
+        });
+
+        it('should run separate setups for differing param overrides', async () => {
+            const seenIds = [];
+            floatperms.register({
+                _params: { id: '?id' },
+                async params(req, params) {
+                    seenIds.push(params.id);
+                },
+                async isA() {
+                    return true;
+                },
+            }, 'memoized');
+
+            const validator = floatperms.allOf(
+                floatperms.for('memoized').allOf('isA'),
+                floatperms.for('memoized').id('?otherId').allOf('isA'),
+                floatperms.for('memoized').id({ value: 3 }).allOf('isA'),
+                floatperms.for('memoized').id({ value: 3 }).allOf('isA')
+            );
+            await floatperms.validate(mockRequest({ id: 1, otherId: 2 }), validator);
+            expect(seenIds).to.deep.equal([1, 2, 3]);
+        });
+    });
+
+    describe('short-circuit evaluation', () => {
+        const calls = [];
+        // Helper building a validation method which records its call and resolves after a delay.
+        const recorded = (name, result, delay = 0) => () => new Promise(resolve => {
+            calls.push(name);
+            setTimeout(() => resolve(result), delay);
+        });
+
+        afterEach(() => {
+            calls.length = 0;
+            floatperms.unregister('cheap');
+            floatperms.unregister('slow');
+        });
+
+        it('should stop sequential anyOf evaluation after the first pass', async () => {
+            floatperms.register({
+                isAdmin: recorded('isAdmin', true),
+                canModerate: recorded('canModerate', true),
+            }, 'cheap');
+
+            const res = await floatperms.validate(mockRequest(), floatperms.for('cheap').shortCircuit().anyOf('isAdmin', 'canModerate'));
+
+            expect(res.hasPassed).to.equal(true);
+            expect(calls).to.deep.equal(['isAdmin']);
+            expect(res.skippedValidations).to.deep.equal(['cheap:canModerate']);
+        });
+
+        it('should stop sequential allOf evaluation after the first failure', async () => {
+            floatperms.register({
+                isA: recorded('isA', false),
+                isB: recorded('isB', true),
+            }, 'cheap');
+
+            const res = await floatperms.validate(mockRequest(), floatperms.for('cheap').shortCircuit().all());
+
+            expect(res.hasPassed).to.equal(false);
+            expect(calls).to.deep.equal(['isA']);
+            expect(res.failedValidations).to.deep.equal([{ name: 'cheap:isA', explanation: undefined }]);
+            expect(res.skippedValidations).to.deep.equal(['cheap:isB']);
+        });
+
+        it('should run every validation when not short-circuiting', async () => {
+            floatperms.register({
+                isA: recorded('isA', true),
+                isB: recorded('isB', true),
+            }, 'cheap');
+
+            const res = await floatperms.validate(mockRequest(), floatperms.for('cheap').any());
+
+            expect(res.hasPassed).to.equal(true);
+            expect(calls).to.deep.equal(['isA', 'isB']);
+            expect(res.skippedValidations).to.deep.equal([]);
+        });
+
+        it('should stop waiting on parallel validations once decided', async () => {
+            floatperms.register({
+                isSlow: recorded('isSlow', true, 50),
+                isFast: recorded('isFast', true),
+            }, 'cheap');
+
+            const res = await floatperms.validate(mockRequest(), floatperms.for('cheap').parallel().shortCircuit().anyOf('isSlow', 'isFast'));
+
+            expect(res.hasPassed).to.equal(true);
+            expect(res.passedValidations).to.deep.equal(['cheap:isFast']);
+            expect(res.skippedValidations).to.deep.equal(['cheap:isSlow']);
+        });
+
+        it('should stop waiting on compound sub-validators once decided', async () => {
+            floatperms.register({
+                isAdmin: recorded('isAdmin', true),
+            }, 'cheap');
+            floatperms.register({
+                canModerate: recorded('canModerate', true, 50),
+            }, 'slow');
+
+            const res = await floatperms.validate(mockRequest(), floatperms.anyOf(
+                floatperms.for('slow').allOf('canModerate'),
+                floatperms.for('cheap').allOf('isAdmin'),
+                { shortCircuit: true }
+            ));
+
+            expect(res.hasPassed).to.equal(true);
+            expect(res.passedValidations).to.deep.equal(['cheap:isAdmin']);
+            expect(res.skippedValidations).to.deep.equal(['slow:canModerate']);
+        });
+    });
+
+    describe('negation and threshold methods', () => {
+        before(() => {
+            floatperms.register({
+                async isYes() {
+                    return true;
+                },
+                async isAlsoYes() {
+                    return true;
+                },
+                async isNo() {
+                    return { code: 'no' };
+                },
+                async isBroken() {
+                    throw new Error('broken');
+                },
+            }, 'combo');
+        });
+
+        after(() => {
+            floatperms.unregister('combo');
+        });
+
+        const check = (validator) => floatperms.validate(mockRequest(), validator);
+
+        it('should negate a validator with not()', async () => {
+            const passing = await check(floatperms.not(floatperms.for('combo').allOf('isNo')));
+            expect(passing.hasPassed).to.equal(true);
+            expect(passing.passedValidations).to.deep.equal(['!combo:isNo']);
+
+            const failing = await check(floatperms.not(floatperms.for('combo').allOf('isYes')));
+            expect(failing.hasPassed).to.equal(false);
+            expect(failing.failedValidations).to.have.length(1);
+            expect(failing.failedValidations[0]).to.have.property('name', '!combo:isYes');
+            expect(failing.failedValidations[0].explanation).to.have.property('code', 'negated');
+        });
+
+        it('should never treat a thrown error as a failure to negate', async () => {
+            const res = await check(floatperms.not(floatperms.for('combo').allOf('isBroken')));
+            expect(res.hasPassed).to.equal(false);
+            expect(res.thrownErrors).to.have.length(1);
+
+            const none = await check(floatperms.for('combo').noneOf('isNo', 'isBroken'));
+            expect(none.hasPassed).to.equal(false);
+        });
+
+        it('should handle noneOf for both validators and compounds', async () => {
+            expect((await check(floatperms.for('combo').noneOf('isNo'))).hasPassed).to.equal(true);
+            expect((await check(floatperms.for('combo').noneOf('isNo', 'isYes'))).hasPassed).to.equal(false);
+            expect((await check(floatperms.noneOf(
+                floatperms.for('combo').allOf('isNo'),
+                floatperms.for('combo').allOf('isYes', 'isNo')
+            ))).hasPassed).to.equal(true);
+            expect((await check(floatperms.noneOf(
+                floatperms.for('combo').allOf('isNo'),
+                floatperms.for('combo').allOf('isYes')
+            ))).hasPassed).to.equal(false);
+        });
+
+        it('should handle atLeast for both validators and compounds', async () => {
+            expect((await check(floatperms.for('combo').atLeast(2, 'isYes', 'isNo', 'isAlsoYes'))).hasPassed).to.equal(true);
+            expect((await check(floatperms.for('combo').atLeast(2, 'isYes', 'isNo'))).hasPassed).to.equal(false);
+            expect((await check(floatperms.atLeast(2,
+                floatperms.for('combo').allOf('isYes'),
+                floatperms.for('combo').allOf('isNo'),
+                floatperms.for('combo').allOf('isBroken')
+            ))).hasPassed).to.equal(false);
+            expect((await check(floatperms.atLeast(1,
+                floatperms.for('combo').allOf('isBroken'),
+                floatperms.for('combo').allOf('isYes')
+            ))).hasPassed).to.equal(true);
+        });
+
+        it('should short-circuit atLeast once enough validations have passed', async () => {
+            const res = await check(floatperms.for('combo').shortCircuit().atLeast(2, 'isYes', 'isAlsoYes', 'isNo'));
+            expect(res.hasPassed).to.equal(true);
+            expect(res.skippedValidations).to.deep.equal(['combo:isNo']);
+        });
+    });
+
+    describe('timeouts and cancellation', () => {
+        const signals = {};
+        // Helper building a validation method which resolves after a delay, keeping hold of its signal.
+        const delayed = (name, delay, result = true) => (params, req, signal) => new Promise(resolve => {
+            signals[name] = signal;
+            setTimeout(() => resolve(result), delay);
+        });
+
+        afterEach(() => {
+            floatperms.unregister('timed');
+            floatperms.setDefaultTimeout();
+        });
+
+        it('should fail validations exceeding the validator timeout, aborting their signal', async () => {
+            floatperms.register({
+                isSlow: delayed('isSlow', 100),
+                isFast: delayed('isFast', 0),
+            }, 'timed');
+
+            const res = await floatperms.validate(mockRequest(), floatperms.for('timed').timeout(10).allOf('isSlow', 'isFast'));
+
+            expect(res.hasPassed).to.equal(false);
+            expect(res.passedValidations).to.deep.equal(['timed:isFast']);
+            expect(res.failedValidations).to.have.length(1);
+            expect(res.failedValidations[0].name).to.equal('timed:isSlow');
+            expect(res.failedValidations[0].explanation).to.have.property('code', 'timedOut');
+            expect(signals.isSlow.aborted).to.equal(true);
+            expect(signals.isFast.aborted).to.equal(false);
+        });
+
+        it('should use the provider and global timeouts as fallbacks', async () => {
+            floatperms.register({
+                _timeout: 10,
+                isSlow: delayed('isSlow', 100),
+            }, 'timed');
+            const fromProvider = await floatperms.validate(mockRequest(), floatperms.for('timed').allOf('isSlow'));
+            expect(fromProvider.failedValidations[0].explanation).to.have.property('code', 'timedOut');
+            floatperms.unregister('timed');
+
+            floatperms.register({
+                isSlow: delayed('isSlow', 100),
+            }, 'timed');
+            floatperms.setDefaultTimeout(10);
+            const fromGlobal = await floatperms.validate(mockRequest(), floatperms.for('timed').allOf('isSlow'));
+            expect(fromGlobal.failedValidations[0].explanation).to.have.property('code', 'timedOut');
+        });
+
+        it('should enforce a deadline across the whole request', async () => {
+            floatperms.register({
+                isA: delayed('isA', 15),
+                isB: delayed('isB', 15),
+                isC: delayed('isC', 15),
+            }, 'timed');
+
+            const res = await floatperms.validate(mockRequest(), floatperms.for('timed').all(), { timeout: 25 });
+
+            expect(res.hasPassed).to.equal(false);
+            expect(res.passedValidations).to.deep.equal(['timed:isA']);
+            expect(res.failedValidations.map(f => f.explanation.code)).to.deep.equal(['timedOut', 'timedOut']);
+        });
+
+        it('should fail validations settling in reaction to the request deadline', async () => {
+            // Helper building a validation method which only settles once its signal is aborted.
+            const onAbort = (settle) => (params, req, signal) => new Promise((resolve, reject) => {
+                signal.addEventListener('abort', () => settle(resolve, reject, signal.reason));
+            });
+            floatperms.register({
+                resolvesOnAbort: onAbort(resolve => resolve(true)),
+                rejectsOnAbort: onAbort((resolve, reject, reason) => reject(reason)),
+            }, 'timed');
+
+            const resolved = await floatperms.validate(mockRequest(), floatperms.for('timed').allOf('resolvesOnAbort'), { timeout: 20 });
+            expect(resolved.hasPassed).to.equal(false);
+            expect(resolved.passedValidations).to.deep.equal([]);
+            expect(resolved.failedValidations.map(f => f.explanation.code)).to.deep.equal(['timedOut']);
+
+            const rejected = await floatperms.validate(mockRequest(), floatperms.for('timed').allOf('rejectsOnAbort'), { timeout: 20 });
+            expect(rejected.hasPassed).to.equal(false);
+            expect(rejected.thrownErrors).to.deep.equal([]);
+            expect(rejected.failedValidations.map(f => f.explanation.code)).to.deep.equal(['timedOut']);
+        });
+
+        it('should abort the signal of validations skipped by short-circuiting', async () => {
+            floatperms.register({
+                isSlow: delayed('isSlow', 50),
+                isFast: delayed('isFast', 0),
+            }, 'timed');
+
+            await floatperms.validate(mockRequest(), floatperms.for('timed').parallel().shortCircuit().anyOf('isSlow', 'isFast'));
+
+            expect(signals.isSlow.aborted).to.equal(true);
+        });
+
+        it('should abort the other branches of short-circuiting compounds when one throws', async () => {
+            floatperms.register({
+                isSlow: delayed('isSlow', 50),
+            }, 'timed');
+            floatperms.register({
+                async before() {
+                    throw new Error('setup failure');
+                },
+                async isA() { return true; },
+            }, 'brokenSetup');
+
+            try {
+                const thrown = await floatperms.validate(mockRequest(), floatperms.anyOf(
+                    floatperms.for('brokenSetup').allOf('isA'),
+                    floatperms.for('timed').allOf('isSlow'),
+                    { shortCircuit: true }
+                )).catch(err => err);
+
+                expect(thrown).to.be.an('error').with.property('message', 'setup failure');
+                expect(signals.isSlow.aborted).to.equal(true);
+            } finally {
+                floatperms.unregister('brokenSetup');
+            }
+        });
+    });
+
+    describe('decision cache', () => {
+        let calls;
+
+        beforeEach(() => {
+            calls = 0;
+            floatperms.register({
+                _params: { id: '?id' },
+                _cache: { canManage: 1000 },
+                async canManage(params) {
+                    calls++;
+                    return params.id === 1;
+                },
+            }, 'cached');
+        });
+
+        afterEach(async () => {
+            await floatperms.invalidate('cached');
+            floatperms.unregister('cached');
+        });
+
+        it('should reuse cached results for the same params', async () => {
+            const validator = floatperms.for('cached').allOf('canManage');
+
+            expect((await floatperms.validate(mockRequest({ id: 1 }), validator)).hasPassed).to.equal(true);
+            expect((await floatperms.validate(mockRequest({ id: 1 }), validator)).hasPassed).to.equal(true);
+            expect(calls).to.equal(1);
+
+            expect((await floatperms.validate(mockRequest({ id: 2 }), validator)).hasPassed).to.equal(false);
+            expect((await floatperms.validate(mockRequest({ id: 2 }), validator)).hasPassed).to.equal(false);
+            expect(calls).to.equal(2);
+        });
+
+        it('should run validations again once invalidated', async () => {
+            const validator = floatperms.for('cached').allOf('canManage');
+
+            await floatperms.validate(mockRequest({ id: 1 }), validator);
+            await floatperms.validate(mockRequest({ id: 2 }), validator);
+            expect(await floatperms.invalidate('cached', 'canManage', { id: 1 })).to.equal(1);
+            await floatperms.validate(mockRequest({ id: 1 }), validator);
+            await floatperms.validate(mockRequest({ id: 2 }), validator);
+
+            expect(calls).to.equal(3);
+        });
+
+        it('should throw when registering a provider with invalid _cache entries', () => {
+            const tryRegister = (cacheDef) => () => {
+                try {
+                    floatperms.register({ _cache: cacheDef, async isA() { return true; } }, 'badCache');
+                } finally {
+                    floatperms.unregister('badCache');
+                }
+            };
+
+            expect(tryRegister({ isB: 1000 })).to.throw('The provider definition "badCache" in namespace "global" contains a _cache entry for "isB", but no such validation method exists.');
+            expect(tryRegister({ isA: -5 })).to.throw('The provider definition "badCache" in namespace "global" contains an invalid _cache entry "isA". Expected a positive TTL in milliseconds, but instead found: (number) -5');
+        });
+    });
+
+    describe('decision traces', () => {
+        before(() => {
+            floatperms.register({
+                _params: { id: '?id', token: '$token' },
+                _redact: ['token'],
+                async isYes() {
+                    return true;
+                },
+                async isNo() {
+                    return { code: 'no' };
+                },
+                async isBroken() {
+                    throw new Error('broken');
+                },
+            }, 'traced');
+        });
+
+        after(() => {
+            floatperms.unregister('traced');
+        });
+
+        it('should build a tree mirroring the validator', async () => {
+            const tree = await floatperms.explain(mockRequest({ id: 5 }, { token: 'secret' }), floatperms.anyOf(
+                floatperms.for('traced').allOf('isNo', 'isBroken'),
+                floatperms.for('traced').anyOf('isYes'),
+                floatperms.none()
+            ));
+
+            expect(tree).to.include({ type: 'compound', method: 'anyOf', hasPassed: true });
+            expect(tree.children).to.have.length(3);
+
+            const [first, second, third] = tree.children;
+            expect(first).to.include({ type: 'validator', scheme: 'traced', method: 'allOf', hasPassed: false });
+            expect(first.params).to.deep.equal({ id: 5, token: '[redacted]' });
+            expect(first.targets.map(t => t.status)).to.deep.equal(['failed', 'threw']);
+            expect(first.targets[0].explanation).to.deep.equal({ code: 'no' });
+            expect(first.targets[1].error).to.have.property('message', 'broken');
+            expect(first.targets[0].durationMs).to.be.a('number');
+            expect(second).to.include({ hasPassed: true });
+            expect(second.targets).to.deep.include({ name: 'traced:isYes', status: 'passed', durationMs: second.targets[0].durationMs });
+            expect(third).to.include({ type: 'none', hasPassed: true });
+        });
+
+        it('should apply the redaction hook and include traces only when asked', async () => {
+            const validator = floatperms.for('traced').allOf('isYes');
+            const redact = (name, value) => (name === 'id' ? '***' : value);
+
+            const traced = await floatperms.validate(mockRequest({ id: 5 }), validator, { trace: true, redact });
+            expect(traced.trace.params).to.deep.equal({ id: '***', token: '[redacted]' });
+
+            const untraced = await floatperms.validate(mockRequest({ id: 5 }), validator);
+            expect(untraced).to.not.have.property('trace');
+        });
+
+        it('should mark short-circuited targets and branches as skipped', async () => {
+            const tree = await floatperms.explain(mockRequest(), floatperms.for('traced').shortCircuit().anyOf('isYes', 'isNo'));
+            expect(tree.targets.map(t => t.status)).to.deep.equal(['passed', 'skipped']);
+        });
+    });
+
+    describe('namespace fallback chains', () => {
+        const instance = floatperms.createInstance();
+
+        before(() => {
+            instance.register({
+                async isLoggedIn() { return true; },
+                async isAdmin() { return { code: 'notAdmin' }; },
+            }, 'user');
+            instance.register({
+                async canPost() { return true; },
+            }, 'posting');
+            instance.register({
+                async isLoggedIn() { return true; },
+                async isAdmin() { return true; },
+            }, 'user', 'tenantA');
+            instance.defineNamespace('tenantA', { parent: 'global' });
+        });
+
+        it('should prefer schemes registered in the namespace itself', async () => {
+            const res = await instance.validate(mockRequest(), instance.for('user', 'tenantA').allOf('isAdmin'));
+            expect(res.hasPassed).to.equal(true);
+            expect(res.passedValidations).to.deep.equal(['tenantA:user:isAdmin']);
+        });
+
+        it('should fall back to the parent namespace, including from dotted child namespaces', async () => {
+            const res = await instance.validate(mockRequest(), instance.allOf(
+                instance.for('posting', 'tenantA').allOf('canPost'),
+                instance.for('posting', 'tenantA.teamB').allOf('canPost'),
+                instance.for('user', 'tenantA.teamB').allOf('isAdmin')
+            ));
+            expect(res.hasPassed).to.equal(true);
+            expect(res.passedValidations).to.deep.equal(['tenantA:posting:canPost', 'tenantA.teamB:posting:canPost', 'tenantA.teamB:user:isAdmin']);
+            expect(instance.verify({ validators: [instance.for('posting', 'tenantA.teamB').allOf('canPost')] }).ok).to.equal(true);
+        });
+
+        it('should fail where no namespace in the chain holds the scheme', async () => {
+            let thrown;
+            try {
+                await instance.validate(mockRequest(), instance.for('billing', 'tenantA.teamB').allOf('canPay'));
+            } catch (err) {
+                thrown = err;
+            }
+            expect(thrown).to.be.an('error').with.property('message').that.includes('(nor in any of: tenantA, global)');
+        });
+    });
+
+    describe('provider inheritance', () => {
+        const instance = floatperms.createInstance();
+        const calls = [];
+
+        before(() => {
+            instance.register({
+                _params: { self: '?self' },
+                async before(req, paramDefs, exports) {
+                    calls.push('base.before');
+                    exports.user = { id: 1 };
+                },
+                async isLoggedIn(params) { return !!params.self; },
+                async isAdmin() { return { code: 'notAdmin' }; },
+            }, 'base');
+            instance.register({
+                _extends: 'base',
+                _params: { target: '?target' },
+                async before(req, paramDefs, exports, signal) {
+                    await this._super.before.call(this, req, paramDefs, exports, signal);
+                    calls.push('moderator.before');
+                },
+                async isAdmin() { return true; },
+                async canBan(params) { return params.target !== params.self; },
+            }, 'moderator');
+        });
+
+        it('should inherit validations and params, calling the parent\'s handlers on request', async () => {
+            const res = await instance.validate(mockRequest({ self: 1, target: 2 }), instance.for('moderator').all());
+
+            expect(res.hasPassed).to.equal(true);
+            expect(res.passedValidations).to.have.members(['moderator:isLoggedIn', 'moderator:isAdmin', 'moderator:canBan']);
+            expect(calls).to.deep.equal(['base.before', 'moderator.before']);
+            expect(instance.verify({ validators: [instance.for('moderator').self('?me').allOf('isLoggedIn')] }).ok).to.equal(true);
+        });
+
+        it('should call each level\'s parent through `this._super`, however deep', async () => {
+            instance.register({
+                _extends: 'moderator',
+                async before(req, paramDefs, exports, signal) {
+                    await this._super.before.call(this, req, paramDefs, exports, signal);
+                    calls.push('admin.before');
+                },
+            }, 'admin');
+            calls.length = 0;
+
+            const res = await instance.validate(mockRequest({ self: 1, target: 2 }), instance.for('admin').allOf('isAdmin', 'canBan'));
+
+            expect(res.hasPassed).to.equal(true);
+            expect(calls).to.deep.equal(['base.before', 'moderator.before', 'admin.before']);
+            instance.unregister('admin');
+        });
+
+        it('should keep the parent unchanged', async () => {
+            const res = await instance.validate(mockRequest({ self: 1 }), instance.for('base').allOf('isAdmin'));
+            expect(res.hasPassed).to.equal(false);
+        });
+
+        it('should reject providers extending unregistered parents', () => {
+            expect(() => instance.register({ _extends: 'missing' }, 'orphan')).to.throw(/no such provider has been registered/);
+            expect(() => instance.for('orphan')).to.not.throw();
+            expect(instance.unregister('orphan')).to.be.undefined;
+        });
+    });
+
+    describe('typed parameters', () => {
+        const instance = floatperms.createInstance();
+        const seen = [];
+
+        before(() => {
+            instance.register({
+                _params: {
+                    self: { from: '?self', type: 'integer', required: true },
+                    targets: { from: '?targets', type: 'array<int>', default: [] },
+                    verbose: { from: '?verbose', type: 'bool', default: false },
+                },
+                async params(req, params) { seen.push(params); },
+                async canBan(params) { return !params.targets.includes(params.self); },
+            }, 'typed');
+        });
+
+        beforeEach(() => {
+            seen.length = 0;
+        });
+
+        it('should coerce and default values before they reach the validation methods', async () => {
+            const res = await instance.validate(mockRequest({ self: '1', targets: ['2', 3] }), instance.for('typed').allOf('canBan'));
+
+            expect(res.hasPassed).to.equal(true);
+            expect(seen).to.deep.equal([{ self: 1, targets: [2, 3], verbose: false }]);
+        });
+
+        it('should fail every target with invalidParam when a param is missing or invalid', async () => {
+            const res = await instance.validate(mockRequest({ targets: 'x' }), instance.for('typed').all());
+
+            expect(res.hasPassed).to.equal(false);
+            expect(seen).to.deep.equal([]);
+            expect(res.failedValidations).to.have.lengthOf(1);
+            const explanation = res.failedValidations[0].explanation;
+            expect(explanation.code).to.equal('invalidParam');
+            expect(explanation.params.map(p => p.name)).to.deep.equal(['self', 'targets']);
+            expect(explanation.params[0].reason).to.match(/is required/);
+            expect(explanation.params[1].reason).to.match(/could not be read as type "array<int>"/);
+        });
+
+        it('should keep noneOf failing, rather than passing, on invalid params', async () => {
+            const res = await instance.validate(mockRequest({ self: 'abc' }), instance.for('typed').noneOf('canBan'));
+
+            expect(res.hasPassed).to.equal(false);
+            expect(res.failedValidations[0].explanation.code).to.equal('invalidParam');
+        });
+
+        it('should accept typed definitions as overrides', async () => {
+            const validator = instance.for('typed').self({ from: '?me', type: 'integer', required: true }).allOf('canBan');
+            const res = await instance.validate(mockRequest({ me: '7', targets: ['7'] }), validator);
+
+            expect(res.hasPassed).to.equal(false);
+            expect(seen[0].self).to.equal(7);
+            expect(() => instance.for('typed').self({ from: 'nowhere' })).to.throw(/"from" field must be a string/);
+            expect(() => instance.register({ _params: { a: { from: '?a', type: 'date' } } }, 'badType')).to.throw(/invalid _params entry "a". Unknown type "date"/);
+        });
+    });
+
+    describe('array fan-out', () => {
+        const instance = floatperms.createInstance();
+        const calls = [];
+
+        before(() => {
+            instance.register({
+                _params: {
+                    self: '?self',
+                    target: { from: '?banTargets', type: 'integer', each: true },
+                },
+                async canBanTarget(params) {
+                    calls.push(params.target);
+                    return (params.target !== params.self) || { code: 'isSelf' };
+                },
+                async isModerator() { return true; },
+            }, 'moderation');
+            instance.register({
+                _params: { targets: '?targets' },
+                async isOwner(params) { return params.targets === 'mine'; },
+            }, 'owned');
+        });
+
+        beforeEach(() => {
+            calls.length = 0;
+        });
+
+        it('should run each validation once per element, reporting per element', async () => {
+            const res = await instance.validate(mockRequest({ self: 1, banTargets: ['2', '3'] }), instance.for('moderation').all());
+
+            expect(res.hasPassed).to.equal(true);
+            expect(calls).to.deep.equal([2, 3]);
+            expect(res.passedValidations).to.have.members([
+                'moderation:canBanTarget[target=2]',
+                'moderation:canBanTarget[target=3]',
+                'moderation:isModerator[target=2]',
+                'moderation:isModerator[target=3]',
+            ]);
+        });
+
+        it('should fail with the failing elements when every element must pass', async () => {
+            const res = await instance.validate(mockRequest({ self: 1, banTargets: ['2', '1'] }), instance.for('moderation').allOf('canBanTarget'));
+
+            expect(res.hasPassed).to.equal(false);
+            expect(res.passedValidations).to.deep.equal([]);
+            expect(res.failedValidations).to.deep.equal([{ name: 'moderation:canBanTarget[target=1]', explanation: { code: 'isSelf' } }]);
+        });
+
+        it('should pass with a single passing element in the any mode', async () => {
+            const validator = instance.for('owned').forEach('targets', 'any').allOf('isOwner');
+            const res = await instance.validate(mockRequest({ targets: ['theirs', 'mine'] }), validator);
+
+            expect(res.hasPassed).to.equal(true);
+            expect(res.passedValidations).to.deep.equal(['owned:isOwner[targets=mine]']);
+        });
+
+        it('should stop at the deciding element when short-circuiting', async () => {
+            const validator = instance.for('moderation').shortCircuit().allOf('canBanTarget');
+            const res = await instance.validate(mockRequest({ self: 1, banTargets: ['1', '2', '3'] }), validator);
+
+            expect(res.hasPassed).to.equal(false);
+            expect(calls).to.deep.equal([1]);
+        });
+
+        it('should fail with emptyFanOut when there are no elements', async () => {
+            const res = await instance.validate(mockRequest({ self: 1 }), instance.for('moderation').allOf('canBanTarget'));
+
+            expect(res.hasPassed).to.equal(false);
+            expect(calls).to.deep.equal([]);
+            expect(res.failedValidations[0].explanation).to.include({ code: 'emptyFanOut', param: 'target' });
+        });
+
+        it('should list the elements in decision traces', async () => {
+            const trace = await instance.explain(mockRequest({ self: 1, banTargets: ['1', '2'] }), instance.for('moderation').allOf('canBanTarget'));
+
+            expect(trace.targets[0]).to.include({ name: 'moderation:canBanTarget', status: 'failed' });
+            expect(trace.targets[0].elements.map(e => e.status)).to.deep.equal(['failed', 'passed']);
+            expect(trace.targets[0].elements[0].name).to.equal('moderation:canBanTarget[target=1]');
+        });
+
+        it('should throw when fanning out over an undeclared param', async () => {
+            const res = await instance.validate(mockRequest(), instance.for('owned').forEach('missing').allOf('isOwner')).catch(err => err);
+            expect(res).to.be.an('error');
+            expect(res.message).to.match(/fan out over parameter "missing"/);
+        });
+    });
+
+    describe('settled validation records', () => {
+        const instance = floatperms.createInstance();
+
+        before(() => {
+            instance.register({
+                async isYes() { return true; },
+                async isNo() { return { code: 'nope', message: 'Not today.' }; },
+                async isBroken() { throw new Error('exploded'); },
+            }, 'settled');
+        });
+
+        const expected = (error) => [
+            { name: 'settled:isYes', status: 'passed' },
+            { name: 'settled:isBroken', status: 'threw', error },
+            { name: 'settled:isNo', status: 'failed', explanation: { code: 'nope', message: 'Not today.' } },
+        ];
+
+        it('should keep the records of every method when one throws in parallel', async () => {
+            const res = await instance.validate(mockRequest(), instance.for('settled').parallel().allOf('isYes', 'isBroken', 'isNo'));
+
+            expect(res.hasPassed).to.equal(false);
+            expect(res.passedValidations).to.deep.equal(['settled:isYes']);
+            expect(res.failedValidations).to.deep.equal([{ name: 'settled:isNo', explanation: { code: 'nope', message: 'Not today.' } }]);
+            expect(res.thrownErrors).to.have.length(1);
+            expect(res.thrownErrors[0]).to.have.property('name', 'settled:isBroken');
+            expect(res.thrownErrors[0].error).to.have.property('message', 'exploded');
+            expect(res.validations).to.deep.equal(expected(res.thrownErrors[0].error));
+        });
+
+        it('should produce the same records in sequence', async () => {
+            const res = await instance.validate(mockRequest(), instance.for('settled').allOf('isYes', 'isBroken', 'isNo'));
+
+            expect(res.thrownErrors.map(t => t.name)).to.deep.equal(['settled:isBroken']);
+            expect(res.validations).to.deep.equal(expected(res.thrownErrors[0].error));
+        });
+
+        it('should gather the records of every branch of compound validators, without inverting them', async () => {
+            const res = await instance.validate(mockRequest(), instance.anyOf(
+                instance.for('settled').allOf('isYes'),
+                instance.not(instance.for('settled').allOf('isNo')),
+            ));
+
+            expect(res.passedValidations).to.deep.equal(['settled:isYes', '!settled:isNo']);
+            expect(res.validations.map(v => `${v.name}:${v.status}`)).to.deep.equal(['settled:isYes:passed', 'settled:isNo:failed']);
+        });
+    });
+
+    describe('execution policies', () => {
+        const instance = floatperms.createInstance();
+        const order = [];
+        let running = 0;
+        let peak = 0;
+
+        // Builds a validation method noting when it runs, and how many others run alongside it.
+        const tracked = (name, result = true) => async () => {
+            order.push(name);
+            running++;
+            peak = Math.max(peak, running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running--;
+            return result;
+        };
+
+        before(() => {
+            instance.register({
+                _params: { id: { from: '?ids' } },
+                isA: tracked('isA'),
+                isB: tracked('isB'),
+                isC: tracked('isC'),
+                isD: tracked('isD'),
+                isNo: tracked('isNo', false),
+            }, 'pooled');
+            instance.register({
+                _parallel: true,
+                _concurrency: 2,
+                isA: tracked('isA'),
+                isB: tracked('isB'),
+                isC: tracked('isC'),
+                isD: tracked('isD'),
+            }, 'limited');
+        });
+
+        beforeEach(() => {
+            order.length = 0;
+            running = 0;
+            peak = 0;
+        });
+
+        it('should start every validation at once unless limited', async () => {
+            const res = await instance.validate(mockRequest(), instance.for('pooled').parallel().allOf('isA', 'isB', 'isC', 'isD'));
+            expect(res.hasPassed).to.equal(true);
+            expect(peak).to.equal(4);
+        });
+
+        it('should run at most the given number of validations at once', async () => {
+            const res = await instance.validate(mockRequest(), instance.for('pooled').parallel(2).allOf('isA', 'isB', 'isC', 'isD'));
+            expect(res.hasPassed).to.equal(true);
+            expect(peak).to.equal(2);
+            expect(order).to.deep.equal(['isA', 'isB', 'isC', 'isD']);
+        });
+
+        it('should use the lower of the validator and provider limits', async () => {
+            await instance.validate(mockRequest(), instance.for('limited').all());
+            expect(peak).to.equal(2);
+
+            peak = 0;
+            await instance.validate(mockRequest(), instance.for('limited').parallel(3).all());
+            expect(peak).to.equal(2);
+
+            peak = 0;
+            await instance.validate(mockRequest(), instance.for('limited').parallel(1).all());
+            expect(peak).to.equal(1);
+        });
+
+        it('should run in sequence when marked sequential, whatever the provider default', async () => {
+            const res = await instance.validate(mockRequest(), instance.for('limited').sequential().all());
+            expect(res.hasPassed).to.equal(true);
+            expect(peak).to.equal(1);
+        });
+
+        it('should limit every element of fanned-out validations', async () => {
+            const res = await instance.validate(mockRequest({ ids: [1, 2, 3] }), instance.for('pooled').parallel(2).forEach('id').allOf('isA', 'isB'));
+            expect(res.passedValidations).to.have.length(6);
+            expect(order).to.have.length(6);
+            expect(peak).to.equal(2);
+        });
+
+        it('should never start queued validations once short-circuited', async () => {
+            const res = await instance.validate(mockRequest(), instance.for('pooled').parallel(1).shortCircuit().allOf('isNo', 'isA', 'isB'));
+            await new Promise(resolve => setTimeout(resolve, 20));
+
+            expect(res.hasPassed).to.equal(false);
+            expect(order).to.deep.equal(['isNo']);
+            expect(res.skippedValidations).to.deep.equal(['pooled:isA', 'pooled:isB']);
+        });
+
+        it('should run compound branches in sequence when not parallel', async () => {
+            const res = await instance.validate(mockRequest(), instance.allOf(
+                instance.for('pooled').allOf('isA'),
+                instance.for('pooled').allOf('isB'),
+                instance.for('pooled').allOf('isC'),
+                { parallel: false },
+            ));
+            expect(res.hasPassed).to.equal(true);
+            expect(peak).to.equal(1);
+            expect(order).to.deep.equal(['isA', 'isB', 'isC']);
+        });
+
+        it('should skip the remaining compound branches when short-circuiting in sequence', async () => {
+            const res = await instance.validate(mockRequest(), instance.anyOf(
+                instance.for('pooled').allOf('isA'),
+                instance.for('pooled').allOf('isB'),
+                { parallel: false, shortCircuit: true },
+            ), { trace: true });
+            expect(res.hasPassed).to.equal(true);
+            expect(order).to.deep.equal(['isA']);
+            expect(res.skippedValidations).to.deep.equal(['pooled:isB']);
+            expect(res.trace.children[1]).to.deep.equal({ type: 'skipped', validations: ['pooled:isB'] });
+        });
+
+        it('should run at most the given number of compound branches at once', async () => {
+            const res = await instance.validate(mockRequest(), instance.allOf(
+                instance.for('pooled').allOf('isA'),
+                instance.for('pooled').allOf('isB'),
+                instance.for('pooled').allOf('isC'),
+                instance.for('pooled').allOf('isD'),
+                { parallel: 2 },
+            ));
+            expect(res.hasPassed).to.equal(true);
+            expect(peak).to.equal(2);
+        });
+
+        it('should throw for invalid execution policies', () => {
+            const a = instance.for('pooled').allOf('isA');
+            const b = instance.for('pooled').allOf('isB');
+            expect(() => instance.anyOf(a, b, { parallel: 0 })).to.throw('Expected the `parallel` option of a compound validator to be a boolean or a positive integer, but instead found: (number) 0');
+            expect(() => instance.register({ _concurrency: 'many', async isA() { return true; } }, 'flooded')).to.throw('The provider definition "flooded" in namespace "global" contains an invalid _concurrency field. Expected a positive integer, but instead found: (string) many');
+        });
+    });
+
+});
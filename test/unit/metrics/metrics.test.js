@@ -0,0 +1,102 @@
+/* global describe, it, before */
+
+const expect = require('chai').expect;
+const floatperms = require('../../../src/main');
+const { mockRequest } = require('../../../src/testing/testing');
+const metrics = require('../../../src/metrics/metrics');
+
+describe('Metrics conformance tests', () => {
+
+    describe('#createCollector()', () => {
+        it('should count outcomes and fill cumulative histogram buckets', () => {
+            const collector = metrics.createCollector({ buckets: [0.01, 0.1] });
+            collector.validation('global', 'user', 'isA', 'passed', 0.005);
+            collector.validation('global', 'user', 'isA', 'failed', 0.05);
+            collector.validation('global', 'user', 'isA', 'threw', 1);
+            collector.hook('global', 'user', 'before', 0.002);
+
+            const snapshot = collector.snapshot();
+            expect(snapshot.validations).to.deep.equal([{
+                namespace: 'global',
+                scheme: 'user',
+                method: 'isA',
+                passed: 1,
+                failed: 1,
+                threw: 1,
+                duration: { buckets: [{ le: 0.01, count: 1 }, { le: 0.1, count: 2 }], sum: 1.055, count: 3 },
+            }]);
+            expect(snapshot.hooks[0]).to.deep.include({ hook: 'before', duration: { buckets: [{ le: 0.01, count: 1 }, { le: 0.1, count: 1 }], sum: 0.002, count: 1 } });
+
+            collector.reset();
+            expect(collector.snapshot()).to.deep.equal({ validations: [], hooks: [] });
+        });
+
+        it('should throw for invalid buckets', () => {
+            expect(() => metrics.createCollector({ buckets: [0.1, 0.01] })).to.throw('Expected the metrics buckets to be an ascending list of positive numbers, but instead found: (object) 0.1,0.01');
+        });
+    });
+
+    describe('#toPrometheus()', () => {
+        it('should render counters and histograms in the text format', () => {
+            const collector = metrics.createCollector({ buckets: [0.1] });
+            collector.validation('org"a', 'user', 'isA', 'passed', 0.05);
+            collector.hook('org"a', 'user', 'params', 0.2);
+
+            expect(metrics.toPrometheus(collector.snapshot())).to.equal([
+                '# HELP stockade_validations_total Number of validation method runs, by outcome.',
+                '# TYPE stockade_validations_total counter',
+                'stockade_validations_total{namespace="org\\"a",scheme="user",method="isA",outcome="passed"} 1',
+                'stockade_validations_total{namespace="org\\"a",scheme="user",method="isA",outcome="failed"} 0',
+                'stockade_validations_total{namespace="org\\"a",scheme="user",method="isA",outcome="threw"} 0',
+                '# HELP stockade_validation_duration_seconds Duration of validation method runs.',
+                '# TYPE stockade_validation_duration_seconds histogram',
+                'stockade_validation_duration_seconds_bucket{namespace="org\\"a",scheme="user",method="isA",le="0.1"} 1',
+                'stockade_validation_duration_seconds_bucket{namespace="org\\"a",scheme="user",method="isA",le="+Inf"} 1',
+                'stockade_validation_duration_seconds_sum{namespace="org\\"a",scheme="user",method="isA"} 0.05',
+                'stockade_validation_duration_seconds_count{namespace="org\\"a",scheme="user",method="isA"} 1',
+                '# HELP stockade_hook_duration_seconds Duration of provider lifecycle handlers.',
+                '# TYPE stockade_hook_duration_seconds histogram',
+                'stockade_hook_duration_seconds_bucket{namespace="org\\"a",scheme="user",hook="params",le="0.1"} 0',
+                'stockade_hook_duration_seconds_bucket{namespace="org\\"a",scheme="user",hook="params",le="+Inf"} 1',
+                'stockade_hook_duration_seconds_sum{namespace="org\\"a",scheme="user",hook="params"} 0.2',
+                'stockade_hook_duration_seconds_count{namespace="org\\"a",scheme="user",hook="params"} 1',
+                '',
+            ].join('\n'));
+        });
+    });
+
+    describe('#metrics()', () => {
+        const instance = floatperms.createInstance();
+
+        before(() => {
+            instance.register({
+                _params: { self: '?self' },
+                async before() {},
+                async params() {},
+                async isLoggedIn(params) { return !!params.self; },
+                async isBroken() { throw new Error('broken'); },
+            }, 'user');
+        });
+
+        it('should record the outcomes of validations and the durations of handlers', async () => {
+            await instance.validate(mockRequest({ params: { self: 1 } }), instance.for('user').allOf('isLoggedIn'));
+            await instance.validate(mockRequest(), instance.for('user').allOf('isLoggedIn', 'isBroken'));
+
+            const snapshot = instance.metrics();
+            const byMethod = {};
+            snapshot.validations.forEach(entry => {
+                byMethod[entry.method] = entry;
+            });
+            expect(byMethod.isLoggedIn).to.include({ namespace: 'global', scheme: 'user', passed: 1, failed: 1, threw: 0 });
+            expect(byMethod.isBroken).to.include({ passed: 0, failed: 0, threw: 1 });
+            expect(byMethod.isLoggedIn.duration.count).to.equal(2);
+            expect(snapshot.hooks.map(h => `${h.hook}:${h.duration.count}`)).to.have.members(['before:2', 'params:2']);
+            expect(floatperms.createInstance().metrics().validations).to.deep.equal([]);
+
+            expect(instance.toPrometheus()).to.include('stockade_validations_total{namespace="global",scheme="user",method="isBroken",outcome="threw"} 1');
+            instance.resetMetrics();
+            expect(instance.metrics().validations).to.deep.equal([]);
+        });
+    });
+
+});
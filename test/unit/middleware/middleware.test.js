@@ -0,0 +1,110 @@
+/* global describe, it */
+
+const expect = require('chai').expect;
+const createMiddleware = require('../../../src/middleware/middleware').create;
+
+// Builds a validate function which always resolves to the given result.
+const resolvingTo = (result) => async () => Object.assign({
+    hasPassed: false,
+    passedValidations: [],
+    failedValidations: [],
+    thrownErrors: [],
+}, result);
+
+// Runs the middleware against a mock express-ish response, resolving once it has finished.
+const run = (middleware, res = {}) => new Promise(resolve => {
+    const out = { status: undefined, body: undefined, nextArgs: undefined };
+    res.status = res.status || ((code) => { out.status = code; return res; });
+    res.json = res.json || ((body) => { out.body = body; resolve(out); });
+    middleware({}, res, (...args) => { out.nextArgs = args; resolve(out); });
+});
+
+describe('Middleware conformance tests', () => {
+
+    describe('#create()', () => {
+        it('should call next() when the validator passes', async () => {
+            const out = await run(createMiddleware(resolvingTo({ hasPassed: true }), {}));
+            expect(out.nextArgs).to.deep.equal([]);
+        });
+
+        it('should respond 403 with the failed validations when the validator fails', async () => {
+            const failedValidations = [{ name: 'user:isLoggedIn', explanation: undefined }];
+            const out = await run(createMiddleware(resolvingTo({ failedValidations }), {}));
+            expect(out.status).to.equal(403);
+            expect(out.body).to.deep.equal({ failedValidations });
+            expect(out.nextArgs).to.be.undefined;
+        });
+
+        it('should write a plain node response when express helpers are missing', async () => {
+            const written = {};
+            const res = {
+                setHeader: (k, v) => { written[k] = v; },
+            };
+            await new Promise(resolve => {
+                res.end = (body) => { written.body = body; resolve(); };
+                createMiddleware(resolvingTo({}), {})({}, res, () => {});
+            });
+            expect(res.statusCode).to.equal(403);
+            expect(written['Content-Type']).to.equal('application/json');
+            expect(JSON.parse(written.body)).to.deep.equal({ failedValidations: [] });
+        });
+
+        it('should call a custom onDeny handler instead of responding', async () => {
+            const denied = await new Promise(resolve => {
+                const onDeny = (req, res, next, result) => resolve(result);
+                createMiddleware(resolvingTo({}), {}, { onDeny })({}, {}, () => {});
+            });
+            expect(denied.hasPassed).to.equal(false);
+        });
+
+        it('should call next(err) when a validation has thrown', async () => {
+            const err = new Error('boom');
+            const out = await run(createMiddleware(resolvingTo({ hasPassed: false, thrownErrors: [{ name: 'user:isBroken', error: err }] }), {}));
+            expect(out.nextArgs).to.deep.equal([err]);
+        });
+
+        it('should call next(err) when the matcher itself throws', async () => {
+            const err = new Error('bad validator');
+            const out = await run(createMiddleware(async () => { throw err; }, {}));
+            expect(out.nextArgs).to.deep.equal([err]);
+        });
+
+        it('should not call next() again when next() itself throws', async () => {
+            const calls = [];
+            const onRejection = () => {};
+            process.on('unhandledRejection', onRejection);
+            try {
+                createMiddleware(resolvingTo({ hasPassed: true }), {})({}, {}, (...args) => {
+                    calls.push(args);
+                    throw new Error('downstream failure');
+                });
+                await new Promise(resolve => setImmediate(resolve));
+            } finally {
+                process.removeListener('unhandledRejection', onRejection);
+            }
+            expect(calls).to.deep.equal([[]]);
+        });
+
+        it('should pass the adapter, timeout and signal of each request along to validate', async () => {
+            const requestSignal = { aborted: false };
+            let seen;
+            const validate = async (req, validator, options) => {
+                seen = options;
+                return resolvingTo({ hasPassed: true })();
+            };
+            const req = {};
+            const res = {};
+            const signal = (forReq, forRes) => ((forReq === req) && (forRes === res)) ? requestSignal : undefined;
+            await new Promise(resolve => createMiddleware(validate, {}, { adapter: 'node', timeout: 50, signal })(req, res, resolve));
+
+            expect(seen).to.deep.equal({ adapter: 'node', timeout: 50, signal: requestSignal });
+        });
+
+        it('should throw when given a non-function onDeny or signal', () => {
+            const tryCreate = () => createMiddleware(resolvingTo({}), {}, { onDeny: 'nope' });
+            expect(tryCreate).to.throw('Expected the `onDeny` middleware option to be a function, but instead found: (string) nope');
+            expect(() => createMiddleware(resolvingTo({}), {}, { signal: {} })).to.throw('Expected the `signal` middleware option to be a function returning the signal of each request, but instead found: (object) [object Object]');
+        });
+    });
+
+});
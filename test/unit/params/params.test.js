@@ -0,0 +1,86 @@
+/* global describe, it */
+
+const expect = require('chai').expect;
+const params = require('../../../src/params/params');
+
+describe('Parameter definition conformance tests', () => {
+
+    describe('#checkDefinition()', () => {
+        it('should accept source strings, literal values and typed definitions', () => {
+            expect(params.checkDefinition('?target')).to.be.undefined;
+            expect(params.checkDefinition('$sid')).to.be.undefined;
+            expect(params.checkDefinition('req.user.id')).to.be.undefined;
+            expect(params.checkDefinition('header:x-api-key')).to.be.undefined;
+            expect(params.checkDefinition({ from: 'session:user.id', type: 'integer' })).to.be.undefined;
+            expect(params.checkDefinition({ value: 5 })).to.be.undefined;
+            expect(params.checkDefinition({ from: '?id', type: 'array<integer>', required: true, default: [] })).to.be.undefined;
+            expect(params.checkDefinition({ from: '?id', type: value => value })).to.be.undefined;
+        });
+
+        it('should describe why invalid definitions are rejected', () => {
+            expect(params.checkDefinition('target')).to.match(/must begin with one of '\?', '\$', 'query:', .* or 'req\.'/);
+            expect(params.checkDefinition('header:')).to.match(/must begin with one of/);
+            expect(params.checkDefinition(false)).to.match(/Expected a string or an object with a "value" field, but instead found: \(boolean\) false/);
+            expect(params.checkDefinition({ from: 5 })).to.match(/"from" field must be a string/);
+            expect(params.checkDefinition({ from: '?id', type: 'array<date>' })).to.match(/Unknown type "array<date>"/);
+            expect(params.checkDefinition({ from: '?id', required: 'yes' })).to.match(/"required" field must be a boolean/);
+            expect(params.checkDefinition({ from: '?id', each: 'some' })).to.match(/"each" field must be a boolean, 'all' or 'any'/);
+        });
+    });
+
+    describe('#parseSource()', () => {
+        it('should name the adapter function reading each source', () => {
+            expect(params.parseSource('?id')).to.deep.equal({ prefix: '?', reader: 'param', name: 'id' });
+            expect(params.parseSource('query:id')).to.deep.equal({ prefix: 'query:', reader: 'query', name: 'id' });
+            expect(params.parseSource('signed:sid')).to.deep.equal({ prefix: 'signed:', reader: 'signedCookie', name: 'sid' });
+            expect(params.parseSource('req.user.id')).to.deep.equal({ prefix: 'req.', reader: undefined, name: 'user.id' });
+            expect(params.parseSource('user.id')).to.be.undefined;
+        });
+    });
+
+    describe('#fanOutMode()', () => {
+        it('should tell how the elements of fanned-out params are combined', () => {
+            expect(params.fanOutMode({ from: '?id', each: true })).to.equal('all');
+            expect(params.fanOutMode({ from: '?id', each: 'any' })).to.equal('any');
+            expect(params.fanOutMode({ from: '?id', each: false })).to.be.undefined;
+            expect(params.fanOutMode('?id')).to.be.undefined;
+        });
+    });
+
+    describe('#resolve()', () => {
+        it('should coerce values to the built-in types', () => {
+            expect(params.resolve('n', ' 42 ', { from: '?n', type: 'int' })).to.deep.equal({ value: 42 });
+            expect(params.resolve('n', '1.5', { from: '?n', type: 'number' })).to.deep.equal({ value: 1.5 });
+            expect(params.resolve('n', 7, { from: '?n', type: 'string' })).to.deep.equal({ value: '7' });
+            expect(params.resolve('n', '0', { from: '?n', type: 'boolean' })).to.deep.equal({ value: false });
+            expect(params.resolve('n', '3', { from: '?n', type: 'array<integer>' })).to.deep.equal({ value: [3] });
+            expect(params.resolve('n', ['a', 1], { from: '?n', type: 'array' })).to.deep.equal({ value: ['a', 1] });
+            expect(params.resolve('n', '3', { from: '?n', type: 'integer', each: true })).to.deep.equal({ value: [3] });
+        });
+
+        it('should give a reason for values which can\'t be coerced', () => {
+            expect(params.resolve('n', '4.2', { from: '?n', type: 'integer' }).reason).to.equal('Parameter "n" could not be read as type "integer", found: (string) 4.2');
+            expect(params.resolve('n', ['1', 'x'], { from: '?n', type: 'array<int>' }).reason).to.match(/found: \(string\) x/);
+            expect(params.resolve('n', {}, { from: '?n', type: 'string' })).to.have.property('reason');
+        });
+
+        it('should apply defaults and flag missing required values', () => {
+            expect(params.resolve('n', undefined, { from: '?n', type: 'integer', default: 1 })).to.deep.equal({ value: 1 });
+            expect(params.resolve('n', null, { from: '?n', required: true }).reason).to.equal('Parameter "n" is required, but no value was found at "?n".');
+            expect(params.resolve('n', undefined, { from: '?n', type: 'integer' })).to.deep.equal({ value: undefined });
+            expect(params.resolve('n', undefined, '?n')).to.deep.equal({ value: undefined });
+        });
+
+        it('should use custom coercion functions, reporting their errors', () => {
+            const even = (value, name) => {
+                if (Number(value) % 2 !== 0) {
+                    throw new Error(`${name} must be even`);
+                }
+                return Number(value);
+            };
+            expect(params.resolve('n', '4', { from: '?n', type: even })).to.deep.equal({ value: 4 });
+            expect(params.resolve('n', '3', { from: '?n', type: even }).reason).to.equal('Parameter "n" could not be read as type "even": n must be even');
+        });
+    });
+
+});
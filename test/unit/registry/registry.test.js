@@ -0,0 +1,136 @@
+/* global describe, it */
+
+const expect = require('chai').expect;
+const registry = require('../../../src/registry/registry');
+
+const define = registry.define;
+
+describe('Provider registry conformance tests', () => {
+
+    describe('#chain()', () => {
+        it('should follow declared parents, then dotted prefixes', () => {
+            const namespaces = { global: {} };
+            registry.define(namespaces, 'org', 'global');
+
+            expect(registry.chain(namespaces, 'org.teamA.dev')).to.deep.equal(['org.teamA.dev', 'org.teamA', 'org', 'global']);
+            expect(registry.chain(namespaces, 'other')).to.deep.equal(['other']);
+        });
+    });
+
+    describe('#lookup()', () => {
+        it('should find schemes in the nearest namespace holding them', () => {
+            const namespaces = { global: { user: 'global-user', post: 'global-post' }, tenant: { user: 'tenant-user' } };
+            registry.define(namespaces, 'tenant', 'global');
+
+            expect(registry.lookup(namespaces, 'tenant', 'user')).to.equal('tenant-user');
+            expect(registry.lookup(namespaces, 'tenant', 'post')).to.equal('global-post');
+            expect(registry.lookup(namespaces, 'tenant', 'missing')).to.be.undefined;
+            expect(registry.lookup(namespaces, 'tenant', 'constructor')).to.be.undefined;
+            expect(registry.exists(namespaces, 'tenant.sub')).to.equal(true);
+            expect(registry.exists(namespaces, 'nowhere')).to.equal(false);
+        });
+    });
+
+    describe('#define()', () => {
+        it('should reject cycles and invalid names', () => {
+            const namespaces = {};
+            registry.define(namespaces, 'a', 'b');
+            registry.define(namespaces, 'b', 'c');
+
+            expect(() => registry.define(namespaces, 'c', 'a')).to.throw('would create a cycle: c -> a -> b -> c');
+            expect(() => registry.define(namespaces, 'a.x', 'a')).to.not.throw();
+            expect(() => registry.define(namespaces, 'a', 'a.x')).to.throw(/cycle/);
+            expect(() => registry.define(namespaces, '')).to.throw(/namespace name/);
+            expect(() => registry.define(namespaces, 'd', 5)).to.throw(/parent of namespace "d"/);
+        });
+
+        it('should keep parents out of the listed scheme names', () => {
+            const namespaces = {};
+            registry.define(namespaces, 'a', 'b');
+            expect(Object.keys(namespaces.a)).to.deep.equal([]);
+            expect(registry.parentOf(namespaces, 'a')).to.equal('b');
+
+            registry.define(namespaces, 'a');
+            expect(registry.parentOf(namespaces, 'a')).to.be.undefined;
+        });
+    });
+
+    describe('#compose()', () => {
+        it('should return providers extending nothing as-is', () => {
+            const provider = { async isA() { return true; } };
+            expect(registry.compose({}, provider, 'p', 'global')).to.equal(provider);
+        });
+
+        it('should merge parents, then the provider\'s own fields', () => {
+            const parent = { _params: { a: '?a', b: '?b' }, _redact: ['a'], _cache: { isA: 10 }, isA: () => 'parent.isA', isB: () => 'parent.isB' };
+            const namespaces = { global: { parent: { provider: parent } } };
+            const mixin = { _params: { c: '?c' }, _redact: ['c', 'a'], isC() {} };
+            const child = { _extends: ['parent', mixin], _params: { b: '$b' }, isB() {} };
+            const composed = registry.compose(namespaces, child, 'child', 'global');
+
+            expect(composed._params).to.deep.equal({ a: '?a', b: '$b', c: '?c' });
+            expect(composed._redact).to.deep.equal(['a', 'c']);
+            expect(composed._cache).to.deep.equal({ isA: 10 });
+            expect(composed.isA()).to.equal('parent.isA');
+            expect(composed.isB).to.equal(child.isB);
+            expect(composed).to.not.have.property('_extends');
+            expect(Object.keys(composed)).to.not.include('_super');
+            expect(composed._super.isB()).to.equal('parent.isB');
+        });
+
+        it('should give the handlers of each level their own parent as `this._super`', async () => {
+            const calls = [];
+            const namespaces = { global: {} };
+            const register = (provider, name) => {
+                namespaces.global[name] = { provider: registry.compose(namespaces, provider, name, 'global') };
+            };
+            register({
+                async before() { calls.push('g'); },
+                async isA() { return 'g.isA'; },
+            }, 'g');
+            register({
+                _extends: 'g',
+                async before(...args) {
+                    await this._super.before.call(this, ...args);
+                    calls.push('p');
+                },
+                async isA() { return `p(${await this._super.isA.call(this)})`; },
+            }, 'p');
+            register({
+                _extends: 'p',
+                async before(...args) {
+                    await this._super.before.call(this, ...args);
+                    calls.push('c');
+                },
+            }, 'c');
+
+            const c = namespaces.global.c.provider;
+            await c.before();
+            expect(calls).to.deep.equal(['g', 'p', 'c']);
+            expect(await c.isA()).to.equal('p(g.isA)');
+            expect(await c._super._super.isA()).to.equal('g.isA');
+            expect(await c._super.isA()).to.equal('p(g.isA)');
+        });
+
+        it('should resolve named parents through namespaces and fallback chains', () => {
+            const namespaces = { global: { user: { provider: { isGlobal() {} } } }, other: { user: { provider: { isOther() {} } } } };
+            define(namespaces, 'tenant', 'global');
+
+            expect(registry.compose(namespaces, { _extends: 'user' }, 'user', 'tenant')).to.have.property('isGlobal');
+            expect(registry.compose(namespaces, { _extends: { name: 'user', namespace: 'other' } }, 'user', 'tenant')).to.have.property('isOther');
+            expect(registry.compose(namespaces, { _extends: { name: 'user', namespace: 'other' } }, 'user', 'tenant')._super).to.have.property('isOther');
+        });
+
+        it('should throw for missing parents, cycles and invalid entries', () => {
+            const namespaces = { global: {} };
+            const mixinA = {};
+            const mixinB = { _extends: mixinA };
+            mixinA._extends = mixinB;
+
+            expect(() => registry.compose(namespaces, { _extends: 'user' }, 'child', 'global')).to.throw('extends provider "user" in namespace "global", but no such provider has been registered');
+            expect(() => registry.compose(namespaces, { _extends: mixinA }, 'child', 'global')).to.throw(/inheritance cycle/);
+            expect(() => registry.compose(namespaces, { _extends: [42] }, 'child', 'global')).to.throw(/invalid _extends entry/);
+        });
+    });
+
+});
@@ -0,0 +1,101 @@
+/* global describe, it, before, after */
+
+const expect = require('chai').expect;
+const floatperms = require('../../../src/main');
+
+describe('Validator serialization conformance tests', () => {
+
+    before(() => {
+        const provider = {
+            _params: { target: '?target' },
+            async isA() { return true; },
+            async isB() { return true; },
+            async isC() { return true; },
+        };
+        floatperms.register(provider, 'serialized');
+        floatperms.register(provider, 'serialized', 'potet');
+    });
+
+    after(() => {
+        floatperms.unregister('serialized');
+        floatperms.unregister('serialized', 'potet');
+    });
+
+    describe('#toJSON()', () => {
+        it('should describe simple, compound and no-op validators', () => {
+            const doc = floatperms.toJSON(floatperms.anyOf(
+                floatperms.for('serialized').target('?other').parallel().allOf('isA', 'isB'),
+                floatperms.not(floatperms.for('serialized', 'potet').any()),
+                floatperms.none(),
+                { shortCircuit: true }
+            ));
+
+            expect(doc).to.deep.equal({
+                version: 1,
+                validator: {
+                    type: 'compound',
+                    method: 'anyOf',
+                    shortCircuit: true,
+                    target: [
+                        { type: 'validator', namespace: 'global', scheme: 'serialized', method: 'allOf', target: ['isA', 'isB'], params: { target: '?other' }, parallel: true },
+                        { type: 'compound', method: 'not', target: [{ type: 'validator', namespace: 'potet', scheme: 'serialized', method: 'any', target: '*', params: {} }] },
+                        { type: 'none' },
+                    ],
+                },
+            });
+        });
+
+        it('should throw for unfinished validators', () => {
+            expect(() => floatperms.toJSON(floatperms.for('serialized'))).to.throw(/no match method/);
+        });
+
+        it('should throw for overrides which JSON can\'t represent', () => {
+            const positive = (value) => value > 0;
+            expect(() => floatperms.toJSON(floatperms.for('serialized').target({ from: '?id', type: positive }).allOf('isA')))
+                .to.throw('Unable to serialize the override "target.type" of the validator for scheme "serialized" (in namespace "global"): only strings, finite numbers, booleans, null, arrays and plain objects may be represented, but found: (function) positive');
+            expect(() => floatperms.toJSON(floatperms.for('serialized').target({ value: undefined }).allOf('isA')))
+                .to.throw(/override "target\.value" .*found: \(undefined\) undefined/);
+            expect(() => floatperms.toJSON(floatperms.for('serialized').target({ value: [1, NaN] }).allOf('isA')))
+                .to.throw(/override "target\.value\[1\]" .*non-finite number NaN/);
+            expect(floatperms.toJSON(floatperms.for('serialized').target({ from: '?id', type: 'number' }).allOf('isA')).validator.params)
+                .to.deep.equal({ target: { from: '?id', type: 'number' } });
+        });
+    });
+
+    describe('#fromJSON()', () => {
+        it('should round-trip validators through their JSON string', () => {
+            const validators = [
+                floatperms.for('serialized').target({ value: 42 }).timeout(100).atLeast(2, 'isA', 'isB', 'isC'),
+                floatperms.for('serialized').forEach('target', 'any').allOf('isA'),
+                floatperms.for('serialized').parallel(2).allOf('isA', 'isB'),
+                floatperms.allOf(floatperms.for('serialized').sequential().allOf('isA'), floatperms.for('serialized').all(), { parallel: false, shortCircuit: true }),
+                floatperms.anyOf(floatperms.for('serialized').allOf('isA'), floatperms.for('serialized').allOf('isB'), { parallel: 3 }),
+                floatperms.atLeast(1, floatperms.for('serialized').noneOf('isC'), floatperms.for('serialized', 'potet').shortCircuit().all()),
+                floatperms.none(),
+            ];
+            validators.forEach(validator => {
+                const doc = floatperms.toJSON(validator);
+                const loaded = floatperms.fromJSON(JSON.stringify(doc));
+                expect(floatperms.toJSON(loaded)).to.deep.equal(doc);
+            });
+        });
+
+        it('should throw for unregistered schemes and methods', () => {
+            const node = { type: 'validator', namespace: 'global', scheme: 'serialized', method: 'allOf', target: ['isA'], params: {} };
+            const doc = validator => ({ version: 1, validator: { type: 'compound', method: 'not', target: [validator] } });
+
+            expect(() => floatperms.fromJSON(doc(node))).to.not.throw();
+            expect(() => floatperms.fromJSON(doc(Object.assign({}, node, { scheme: 'missing' })))).to.throw(/validator\.target\[0\].*scheme "missing"/);
+            expect(() => floatperms.fromJSON(doc(Object.assign({}, node, { namespace: 'nowhere' })))).to.throw(/namespace "nowhere"/);
+            expect(() => floatperms.fromJSON(doc(Object.assign({}, node, { target: ['isZ'] })))).to.throw(/method "isZ"/);
+        });
+
+        it('should throw for malformed or unsupported documents', () => {
+            expect(() => floatperms.fromJSON({ version: 2, validator: { type: 'none' } })).to.throw(/version: 2/);
+            expect(() => floatperms.fromJSON({ version: 1, validator: { type: 'other' } })).to.throw(/type of/);
+            expect(() => floatperms.fromJSON({ version: 1, validator: { type: 'compound', method: 'xor', target: [] } })).to.throw(/one of the methods/);
+            expect(() => floatperms.fromJSON(null)).to.throw(/validator document/);
+        });
+    });
+
+});
@@ -0,0 +1,160 @@
+/* global describe, it, before */
+
+const expect = require('chai').expect;
+const floatperms = require('../../../src/main');
+const testing = require('../../../src/testing/testing');
+
+// Runs the given promise, resolving to the error it rejects with.
+const rejection = (promise) => promise.then(() => {
+    throw new Error('Expected the promise to reject, but it resolved.');
+}, err => err);
+
+describe('Testing toolkit conformance tests', () => {
+
+    describe('#mockRequest()', () => {
+        it('should fall back from params to route, body and query values', () => {
+            const req = testing.mockRequest({
+                params: { a: 1 },
+                route: { a: 2, b: 2 },
+                body: { b: 3, c: 3 },
+                query: { c: 4, d: 4 },
+            });
+            expect([req.param('a'), req.param('b'), req.param('c'), req.param('d'), req.param('e')]).to.deep.equal([1, 2, 3, 4, undefined]);
+            expect(req.params).to.deep.equal({ a: 2, b: 2 });
+        });
+
+        it('should hold cookies, lower-cased headers, the session and any other fields', () => {
+            const user = { id: 7 };
+            const req = testing.mockRequest({
+                cookies: { sid: 'abc' },
+                signedCookies: { token: 'xyz' },
+                headers: { 'X-Tenant': 'acme' },
+                session: { role: 'admin' },
+                user,
+            });
+            expect(req.cookies).to.deep.equal({ sid: 'abc' });
+            expect(req.signedCookies).to.deep.equal({ token: 'xyz' });
+            expect(req.headers).to.deep.equal({ 'x-tenant': 'acme' });
+            expect(req.session).to.deep.equal({ role: 'admin' });
+            expect(req.user).to.equal(user);
+        });
+
+        it('should be readable through every param source', async () => {
+            const instance = floatperms.createInstance();
+            instance.register({
+                _params: { sid: '$sid', tenant: 'header:x-tenant', role: 'session:role', token: 'signed:token', id: 'req.user.id' },
+                async isSeen(params) {
+                    return (params.sid === 'abc') && (params.tenant === 'acme') && (params.role === 'admin') && (params.token === 'xyz') && (params.id === 7);
+                },
+            }, 'user');
+
+            const req = testing.mockRequest({
+                cookies: { sid: 'abc' },
+                signedCookies: { token: 'xyz' },
+                headers: { 'X-Tenant': 'acme' },
+                session: { role: 'admin' },
+                user: { id: 7 },
+            });
+            await testing.expectValidator(instance.for('user').allOf('isSeen'), { permissions: instance }).forRequest(req).toPass();
+        });
+    });
+
+    describe('#expectValidator()', () => {
+        const instance = floatperms.createInstance();
+        const options = { permissions: instance };
+
+        before(() => {
+            instance.register({
+                _params: { self: '?self' },
+                async isLoggedIn(params) { return !!params.self; },
+                async isBroken() { throw new Error('out of order'); },
+            }, 'user');
+        });
+
+        it('should resolve where the expectation is met', async () => {
+            const validator = instance.for('user').allOf('isLoggedIn');
+            const passed = await testing.expectValidator(validator, options).forRequest(testing.mockRequest({ params: { self: 1 } })).toPass();
+            expect(passed.hasPassed).to.equal(true);
+
+            await testing.expectValidator(validator, options).forRequest(testing.mockRequest()).toFail();
+            await testing.expectValidator(validator, options).forRequest(testing.mockRequest()).toFailWith('user:isLoggedIn');
+            const err = await testing.expectValidator(instance.for('user').allOf('isBroken'), options).forRequest(testing.mockRequest()).toThrow(/out of/);
+            expect(err.message).to.equal('out of order');
+        });
+
+        it('should reject with an AssertionError where the expectation is not met', async () => {
+            const validator = instance.for('user').allOf('isLoggedIn');
+            const req = testing.mockRequest();
+
+            const err = await rejection(testing.expectValidator(validator, options).forRequest(req).toPass());
+            expect(err.name).to.equal('AssertionError');
+            expect(err.message).to.equal('Expected the request to pass the validator, but it failed. Passed: [], failed: [user:isLoggedIn], threw: [].');
+            expect(err.result.hasPassed).to.equal(false);
+
+            const missing = await rejection(testing.expectValidator(validator, options).forRequest(req).toFailWith('user:isAdmin'));
+            expect(missing.message).to.include('but found no failure of user:isAdmin.');
+
+            const thrown = await rejection(testing.expectValidator(instance.for('user').allOf('isBroken'), options).forRequest(req).toFail());
+            expect(thrown.message).to.include('but some validation threw.');
+
+            const none = await rejection(testing.expectValidator(validator, options).forRequest(req).toThrow());
+            expect(none.message).to.include('Expected some validation to throw, but none did.');
+        });
+    });
+
+    describe('#stub()', () => {
+        const instance = floatperms.createInstance();
+        const options = { permissions: instance };
+
+        before(() => {
+            instance.register({
+                _params: { self: '?self' },
+                _cache: { isLoggedIn: 1000 },
+                async isLoggedIn(params) { return !!params.self; },
+            }, 'user');
+        });
+
+        it('should replace a validation method until restored', async () => {
+            const validator = instance.for('user').allOf('isLoggedIn');
+            const req = testing.mockRequest();
+
+            const restore = testing.stub('user', 'isLoggedIn', true, options);
+            await testing.expectValidator(validator, options).forRequest(req).toPass();
+            restore();
+            await testing.expectValidator(validator, options).forRequest(req).toFailWith('user:isLoggedIn');
+        });
+
+        it('should accept functions and errors as stubs', async () => {
+            const validator = instance.for('user').allOf('isLoggedIn');
+            const req = testing.mockRequest({ params: { self: 1 } });
+
+            testing.stub('user', 'isLoggedIn', async (params) => params.self === 2, options);
+            await testing.expectValidator(validator, options).forRequest(req).toFailWith('user:isLoggedIn');
+            testing.restore();
+
+            testing.stub('user', 'isLoggedIn', new Error('stubbed'), options);
+            await testing.expectValidator(validator, options).forRequest(req).toThrow('stubbed');
+        });
+
+        it('should have been restored after the previous test', async () => {
+            await testing.expectValidator(instance.for('user').allOf('isLoggedIn'), options).forRequest(testing.mockRequest({ params: { self: 1 } })).toPass();
+        });
+
+        it('should throw for unknown providers and methods, leaving the provider registered', async () => {
+            expect(() => testing.stub('nobody', 'isLoggedIn', true, options)).to.throw('Attempted to stub method "isLoggedIn" of provider "nobody" in namespace "global", but no such provider has been registered!');
+            expect(() => testing.stub('user', 'isAdmin', true, options)).to.throw('Attempted to stub method "isAdmin" of provider "user" in namespace "global", but no such validation method exists!');
+            await testing.expectValidator(instance.for('user').allOf('isLoggedIn'), options).forRequest(testing.mockRequest({ params: { self: 1 } })).toPass();
+        });
+    });
+
+    describe('#register()', () => {
+        it('should register a provider for the current test only', async () => {
+            testing.register({ async isAnyone() { return true; } }, 'temporary');
+            await testing.expectValidator(floatperms.for('temporary').allOf('isAnyone')).forRequest(testing.mockRequest()).toPass();
+        });
+
+        it('should have unregistered the provider after the previous test', () => {
+            expect(floatperms.unregister('temporary')).to.equal(undefined);
+        });
+    });
+});
@@ -0,0 +1,82 @@
+/* global describe, it */
+
+const expect = require('chai').expect;
+const timeouts = require('../../../src/timeout/timeout');
+
+describe('Timeout helper conformance tests', () => {
+
+    describe('#createController()', () => {
+        it('should abort children along with their parent', () => {
+            const parent = timeouts.createController();
+            const child = timeouts.createController(parent.signal);
+            parent.abort(new Error('stop'));
+
+            expect(child.signal.aborted).to.equal(true);
+        });
+
+        it('should create already aborted children of aborted parents', () => {
+            const parent = timeouts.createController();
+            parent.abort();
+
+            expect(timeouts.createController(parent.signal).signal.aborted).to.equal(true);
+        });
+
+        it('should stop following the parent once detached', () => {
+            const parent = timeouts.createController();
+            const child = timeouts.createController(parent.signal);
+            timeouts.detach(child);
+            parent.abort();
+
+            expect(child.signal.aborted).to.equal(false);
+        });
+    });
+
+    describe('#expire()', () => {
+        it('should abort with a TimeoutError, marking the signal and its children as expired', () => {
+            const parent = timeouts.createController();
+            const child = timeouts.createController(parent.signal);
+            timeouts.expire(parent, 'too slow');
+
+            expect(parent.signal.aborted).to.equal(true);
+            expect(timeouts.hasExpired(parent.signal)).to.equal(true);
+            expect(timeouts.hasExpired(child.signal)).to.equal(true);
+            expect(timeouts.hasExpired(timeouts.createController(parent.signal).signal)).to.equal(true);
+        });
+
+        it('should not count other aborts as expiry, whatever their reason', () => {
+            const controller = timeouts.createController();
+            controller.abort(timeouts.timeoutError('not really'));
+            timeouts.expire(controller, 'too late');
+
+            expect(timeouts.hasExpired(controller.signal)).to.equal(false);
+            expect(timeouts.hasExpired(timeouts.createController().signal)).to.equal(false);
+        });
+    });
+
+    describe('#race()', () => {
+        it('should resolve with the value of promises finishing in time', async () => {
+            expect(await timeouts.race(Promise.resolve(5), 50)).to.deep.equal({ timedOut: false, value: 5 });
+            expect(await timeouts.race(Promise.resolve(6))).to.deep.equal({ timedOut: false, value: 6 });
+        });
+
+        it('should time out slow promises, aborting the given controller', async () => {
+            const controller = timeouts.createController();
+            const slow = new Promise(resolve => setTimeout(resolve, 100));
+
+            expect(await timeouts.race(slow, 5, controller)).to.deep.equal({ timedOut: true });
+            expect(controller.signal.aborted).to.equal(true);
+            expect(timeouts.hasExpired(controller.signal)).to.equal(true);
+        });
+
+        it('should pass along rejections which happen in time', async () => {
+            let caught;
+            try {
+                await timeouts.race(Promise.reject(new Error('nope')), 50);
+            } catch (e) {
+                caught = e;
+            }
+            expect(caught).to.have.property('message', 'nope');
+        });
+    });
+
+});
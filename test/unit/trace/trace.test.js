@@ -0,0 +1,36 @@
+/* global describe, it */
+
+const expect = require('chai').expect;
+const trace = require('../../../src/trace/trace');
+
+describe('Trace helper conformance tests', () => {
+
+    describe('#redactParams()', () => {
+        it('should redact params listed by the provider, then apply the hook', () => {
+            const seen = [];
+            const redact = (name, value, info) => {
+                seen.push([name, info]);
+                return (name === 'email') ? 'e***' : value;
+            };
+            const out = trace.redactParams({ token: 'abc', email: 'e@x.com', id: 1 }, { _redact: ['token'] }, redact, { namespace: 'global', scheme: 's' });
+
+            expect(out).to.deep.equal({ token: '[redacted]', email: 'e***', id: 1 });
+            expect(seen[0]).to.deep.equal(['token', { namespace: 'global', scheme: 's' }]);
+        });
+
+        it('should not modify the given params', () => {
+            const params = Object.freeze({ token: 'abc' });
+            expect(() => trace.redactParams(params, { _redact: ['token'] })).to.not.throw();
+            expect(params.token).to.equal('abc');
+        });
+    });
+
+    describe('#now()', () => {
+        it('should return increasing millisecond times', () => {
+            const a = trace.now();
+            const b = trace.now();
+            expect(b).to.be.at.least(a);
+        });
+    });
+
+});
@@ -177,6 +177,62 @@ describe('Validator conformance tests', () => {
         });
     });
 
+    describe('#noneOf()', () => {
+        it('should apply the \'noneOf\' method and target correctly', () => {
+            const res = Validator.create('some-scheme').noneOf('v1', 'v2').compile();
+
+            expect(res).to.have.property('method', 'noneOf');
+            expect(res).to.have.property('target').deep.equal(['v1', 'v2']).and.frozen;
+        });
+
+        it('should throw an error when given less than 1 argument', () => {
+            const tryCreate = () => Validator.create('some-scheme').noneOf();
+            expect(tryCreate).to.throw('Expected at least one validation name passed for the `.noneOf(...)` matcher method, but received nothing instead!');
+        });
+    });
+
+    describe('#atLeast()', () => {
+        it('should apply the \'atLeast\' method, count and target correctly', () => {
+            const res = Validator.create('some-scheme').atLeast(2, 'v1', 'v2', 'v3').compile();
+
+            expect(res).to.have.property('method', 'atLeast');
+            expect(res).to.have.property('count', 2);
+            expect(res).to.have.property('target').deep.equal(['v1', 'v2', 'v3']).and.frozen;
+        });
+
+        it('should throw an error when given an unsatisfiable count', () => {
+            const tryCreate = (count) => () => Validator.create('some-scheme').atLeast(count, 'v1', 'v2');
+            expect(tryCreate(0)).to.throw('Expected the count passed to the `.atLeast(...)` matcher method to be an integer between 1 and the number of validation names (2), but instead found: (number) 0');
+            expect(tryCreate(3)).to.throw('(number) 3');
+            expect(tryCreate('1')).to.throw('(string) 1');
+        });
+    });
+
+    describe('#timeout()', () => {
+        it('should set the validator timeout', () => {
+            const v = Validator.create('some-scheme');
+            expect(v.timeout(500).all().compile()).to.have.property('timeout', 500);
+        });
+
+        it('should throw when given a non-positive timeout', () => {
+            const tryTimeout = () => Validator.create('some-scheme').timeout(-1);
+            expect(tryTimeout).to.throw('Expected a positive number of milliseconds passed for the `.timeout(...)` method, but instead found: (number) -1');
+        });
+    });
+
+    describe('#forEach()', () => {
+        it('should set the fanned-out parameter and mode', () => {
+            expect(Validator.create('some-scheme').forEach('target').all().compile()).to.have.deep.property('forEach', { param: 'target', mode: 'all' });
+            expect(Validator.create('some-scheme').forEach('target', 'any').all().compile()).to.have.deep.property('forEach', { param: 'target', mode: 'any' });
+            expect(Validator.create('some-scheme').compile()).to.not.have.property('forEach');
+        });
+
+        it('should throw when given an invalid parameter name or mode', () => {
+            expect(() => Validator.create('some-scheme').forEach(5)).to.throw('Expected a parameter name passed for the `.forEach(...)` method, but instead found: (number) 5');
+            expect(() => Validator.create('some-scheme').forEach('target', 'some')).to.throw('Expected the mode passed to the `.forEach(...)` method to be one of \'all\' or \'any\', but instead found: (string) some');
+        });
+    });
+
     describe('#parallel()', () => {
         it('should mark the validator as running in-parallel', () => {
             const v = Validator.create('some-scheme');
@@ -187,6 +243,36 @@ describe('Validator conformance tests', () => {
             const v = Validator.create('some-scheme');
             expect(v.compile()).to.not.have.property('parallel');
         });
+
+        it('should set the concurrency limit', () => {
+            const v = Validator.create('some-scheme');
+            expect(v.parallel(4).compile()).to.include({ parallel: true, concurrency: 4 });
+        });
+
+        it('should throw when given an invalid concurrency limit', () => {
+            expect(() => Validator.create('some-scheme').parallel(0)).to.throw('Expected the concurrency limit passed to the `.parallel(...)` method to be a positive integer, but instead found: (number) 0');
+            expect(() => Validator.create('some-scheme').parallel('4')).to.throw('Expected the concurrency limit passed to the `.parallel(...)` method to be a positive integer, but instead found: (string) 4');
+        });
+    });
+
+    describe('#sequential()', () => {
+        it('should mark the validator as running in sequence, clearing any limit', () => {
+            const compiled = Validator.create('some-scheme').parallel(4).sequential().compile();
+            expect(compiled).to.have.property('parallel', false);
+            expect(compiled).to.not.have.property('concurrency');
+        });
+    });
+
+    describe('#shortCircuit()', () => {
+        it('should mark the validator as short-circuiting', () => {
+            const v = Validator.create('some-scheme');
+            expect(v.shortCircuit().anyOf('a', 'b').compile()).to.have.property('shortCircuit', true);
+        });
+
+        it('default validator state should have no shortCircuit field', () => {
+            const v = Validator.create('some-scheme');
+            expect(v.compile()).to.not.have.property('shortCircuit');
+        });
     });
 
 });
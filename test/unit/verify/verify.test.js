@@ -0,0 +1,104 @@
+/* global describe, it, before, after */
+
+const expect = require('chai').expect;
+const EventEmitter = require('events');
+const floatperms = require('../../../src/main');
+
+describe('Registry verification conformance tests', () => {
+
+    before(() => {
+        floatperms.register({
+            _params: { target: '?target' },
+            async isA() { return true; },
+        }, 'verified');
+    });
+
+    after(() => {
+        floatperms.unregister('verified');
+    });
+
+    describe('#verify()', () => {
+        it('should report missing namespaces, schemes, methods and unused overrides', () => {
+            const report = floatperms.verify({
+                validators: [
+                    floatperms.for('verified').target('?other').allOf('isA'),
+                    floatperms.anyOf(
+                        floatperms.for('verified', 'nowhere').allOf('isA'),
+                        floatperms.not(floatperms.for('unverified').allOf('isA'))
+                    ),
+                    floatperms.for('verified').limit({ value: 5 }).anyOf('isA', 'isB'),
+                    floatperms.none(),
+                ],
+            });
+
+            expect(report).to.include({ ok: false, checked: 4 });
+            expect(report.problems).to.have.length(4);
+            expect(report.missingNamespaces).to.have.length(1).and.to.have.nested.property('[0].namespace', 'nowhere');
+            expect(report.missingSchemes).to.have.length(1).and.to.have.nested.property('[0].scheme', 'unverified');
+            expect(report.missingMethods).to.have.length(1).and.to.have.nested.property('[0].method', 'isB');
+            expect(report.unusedOverrides).to.have.length(1).and.to.have.nested.property('[0].param', 'limit');
+            expect(report.missingMethods[0].callSite).to.include(__filename);
+        });
+
+        it('should check every validator tracked so far by default', () => {
+            floatperms.setValidatorTracking(true);
+            try {
+                const validator = floatperms.for('verified').allOf('isMissing');
+                const report = floatperms.verify();
+
+                expect(report.checked).to.be.at.least(1);
+                expect(report.missingMethods.map(p => p.method)).to.include('isMissing');
+                expect(floatperms.verify({ validators: [floatperms.for('verified').allOf('isA')] }).ok).to.equal(true);
+                expect(validator).to.be.an.instanceOf(Object);
+            } finally {
+                floatperms.setValidatorTracking(false);
+            }
+            expect(floatperms.verify().checked).to.equal(0);
+            expect(() => floatperms.setValidatorTracking('yes')).to.throw('Expected validator tracking to be enabled or disabled with a boolean, but instead found: (string) yes');
+        });
+
+        it('should not hold onto validators unless tracking', () => {
+            const instance = floatperms.createInstance();
+            instance.register({ async isA() { return true; } }, 'verified');
+            for (let i = 0; i < 1000; i++) {
+                instance.for('verified').allOf('isMissing');
+            }
+            expect(instance.verify().checked).to.equal(0);
+        });
+
+        it('should throw in strict mode, pointing at where the validator was built', () => {
+            const validator = floatperms.for('verified').allOf('isMissing');
+            let thrown;
+            try {
+                floatperms.verify({ validators: [validator], strict: true });
+            } catch (err) {
+                thrown = err;
+            }
+
+            expect(thrown).to.be.an('error').with.property('code', 'missingMethod');
+            expect(thrown.message).to.include('method "isMissing"');
+            expect(thrown.stack.split('\n')[1]).to.include(__filename);
+            expect(thrown.report.missingMethods).to.have.length(1);
+            expect(() => floatperms.verify({ validators: validator })).to.throw(/to be an array/);
+        });
+
+        it('should verify all validators once sails has lifted, then stop tracking them', () => {
+            const instance = floatperms.createInstance();
+            instance.register({ async isA() { return true; } }, 'verified');
+            const sails = new EventEmitter();
+            global.sails = sails;
+            try {
+                instance.for('verified').allOf('isA');
+                instance.for('verified').allOf('isMissing');
+                expect(sails.listenerCount('lifted')).to.equal(1);
+                expect(() => sails.emit('lifted')).to.throw(/^Attempted to/);
+
+                instance.for('verified').allOf('isMissing');
+                expect(instance.verify().checked).to.equal(0);
+            } finally {
+                delete global.sails;
+            }
+        });
+    });
+
+});
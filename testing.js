@@ -0,0 +1,6 @@
+/**
+ * @file testing.js
+ * Entry point of `stockade/testing`, see src/testing/testing.js.
+ */
+
+module.exports = require('./src/testing/testing');